@@ -1,27 +1,128 @@
+const crypto = require('crypto');
 const vscode = require('vscode');
 
 function activate(context) {
-    const boardProvider = new BoardProvider();
-    vscode.window.registerTreeDataProvider('todoBoardLauncher', boardProvider);
+    const boardIndex = new BoardIndex();
+    context.subscriptions.push(boardIndex);
 
-    const watcher = vscode.workspace.createFileSystemWatcher('**/*.board.json');
-    watcher.onDidCreate(() => boardProvider.refresh());
-    watcher.onDidDelete(() => boardProvider.refresh());
-    watcher.onDidChange(() => boardProvider.refresh());
-    context.subscriptions.push(watcher);
+    const boardProvider = new BoardProvider(boardIndex);
+    context.subscriptions.push(
+        boardProvider,
+        vscode.window.registerTreeDataProvider(
+            'todoBoardLauncher',
+            boardProvider
+        )
+    );
+    registerBoardTreeCommands(context, boardIndex);
+
+    const myCardsProvider = new MyCardsProvider(boardIndex);
+    myCardsProvider.view = vscode.window.createTreeView('todoBoardMyCards', {
+        treeDataProvider: myCardsProvider,
+    });
+    context.subscriptions.push(
+        myCardsProvider,
+        myCardsProvider.view,
+        vscode.commands.registerCommand('todoBoard.refreshMyCards', () =>
+            myCardsProvider.refresh()
+        )
+    );
+
+    let watcher;
+    const watchBoards = () => {
+        if (watcher) watcher.dispose();
+        watcher = vscode.workspace.createFileSystemWatcher(
+            getBoardFilePattern()
+        );
+        watcher.onDidCreate((uri) => boardIndex.update(uri));
+        watcher.onDidDelete((uri) => boardIndex.delete(uri));
+        watcher.onDidChange((uri) => boardIndex.update(uri));
+    };
+    watchBoards();
+    // Unsaved edits reach the index too, so views and API listeners see
+    // board changes with auto-save off. Closing discards them.
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeTextDocument((e) => {
+            if (e.contentChanges.length) boardIndex.refresh(e.document.uri);
+        }),
+        vscode.workspace.onDidCloseTextDocument((document) =>
+            boardIndex.refresh(document.uri)
+        )
+    );
+    context.subscriptions.push(
+        { dispose: () => watcher.dispose() },
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration('todoBoard.filePattern')) {
+                watchBoards();
+                boardIndex.reset();
+            }
+        })
+    );
 
     context.subscriptions.push(
         vscode.commands.registerCommand('todoBoard.openPreview', openPreview)
     );
 
     context.subscriptions.push(
-        vscode.commands.registerCommand('todoBoard.createBoard', createBoard)
+        vscode.commands.registerCommand('todoBoard.createBoard', createBoard),
+        vscode.commands.registerCommand('todoBoard.openAllBoards', () =>
+            showAllBoards(boardIndex)
+        )
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand(
+            'todoBoard.importCodeTodos',
+            importCodeTodos
+        )
+    );
+    registerCodeTodoSync(context);
+    registerCardReferences(context, boardIndex);
+    registerGitWork(context, boardIndex);
+
+    const dueCardsStatus = new DueCardsStatus(
+        boardIndex,
+        context.workspaceState
+    );
+    context.subscriptions.push(
+        dueCardsStatus,
+        vscode.commands.registerCommand('todoBoard.showDueCards', () =>
+            dueCardsStatus.showDueCards(false)
+        )
+    );
+
+    const boardEditor = new TodoBoardEditor(boardIndex);
+    registerExportCommands(context, boardEditor, boardIndex);
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.saveAsTemplate', (target) =>
+            saveBoardAsTemplate(target, boardEditor, boardIndex)
+        ),
+        vscode.commands.registerCommand('todoBoard.convertBoard', (target) =>
+            convertBoard(target, boardEditor, boardIndex)
+        ),
+        vscode.commands.registerCommand('todoBoard.showInsights', (target) =>
+            showBoardInsights(target, boardEditor, boardIndex)
+        )
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.revealCard', (uri, cardId) =>
+            boardEditor.revealCard(uri, cardId)
+        )
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.undo', () =>
+            boardEditor.undo()
+        ),
+        vscode.commands.registerCommand('todoBoard.redo', () =>
+            boardEditor.redo()
+        )
     );
 
     context.subscriptions.push(
         vscode.window.registerCustomEditorProvider(
             'todoBoard.preview',
-            new TodoBoardEditor(),
+            boardEditor,
             {
                 webviewOptions: {
                     retainContextWhenHidden: true,
@@ -29,12 +130,297 @@ function activate(context) {
             }
         )
     );
+
+    const api = createBoardApi(context, boardIndex);
+    registerApiCommands(context, api);
+    return api;
+}
+
+// Board templates
+//
+// New boards start from a template: `{ name, description?, labels?,
+// columns: [{ title, wipLimit?, wipBlock?, policy?, cards?: [{ title, ... }] }] }`.
+// Besides the built-ins, templates come from the `todoBoard.templates`
+// setting and from `*.board-template.json` files in the workspace.
+
+const BUILT_IN_TEMPLATES = [
+    {
+        name: 'Kanban',
+        description: 'To Do, Doing and Done',
+        columns: [
+            { title: 'To Do' },
+            { title: 'Doing', wipLimit: 3 },
+            { title: 'Done', policy: 'done' },
+        ],
+    },
+    {
+        name: 'Scrum sprint',
+        description: 'Sprint backlog through review',
+        labels: [
+            { name: 'story', color: 'green' },
+            { name: 'bug', color: 'red' },
+            { name: 'chore', color: 'gray' },
+        ],
+        columns: [
+            { title: 'Sprint Backlog' },
+            { title: 'In Progress', wipLimit: 4 },
+            { title: 'In Review', wipLimit: 3 },
+            { title: 'Done', policy: 'done' },
+        ],
+    },
+    {
+        name: 'Bug triage',
+        description: 'Reported bugs from intake to fixed',
+        labels: [
+            { name: 'critical', color: 'red' },
+            { name: 'major', color: 'orange' },
+            { name: 'minor', color: 'yellow' },
+            { name: 'needs info', color: 'purple' },
+        ],
+        columns: [
+            { title: 'New' },
+            { title: 'Triaged' },
+            { title: 'Fixing', wipLimit: 3 },
+            { title: 'Fixed', policy: 'done' },
+            { title: "Won't Fix" },
+        ],
+    },
+];
+
+const TEMPLATE_FILE_EXTENSION = '.board-template.json';
+
+// Checks the parts of a template that board creation relies on and fills in
+// its name. Returns null for anything that is not a usable template.
+function normalizeTemplate(raw, fallbackName) {
+    if (!isPlainObject(raw) || !Array.isArray(raw.columns)) return null;
+    const columns = raw.columns.filter(
+        (col) => isPlainObject(col) && typeof col.title === 'string'
+    );
+    if (!columns.length) return null;
+    return {
+        ...raw,
+        name:
+            typeof raw.name === 'string' && raw.name ? raw.name : fallbackName,
+        columns,
+    };
+}
+
+// Built-in, settings and workspace templates, each with a `source`.
+async function getTemplates(folder) {
+    const templates = BUILT_IN_TEMPLATES.map((t) => ({
+        ...t,
+        source: 'built-in',
+    }));
+
+    const configured = vscode.workspace
+        .getConfiguration('todoBoard', folder && folder.uri)
+        .get('templates', []);
+    (Array.isArray(configured) ? configured : []).forEach((raw, i) => {
+        const template = normalizeTemplate(raw, 'Template ' + (i + 1));
+        if (template) templates.push({ ...template, source: 'settings' });
+    });
+
+    const files = await vscode.workspace.findFiles(
+        '**/*' + TEMPLATE_FILE_EXTENSION,
+        '**/node_modules/**'
+    );
+    for (const uri of files) {
+        const name = uri.path
+            .slice(uri.path.lastIndexOf('/') + 1)
+            .slice(0, -TEMPLATE_FILE_EXTENSION.length);
+        let template = null;
+        try {
+            const text = Buffer.from(
+                await vscode.workspace.fs.readFile(uri)
+            ).toString('utf8');
+            template = normalizeTemplate(JSON.parse(text), name);
+        } catch {}
+        if (template) {
+            templates.push({
+                ...template,
+                source: vscode.workspace.asRelativePath(uri),
+            });
+        }
+    }
+    return templates;
+}
+
+function getDefaultTemplateName(folder) {
+    return vscode.workspace
+        .getConfiguration('todoBoard', folder && folder.uri)
+        .get('defaultTemplate', 'Kanban');
+}
+
+// Resolves to the template the user picks, with the default template first,
+// or undefined when cancelled.
+async function pickTemplate(folder) {
+    const templates = await getTemplates(folder);
+    const defaultName = getDefaultTemplateName(folder);
+    const items = templates.map((template) => ({
+        label: template.name,
+        description:
+            template.name === defaultName
+                ? template.source + ' · default'
+                : template.source,
+        detail:
+            template.description ||
+            template.columns.map((col) => col.title).join(' · '),
+        template,
+    }));
+    items.sort(
+        (a, b) =>
+            (b.label === defaultName ? 1 : 0) -
+            (a.label === defaultName ? 1 : 0)
+    );
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Choose a template for the new board',
+        matchOnDetail: true,
+    });
+    return picked && picked.template;
+}
+
+async function getDefaultTemplate(folder) {
+    const defaultName = getDefaultTemplateName(folder);
+    const templates = await getTemplates(folder);
+    return (
+        templates.find((template) => template.name === defaultName) ||
+        templates[0]
+    );
+}
+
+// Creates board data from a template with fresh column and card ids.
+function createBoardFromTemplate(template) {
+    const data = createBoardData([]);
+    if (Array.isArray(template.labels) && template.labels.length) {
+        data.labels = template.labels.filter(
+            (label) => isPlainObject(label) && typeof label.name === 'string'
+        );
+    }
+    template.columns.forEach((source, index) => {
+        const col = {
+            id: toColumnId(source.title, index),
+            title: source.title,
+            cards: [],
+        };
+        applyColumnSettings(col, source);
+        data.columns.push(col);
+        for (const card of Array.isArray(source.cards) ? source.cards : []) {
+            if (!isPlainObject(card) || typeof card.title !== 'string')
+                continue;
+            const copy = { id: null, ...card };
+            copy.id = createCardId(data);
+            delete copy.completedAt;
+            col.cards.push(copy);
+        }
+    });
+    return data;
+}
+
+// Turns a board back into a template, keeping its cards only when asked.
+function createTemplateFromBoard(data, name, withCards) {
+    const template = { name, columns: [] };
+    const labels = new Map();
+    (data.labels || []).forEach((label) => labels.set(label.name, label));
+    for (const col of data.columns) {
+        const column = { title: col.title };
+        for (const key of ['wipLimit', 'wipBlock', 'policy']) {
+            if (col[key] !== undefined) column[key] = col[key];
+        }
+        if (withCards && col.cards.length) {
+            // Ids, completion times and activity belong to the board, and
+            // code links to its repository.
+            column.cards = col.cards.map((card) => {
+                const copy = { ...card };
+                for (const key of [
+                    'id',
+                    'completedAt',
+                    'refs',
+                    'source',
+                    'activity',
+                ]) {
+                    delete copy[key];
+                }
+                return copy;
+            });
+        }
+        for (const card of col.cards) {
+            for (const label of card.labels || []) {
+                if (!labels.has(label.name)) labels.set(label.name, label);
+            }
+        }
+        template.columns.push(column);
+    }
+    if (labels.size) template.labels = [...labels.values()];
+    return template;
+}
+
+async function saveBoardAsTemplate(target, editor, index) {
+    const uri = await resolveBoardUri(target, editor, index);
+    if (!uri) return;
+
+    const { data, error } = await readBoardFile(uri);
+    if (error) {
+        vscode.window.showErrorMessage(
+            'Cannot read ' +
+                vscode.workspace.asRelativePath(uri) +
+                ': ' +
+                error.message
+        );
+        return;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Template name',
+        value: getBoardName(uri),
+    });
+    if (!name) return;
+
+    const contents = await vscode.window.showQuickPick(
+        [
+            { label: 'Columns only', withCards: false },
+            { label: 'Columns and cards', withCards: true },
+        ],
+        { placeHolder: 'What should the template include?' }
+    );
+    if (!contents) return;
+
+    const safeName = name.replace(/[^a-z0-9\- ]/gi, '').trim() || 'untitled';
+    const file = vscode.Uri.joinPath(
+        uri,
+        '..',
+        safeName + TEMPLATE_FILE_EXTENSION
+    );
+    if (await fileExists(file)) {
+        const choice = await vscode.window.showWarningMessage(
+            safeName + TEMPLATE_FILE_EXTENSION + ' already exists.',
+            { modal: true },
+            'Replace'
+        );
+        if (choice !== 'Replace') return;
+    }
+
+    const template = createTemplateFromBoard(data, name, contents.withCards);
+    await vscode.workspace.fs.writeFile(
+        file,
+        Buffer.from(JSON.stringify(template, null, 2) + '\n')
+    );
+    vscode.window.showInformationMessage(
+        'Saved template "' +
+            name +
+            '" to ' +
+            vscode.workspace.asRelativePath(file) +
+            '.'
+    );
 }
 
+// Sidebar tree of boards, their columns and their cards, read from the
+// BoardIndex so it only re-reads boards the file watcher reports as changed.
 class BoardProvider {
-    constructor() {
+    constructor(index) {
+        this.index = index;
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.subscription = index.onDidChange(() => this.refresh());
     }
 
     refresh() {
@@ -46,53 +432,457 @@ class BoardProvider {
     }
 
     async getChildren(element) {
-        if (element) {
-            return [];
+        if (!element) {
+            const boards = await this.index.getBoards();
+            return boards
+                .map((board) => createBoardTreeItem(board))
+                .sort((a, b) => a.label.localeCompare(b.label));
         }
 
-        const files = await vscode.workspace.findFiles('**/*.board.json');
-        return files.map((uri) => {
-            const item = new vscode.TreeItem(
-                vscode.workspace.asRelativePath(uri),
-                vscode.TreeItemCollapsibleState.None
+        const board = (await this.index.getBoards()).find(
+            (b) => b.uri.toString() === element.boardUri.toString()
+        );
+        if (!board || !board.data) return [];
+
+        if (element.contextValue === 'board') {
+            return board.data.columns.map((col) =>
+                createColumnTreeItem(board.uri, col)
             );
-            item.iconPath = new vscode.ThemeIcon('breakpoints-activate');
-            item.command = {
-                command: 'todoBoard.openPreview',
-                title: 'Open Board',
-                arguments: [uri],
-            };
-            return item;
-        });
+        }
+        if (element.contextValue === 'column') {
+            const col = board.data.columns.find(
+                (c) => c.id === element.columnId
+            );
+            return col
+                ? col.cards.map((card) =>
+                      createCardTreeItem(board.uri, col, card)
+                  )
+                : [];
+        }
+        return [];
+    }
+
+    dispose() {
+        this.subscription.dispose();
+        this._onDidChangeTreeData.dispose();
     }
 }
 
-async function openPreview(uri) {
-    if (!uri && !vscode.workspace.workspaceFolders) {
-        vscode.window.showErrorMessage('Open a workspace first.');
-        return;
+function countCards(data) {
+    return data.columns.reduce((sum, col) => sum + col.cards.length, 0);
+}
+
+function describeCount(count, noun) {
+    return count + ' ' + noun + (count === 1 ? '' : 's');
+}
+
+function createBoardTreeItem(board) {
+    const item = new vscode.TreeItem(
+        vscode.workspace.asRelativePath(board.uri),
+        board.data
+            ? vscode.TreeItemCollapsibleState.Collapsed
+            : vscode.TreeItemCollapsibleState.None
+    );
+    item.id = board.uri.toString();
+    item.boardUri = board.uri;
+    item.contextValue = 'board';
+    if (board.data) {
+        item.iconPath = new vscode.ThemeIcon('breakpoints-activate');
+        item.description = describeCount(countCards(board.data), 'card');
+    } else {
+        item.iconPath = new vscode.ThemeIcon('warning');
+        item.description = "can't be read";
+        item.tooltip = board.error.message;
     }
+    item.command = {
+        command: 'todoBoard.openPreview',
+        title: 'Open Board',
+        arguments: [board.uri],
+    };
+    return item;
+}
 
-    if (!uri || !(uri instanceof vscode.Uri)) {
-        const root = vscode.workspace.workspaceFolders[0].uri;
-        uri = vscode.Uri.joinPath(root, 'todo.board.json');
+function createColumnTreeItem(uri, col) {
+    const item = new vscode.TreeItem(
+        col.title,
+        col.cards.length
+            ? vscode.TreeItemCollapsibleState.Collapsed
+            : vscode.TreeItemCollapsibleState.None
+    );
+    item.id = uri.toString() + '#' + col.id;
+    item.boardUri = uri;
+    item.columnId = col.id;
+    item.contextValue = 'column';
+    item.iconPath = new vscode.ThemeIcon(
+        col.policy === 'done' ? 'pass' : 'list-unordered'
+    );
+    item.description = col.wipLimit
+        ? col.cards.length + '/' + col.wipLimit
+        : String(col.cards.length);
+    item.tooltip =
+        col.title +
+        ' — ' +
+        describeCount(col.cards.length, 'card') +
+        (col.wipLimit ? ', WIP limit ' + col.wipLimit : '');
+    return item;
+}
+
+function createCardTreeItem(uri, col, card) {
+    const item = new vscode.TreeItem(
+        card.title,
+        vscode.TreeItemCollapsibleState.None
+    );
+    item.id = uri.toString() + '#' + col.id + '#' + card.id;
+    item.boardUri = uri;
+    item.columnId = col.id;
+    item.cardId = card.id;
+    item.contextValue = 'card';
+    item.iconPath = new vscode.ThemeIcon(
+        card.completedAt ? 'pass-filled' : 'note'
+    );
+    const labels = Array.isArray(card.labels) ? card.labels : [];
+    item.description = labels.map((label) => label.name).join(', ');
+    if (card.description) {
+        item.tooltip = new vscode.MarkdownString(
+            '**' + card.title + '**\n\n' + card.description
+        );
+    }
+    item.command = {
+        command: 'todoBoard.revealCard',
+        title: 'Open Card',
+        arguments: [uri, card.id],
+    };
+    return item;
+}
+
+// Tree item commands
+
+function registerBoardTreeCommands(context, index) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.openCard', (item) =>
+            vscode.commands.executeCommand(
+                'todoBoard.revealCard',
+                item.boardUri,
+                item.cardId
+            )
+        ),
+        // Also scriptable, see the public API.
+        vscode.commands.registerCommand('todoBoard.addCard', (target, args) => {
+            if (target && target.boardUri)
+                return addCardFromTree(index, target);
+            const { board, ...rest } = getCommandArgs(target, args);
+            return addCardToBoard(board, rest);
+        }),
+        vscode.commands.registerCommand(
+            'todoBoard.moveCard',
+            (target, args) => {
+                if (target && target.boardUri)
+                    return moveCardFromTree(index, target);
+                const { board, ...rest } = getCommandArgs(target, args);
+                return moveCardOnBoard(board, rest);
+            }
+        ),
+        vscode.commands.registerCommand('todoBoard.moveCardToBoard', (item) =>
+            moveCardToBoard(item.boardUri, item.cardId, index)
+        ),
+        vscode.commands.registerCommand('todoBoard.delete', (item) =>
+            deleteFromTree(item)
+        ),
+        vscode.commands.registerCommand('todoBoard.archive', (item) =>
+            applyTreeOperation(
+                item.boardUri,
+                item.contextValue === 'column'
+                    ? { type: 'archive-column', columnId: item.columnId }
+                    : { type: 'archive-card', cardId: item.cardId }
+            )
+        ),
+        vscode.commands.registerCommand('todoBoard.renameBoard', (item) =>
+            renameBoard(item.boardUri)
+        ),
+        vscode.commands.registerCommand('todoBoard.duplicateBoard', (item) =>
+            duplicateBoard(item.boardUri)
+        )
+    );
+}
+
+async function getIndexedBoard(index, uri) {
+    const boards = await index.getBoards();
+    return boards.find((b) => b.uri.toString() === uri.toString());
+}
+
+// Applies a board operation to the file behind a tree item, reporting
+// operations the board refuses (such as a full column) as errors.
+async function applyTreeOperation(uri, op) {
+    const { rejected } = await applyFileOperation(uri, op);
+    if (rejected) vscode.window.showErrorMessage(rejected);
+}
+
+// Applies a board operation to the file at `uri`, logging activity like the
+// board editor. Changes that would leave the board invalid are rejected.
+// Resolves to the result of applyBoardOperation.
+async function applyFileOperation(uri, op) {
+    const by = await getActivityActor(uri);
+    let result;
+    let activity = [];
+    await updateBoardFile(uri, (data) => {
+        const before = JSON.parse(JSON.stringify(data));
+        result = applyBoardOperation(data, op, false);
+        if (!result.changed) return false;
+        const problems = validateBoard(data);
+        if (problems.length) {
+            result = { rejected: problems[0].message };
+            return false;
+        }
+        activity = collectActivity(uri, before, data, by);
+        return true;
+    });
+    await writeSidecarActivity(uri, activity);
+    return result;
+}
+
+async function addCardFromTree(index, item) {
+    let columnId = item.columnId;
+    if (!columnId) {
+        const board = await getIndexedBoard(index, item.boardUri);
+        if (!board || !board.data) return;
+        const picked = await vscode.window.showQuickPick(
+            board.data.columns.map((col) => ({
+                label: col.title,
+                description: describeCount(col.cards.length, 'card'),
+                id: col.id,
+            })),
+            { placeHolder: 'Add a card to which column?' }
+        );
+        if (!picked) return;
+        columnId = picked.id;
+    }
+
+    const title = await vscode.window.showInputBox({
+        prompt: 'New Card Title',
+    });
+    if (!title || !title.trim()) return;
+
+    await applyTreeOperation(item.boardUri, {
+        type: 'add-card',
+        columnId,
+        titles: [title],
+    });
+}
+
+async function moveCardFromTree(index, item) {
+    const board = await getIndexedBoard(index, item.boardUri);
+    if (!board || !board.data) return;
+
+    const picked = await vscode.window.showQuickPick(
+        board.data.columns
+            .filter((col) => col.id !== item.columnId)
+            .map((col) => ({
+                label: col.title,
+                description: col.wipLimit
+                    ? col.cards.length + '/' + col.wipLimit
+                    : describeCount(col.cards.length, 'card'),
+                id: col.id,
+            })),
+        { placeHolder: 'Move "' + item.label + '" to…' }
+    );
+    if (!picked) return;
+
+    await applyTreeOperation(item.boardUri, {
+        type: 'move-card',
+        cardId: item.cardId,
+        toColumnId: picked.id,
+    });
+}
+
+async function deleteFromTree(item) {
+    const name =
+        item.contextValue === 'board'
+            ? vscode.workspace.asRelativePath(item.boardUri)
+            : item.label;
+    const what =
+        item.contextValue === 'board'
+            ? 'board'
+            : item.contextValue === 'column'
+              ? 'column and its cards'
+              : 'card';
+    const choice = await vscode.window.showWarningMessage(
+        'Delete the ' + what + ' "' + name + '"?',
+        { modal: true },
+        'Delete'
+    );
+    if (choice !== 'Delete') return;
+
+    if (item.contextValue === 'board') {
+        // The sidecar activity log goes with the board.
+        const edit = new vscode.WorkspaceEdit();
+        edit.deleteFile(item.boardUri);
+        edit.deleteFile(getActivityLogUri(item.boardUri), {
+            ignoreIfNotExists: true,
+        });
+        await vscode.workspace.applyEdit(edit);
+    } else if (item.contextValue === 'column') {
+        await applyTreeOperation(item.boardUri, {
+            type: 'delete-column',
+            columnId: item.columnId,
+        });
+    } else {
+        await applyTreeOperation(item.boardUri, {
+            type: 'delete-card',
+            cardId: item.cardId,
+        });
     }
+}
+
+const BOARD_EXTENSION = '.board.json';
+
+function isBoardUri(uri) {
+    return uri.path.endsWith(BOARD_EXTENSION) || isMarkdownBoardUri(uri);
+}
+
+// The board file extension of `uri`, `.board.json` for other files.
+function getBoardExtension(uri) {
+    return isMarkdownBoardUri(uri) ? MARKDOWN_BOARD_EXTENSION : BOARD_EXTENSION;
+}
+
+function getBoardName(uri) {
+    const file = uri.path.slice(uri.path.lastIndexOf('/') + 1);
+    return isBoardUri(uri)
+        ? file.slice(0, -getBoardExtension(uri).length)
+        : file;
+}
 
+function getSiblingBoardUri(uri, name) {
+    return vscode.Uri.joinPath(uri, '..', name + getBoardExtension(uri));
+}
+
+async function fileExists(uri) {
     try {
         await vscode.workspace.fs.stat(uri);
+        return true;
     } catch {
-        const initialTodo = {
-            columns: [
-                { id: 'Ideas', title: 'Ideas', cards: [] },
-                { id: 'In-Progress', title: 'In Progress', cards: [] },
-                { id: 'Done', title: 'Done', cards: [] },
-            ],
-        };
+        return false;
+    }
+}
 
-        await vscode.workspace.fs.writeFile(
-            uri,
-            Buffer.from(JSON.stringify(initialTodo, null, 2))
+// Renames through a workspace edit so open editors of the board follow it.
+// A sidecar activity log is renamed along with it.
+async function renameBoard(uri) {
+    const name = await vscode.window.showInputBox({
+        prompt: 'New board name',
+        value: getBoardName(uri),
+        validateInput: (text) =>
+            /^[^\\/:*?"<>|]+$/.test(text.trim())
+                ? null
+                : 'Enter a file name without path separators.',
+    });
+    if (!name || name.trim() === getBoardName(uri)) return;
+
+    const target = getSiblingBoardUri(uri, name.trim());
+    if (await fileExists(target)) {
+        vscode.window.showErrorMessage(
+            'File already exists: ' + name.trim() + getBoardExtension(uri)
+        );
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.renameFile(uri, target);
+    await renameActivityLog(edit, uri, target);
+    await vscode.workspace.applyEdit(edit);
+}
+
+// Converts a board between the JSON and Markdown formats. The converted board
+// is written before the old file is deleted, so a failed step never loses
+// the board, and then opened in place of the old one.
+async function convertBoard(target, editor, index) {
+    const uri = await resolveBoardUri(target, editor, index);
+    if (!uri) return;
+
+    const { data, error } = await readBoardFile(uri);
+    if (error) {
+        vscode.window.showErrorMessage(
+            'Cannot convert ' +
+                vscode.workspace.asRelativePath(uri) +
+                ': ' +
+                error.message
+        );
+        return;
+    }
+    const extension = isMarkdownBoardUri(uri)
+        ? BOARD_EXTENSION
+        : MARKDOWN_BOARD_EXTENSION;
+    const converted = vscode.Uri.joinPath(
+        uri,
+        '..',
+        getBoardName(uri) + extension
+    );
+    if (await fileExists(converted)) {
+        vscode.window.showErrorMessage(
+            'File already exists: ' + getBoardName(uri) + extension
+        );
+        return;
+    }
+    try {
+        await writeNewBoard(converted, data);
+    } catch (err) {
+        vscode.window.showErrorMessage(
+            'Cannot write ' +
+                vscode.workspace.asRelativePath(converted) +
+                ': ' +
+                err.message
+        );
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.deleteFile(uri);
+    await renameActivityLog(edit, uri, converted);
+    const removed = await vscode.workspace.applyEdit(edit);
+    await openPreview(converted);
+    if (!removed) {
+        vscode.window.showWarningMessage(
+            'Converted the board to ' +
+                vscode.workspace.asRelativePath(converted) +
+                ', but could not delete ' +
+                vscode.workspace.asRelativePath(uri) +
+                '.'
+        );
+    } else {
+        vscode.window.showInformationMessage(
+            'Converted the board to ' +
+                vscode.workspace.asRelativePath(converted)
+        );
+    }
+}
+
+async function duplicateBoard(uri) {
+    const base = getBoardName(uri) + ' copy';
+    let target = getSiblingBoardUri(uri, base);
+    for (let n = 2; await fileExists(target); n++) {
+        target = getSiblingBoardUri(uri, base + ' ' + n);
+    }
+
+    await vscode.workspace.fs.copy(uri, target);
+    await openPreview(target);
+}
+
+async function openPreview(uri) {
+    if (!uri || !(uri instanceof vscode.Uri)) {
+        const folder = await pickWorkspaceFolder(
+            'Open the board of which folder?'
         );
+        if (!folder) return;
+        uri = vscode.Uri.joinPath(
+            getBoardsDirectory(folder),
+            'todo.board.json'
+        );
+    }
+
+    if (!(await fileExists(uri))) {
+        const template = await getDefaultTemplate(
+            vscode.workspace.getWorkspaceFolder(uri)
+        );
+        await writeNewBoard(uri, createBoardFromTemplate(template));
     }
 
     await vscode.commands.executeCommand(
@@ -103,10 +893,10 @@ async function openPreview(uri) {
 }
 
 async function createBoard() {
-    if (!vscode.workspace.workspaceFolders) {
-        vscode.window.showErrorMessage('Open a workspace first.');
-        return;
-    }
+    const folder = await pickWorkspaceFolder(
+        'Create the board in which folder?'
+    );
+    if (!folder) return;
 
     const name = await vscode.window.showInputBox({
         prompt: 'Enter name for new board (will be saved as .board.json)',
@@ -118,154 +908,7894 @@ async function createBoard() {
     const safeName = name.replace(/[^a-z0-9\- ]/gi, '').trim();
     const filename = (safeName || 'untitled') + '.board.json';
 
-    const root = vscode.workspace.workspaceFolders[0].uri;
-    const uri = vscode.Uri.joinPath(root, filename);
+    const uri = vscode.Uri.joinPath(getBoardsDirectory(folder), filename);
 
-    try {
-        await vscode.workspace.fs.stat(uri);
+    if (await fileExists(uri)) {
         vscode.window.showErrorMessage('File already exists: ' + filename);
         return;
-    } catch {}
+    }
 
-    const initialTodo = {
-        columns: [
-            { id: 'todo', title: 'To Do', cards: [] },
-            { id: 'doing', title: 'Doing', cards: [] },
-            { id: 'done', title: 'Done', cards: [] },
-        ],
-    };
+    const template = await pickTemplate(folder);
+    if (!template) return;
+
+    await writeNewBoard(uri, createBoardFromTemplate(template));
+    await openPreview(uri);
+}
 
+// Writes a new board file, creating its directory when needed.
+async function writeNewBoard(uri, data) {
+    await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(uri, '..'));
     await vscode.workspace.fs.writeFile(
         uri,
-        Buffer.from(JSON.stringify(initialTodo, null, 2))
+        Buffer.from(serializeBoard(data, getBoardFormat(uri)))
     );
-
-    await openPreview(uri);
 }
 
-class TodoBoardEditor {
-    resolveCustomTextEditor(document, panel) {
-        panel.webview.options = { enableScripts: true };
-        panel.webview.html = this.getHtml();
-
-        const sendData = () => {
-            try {
-                panel.webview.postMessage({
-                    type: 'data',
-                    data: JSON.parse(document.getText()),
-                });
-            } catch {}
-        };
+// Assignees
+//
+// Cards list the people working on them in `assignees`, by name or email.
+// Suggestions come from the `todoBoard.team` setting and the authors of
+// recent commits, read through the built-in Git extension when it is
+// installed and enabled.
 
-        sendData();
+const GIT_AUTHOR_COMMITS = 500;
 
-        const docSub = vscode.workspace.onDidChangeTextDocument((e) => {
-            if (e.document.uri.toString() === document.uri.toString()) {
+// The Git extension's API, or null when it is unavailable.
+async function getGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) return null;
+    try {
+        const exports = extension.isActive
+            ? extension.exports
+            : await extension.activate();
+        return exports.enabled ? exports.getAPI(1) : null;
+    } catch {
+        return null;
+    }
+}
+
+// The repository containing `uri`, or the first one when there is no `uri`
+// or it is outside every repository.
+async function getGitRepository(uri) {
+    const git = await getGitApi();
+    if (!git || !git.repositories.length) return null;
+    return (uri && git.getRepository(uri)) || git.repositories[0];
+}
+
+// Resolves to `{ name, email }` from git's `user.name` and `user.email`, or
+// to null when there is no repository or neither is set.
+async function getGitUser(uri) {
+    const repository = await getGitRepository(uri);
+    if (!repository) return null;
+    const read = (key) =>
+        repository.getConfig(key).then(
+            (value) => value.trim(),
+            () => ''
+        );
+    const [name, email] = await Promise.all([
+        read('user.name'),
+        read('user.email'),
+    ]);
+    return name || email ? { name, email } : null;
+}
+
+// Names of the authors of recent commits, most active first.
+async function getGitAuthors(uri) {
+    const repository = await getGitRepository(uri);
+    if (!repository) return [];
+    let commits;
+    try {
+        commits = await repository.log({ maxEntries: GIT_AUTHOR_COMMITS });
+    } catch {
+        return [];
+    }
+    const counts = new Map();
+    for (const commit of commits) {
+        const name = commit.authorName || commit.authorEmail;
+        if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+}
+
+// The configured team followed by git authors, without duplicates.
+async function getAssigneeSuggestions(uri) {
+    const team = vscode.workspace
+        .getConfiguration('todoBoard', uri)
+        .get('team', []);
+    const names = [];
+    for (const name of team.concat(await getGitAuthors(uri))) {
+        const trimmed = String(name).trim();
+        const key = trimmed.toLowerCase();
+        if (trimmed && !names.some((n) => n.toLowerCase() === key)) {
+            names.push(trimmed);
+        }
+    }
+    return names;
+}
+
+// Whether `user` (`{ name, email }`) is one of the card's assignees.
+function isAssignedTo(card, user) {
+    const ids = [user.name, user.email]
+        .filter(Boolean)
+        .map((id) => id.toLowerCase());
+    return (card.assignees || []).some((assignee) =>
+        ids.includes(String(assignee).toLowerCase())
+    );
+}
+
+// The cards on a board that are assigned to `user`, as `{ col, card }`.
+function findAssignedCards(data, user) {
+    return data.columns.flatMap((col) =>
+        col.cards
+            .filter((card) => isAssignedTo(card, user))
+            .map((card) => ({ col, card }))
+    );
+}
+
+// The boards with cards assigned to `user`, as `[{ board, cards }]` in path
+// order, where `cards` are `{ col, card }`.
+function groupAssignedCards(boards, user) {
+    const path = (board) => vscode.workspace.asRelativePath(board.uri);
+    return boards
+        .filter((board) => board.data)
+        .map((board) => ({
+            board,
+            cards: findAssignedCards(board.data, user),
+        }))
+        .filter(({ cards }) => cards.length)
+        .sort((a, b) => path(a.board).localeCompare(path(b.board)));
+}
+
+// Sidebar tree of the cards assigned to the current git user on every board
+// in the workspace, grouped by board.
+class MyCardsProvider {
+    constructor(index) {
+        this.index = index;
+        this.view = null;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.subscriptions = [index.onDidChange(() => this.refresh())];
+        // Repositories open after activation, and the git user is only known
+        // once one has.
+        getGitApi().then((git) => {
+            if (git) {
+                this.subscriptions.push(
+                    git.onDidOpenRepository(() => this.refresh())
+                );
+            }
+        });
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    async getChildren(element) {
+        const user = await getGitUser();
+        const groups = user
+            ? groupAssignedCards(await this.index.getBoards(), user)
+            : [];
+
+        if (!element) {
+            const items = groups.map(({ board, cards }) => {
+                const item = createBoardTreeItem(board);
+                item.collapsibleState =
+                    vscode.TreeItemCollapsibleState.Expanded;
+                item.description = describeCount(cards.length, 'card');
+                return item;
+            });
+            if (this.view) {
+                this.view.message = !user
+                    ? 'Set git user.name or user.email to see the cards assigned to you.'
+                    : items.length
+                      ? undefined
+                      : 'No cards are assigned to ' +
+                        (user.name || user.email) +
+                        '.';
+            }
+            return items;
+        }
+
+        const group = groups.find(
+            ({ board }) => board.uri.toString() === element.boardUri.toString()
+        );
+        if (!group) return [];
+        return group.cards.map(({ col, card }) => {
+            const item = createCardTreeItem(group.board.uri, col, card);
+            item.description = col.title;
+            return item;
+        });
+    }
+
+    dispose() {
+        this.subscriptions.forEach((subscription) => subscription.dispose());
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+// Git work
+//
+// Cards tie into the local repository through the Git extension. "Start
+// Work" checks out a branch named after the card, commits whose message
+// mentions a card id are listed on the card, and with
+// `todoBoard.git.closeColumn` set, a commit that lands on the current branch
+// saying "closes <card-id>" (or fixes, resolves) moves the card to that
+// column.
+
+const GIT_LINK_COMMITS = 1000;
+const GIT_CLOSE_COMMITS = 100;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function closesCard(message, cardId) {
+    return new RegExp(
+        '\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\\s+' +
+            escapeRegExp(cardId) +
+            '(?![\\w-])',
+        'i'
+    ).test(message);
+}
+
+// Groups commits by the cards whose ids they mention as whole words (so
+// `card-1` is not found in `card-12`), as
+// `{ [cardId]: [{ hash, subject, author, date }] }`, newest first.
+function linkCommits(commits, data) {
+    const cards = data.columns
+        .flatMap((col) => col.cards)
+        .concat(data.archive || []);
+    const mentions = cards.map((card) => ({
+        id: card.id,
+        pattern: new RegExp(
+            '(?:^|[^\\w-])' + escapeRegExp(card.id) + '(?![\\w-])'
+        ),
+    }));
+    const links = {};
+    for (const commit of commits) {
+        for (const { id, pattern } of mentions) {
+            if (!pattern.test(commit.message)) continue;
+            (links[id] = links[id] || []).push({
+                hash: commit.hash,
+                subject: commit.message.split('\n')[0],
+                author: commit.authorName || commit.authorEmail,
+                date: commit.authorDate
+                    ? new Date(commit.authorDate).toISOString()
+                    : undefined,
+            });
+        }
+    }
+    return links;
+}
+
+async function getRecentCommits(uri) {
+    const repository = await getGitRepository(uri);
+    if (!repository) return [];
+    try {
+        return await repository.log({ maxEntries: GIT_LINK_COMMITS });
+    } catch {
+        return [];
+    }
+}
+
+// Calls `listener(repository, previous)` whenever the HEAD of a repository
+// moves, `previous` being the `{ name, commit }` it moved from, if known.
+function watchGitHeads(listener) {
+    const subscriptions = [];
+    let disposed = false;
+    const watch = (repository) => {
+        const snapshot = () => {
+            const head = repository.state.HEAD;
+            return head ? { name: head.name, commit: head.commit } : null;
+        };
+        let head = snapshot();
+        subscriptions.push(
+            repository.state.onDidChange(() => {
+                const previous = head;
+                head = snapshot();
+                if (
+                    head &&
+                    (!previous ||
+                        previous.commit !== head.commit ||
+                        previous.name !== head.name)
+                ) {
+                    listener(repository, previous);
+                }
+            })
+        );
+    };
+    getGitApi().then((git) => {
+        if (!git || disposed) return;
+        git.repositories.forEach(watch);
+        subscriptions.push(git.onDidOpenRepository(watch));
+    });
+    return new vscode.Disposable(() => {
+        disposed = true;
+        subscriptions.forEach((s) => s.dispose());
+    });
+}
+
+// A branch name from the card id and the start of its title.
+function getCardBranchName(card) {
+    const slug = card.title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 40)
+        .replace(/^-+|-+$/g, '');
+    return slug ? card.id + '-' + slug : card.id;
+}
+
+async function startWorkOnCard(uri, cardId) {
+    const { data } = await readBoardFile(uri);
+    const found = data && findCardInBoard(data, cardId);
+    if (!found) return;
+    const repository = await getGitRepository(uri);
+    if (!repository) {
+        vscode.window.showErrorMessage(
+            'Starting work needs a git repository and the Git extension.'
+        );
+        return;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Branch for "' + found.card.title + '"',
+        value: getCardBranchName(found.card),
+        validateInput: (text) =>
+            /^[^\s~^:?*[\\]+$/.test(text) && !text.includes('..')
+                ? null
+                : 'Enter a valid branch name.',
+    });
+    if (!name) return;
+
+    try {
+        const exists = await repository.getBranch(name).then(
+            () => true,
+            () => false
+        );
+        if (exists) {
+            await repository.checkout(name);
+        } else {
+            await repository.createBranch(name, true);
+        }
+    } catch (err) {
+        vscode.window.showErrorMessage(
+            'Cannot switch to ' + name + ': ' + err.message
+        );
+        return;
+    }
+    vscode.window.showInformationMessage('Switched to branch ' + name + '.');
+}
+
+function registerGitWork(context, index) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.startWork', (item) =>
+            startWorkOnCard(item.boardUri, item.cardId)
+        ),
+        watchGitHeads((repository, previous) =>
+            closeCardsFromCommits(index, repository, previous).catch((err) =>
+                vscode.window.showErrorMessage(err.message)
+            )
+        )
+    );
+}
+
+// Moves the cards closed by the commits that took the branch from `previous`
+// to its new HEAD. Switching branches, rebases and amends are left alone.
+async function closeCardsFromCommits(index, repository, previous) {
+    const head = repository.state.HEAD;
+    if (!previous || !previous.commit || previous.name !== head.name) return;
+
+    const boards = (await index.getBoards()).filter(
+        (board) =>
+            board.data &&
+            board.uri.path.startsWith(repository.rootUri.path + '/') &&
+            getCloseColumn(board.uri)
+    );
+    if (!boards.length) return;
+
+    let commits;
+    try {
+        commits = await repository.log({ maxEntries: GIT_CLOSE_COMMITS });
+    } catch {
+        return;
+    }
+    const end = commits.findIndex((c) => c.hash === previous.commit);
+    if (end <= 0) return;
+    const landed = commits.slice(0, end).reverse();
+
+    for (const board of boards) {
+        const column = getCloseColumn(board.uri);
+        for (const col of board.data.columns) {
+            for (const card of col.cards) {
+                const commit = landed.find((c) =>
+                    closesCard(c.message, card.id)
+                );
+                if (!commit) continue;
+                if (
+                    col.id === column ||
+                    col.title.toLowerCase() === column.toLowerCase()
+                ) {
+                    continue;
+                }
+                await moveCardOnBoard(board.uri, { card: card.id, column });
+                vscode.window.showInformationMessage(
+                    'Moved "' +
+                        card.title +
+                        '" to ' +
+                        column +
+                        ', closed by ' +
+                        commit.hash.slice(0, 7) +
+                        '.'
+                );
+            }
+        }
+    }
+}
+
+function getCloseColumn(uri) {
+    return vscode.workspace
+        .getConfiguration('todoBoard.git', uri)
+        .get('closeColumn', '')
+        .trim();
+}
+
+// Due dates
+//
+// Cards can have a `start` and a `due` date (YYYY-MM-DD). A card that is not
+// done is overdue after its due date and due soon within
+// `todoBoard.dueSoonDays` days of it. A status bar item counts the cards due
+// today and overdue on every board, and while the workspace is open a
+// reminder is shown for each card coming due, once a day.
+
+const DUE_CHECK_INTERVAL = 60 * 60 * 1000;
+const DUE_REMINDERS_KEY = 'todoBoard.dueReminders';
+
+// `date` as YYYY-MM-DD in local time.
+function toLocalDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return (
+        date.getFullYear() +
+        '-' +
+        pad(date.getMonth() + 1) +
+        '-' +
+        pad(date.getDate())
+    );
+}
+
+function getDueSoonDays(uri) {
+    return vscode.workspace
+        .getConfiguration('todoBoard', uri)
+        .get('dueSoonDays', 2);
+}
+
+// 'overdue', 'today', 'soon' or null, for `today` as YYYY-MM-DD.
+function getDueStatus(col, card, today, soonDays) {
+    if (!card.due || isCardDone(col, card)) return null;
+    const days = Math.round(
+        (Date.parse(card.due.slice(0, 10)) - Date.parse(today)) / 86400000
+    );
+    if (days < 0) return 'overdue';
+    if (days === 0) return 'today';
+    return days <= soonDays ? 'soon' : null;
+}
+
+// The cards of `boards` that are overdue or coming due, soonest first, as
+// `{ uri, col, card, status }`. `getSoonDays` gives the due soon window of
+// a board.
+function findDueCards(boards, today, getSoonDays) {
+    const due = [];
+    for (const { uri, data } of boards) {
+        if (!data) continue;
+        const soonDays = getSoonDays(uri);
+        for (const col of data.columns) {
+            for (const card of col.cards) {
+                const status = getDueStatus(col, card, today, soonDays);
+                if (status) due.push({ uri, col, card, status });
+            }
+        }
+    }
+    return due.sort((a, b) => a.card.due.localeCompare(b.card.due));
+}
+
+function describeDueStatus({ card, status }) {
+    const date = card.due.slice(0, 10);
+    if (status === 'overdue') return 'Overdue since ' + date;
+    return status === 'today' ? 'Due today' : 'Due ' + date;
+}
+
+class DueCardsStatus {
+    constructor(index, state) {
+        this.index = index;
+        this.state = state;
+        this.item = vscode.window.createStatusBarItem(
+            vscode.StatusBarAlignment.Left
+        );
+        this.item.command = 'todoBoard.showDueCards';
+        this.item.tooltip = 'Show cards due today and overdue';
+        this.subscriptions = [
+            this.item,
+            index.onDidChange(() => this.refresh()),
+            vscode.workspace.onDidChangeConfiguration((e) => {
+                if (
+                    e.affectsConfiguration('todoBoard.dueSoonDays') ||
+                    e.affectsConfiguration('todoBoard.dueReminders')
+                ) {
+                    this.refresh();
+                }
+            }),
+        ];
+        // Also catches the day changing.
+        this.timer = setInterval(() => this.refresh(), DUE_CHECK_INTERVAL);
+        this.refresh();
+    }
+
+    async getDueCards() {
+        return findDueCards(
+            await this.index.getBoards(),
+            toLocalDate(new Date()),
+            getDueSoonDays
+        );
+    }
+
+    async refresh() {
+        const cards = await this.getDueCards();
+        const count = (status) =>
+            cards.filter((c) => c.status === status).length;
+        const today = count('today');
+        const overdue = count('overdue');
+        if (today || overdue) {
+            this.item.text =
+                '$(calendar) ' + today + ' due today / ' + overdue + ' overdue';
+            this.item.backgroundColor = overdue
+                ? new vscode.ThemeColor('statusBarItem.warningBackground')
+                : undefined;
+            this.item.show();
+        } else {
+            this.item.hide();
+        }
+        this.remind(cards);
+    }
+
+    // Shows a reminder for the cards not reminded of yet today.
+    remind(cards) {
+        const today = toLocalDate(new Date());
+        const stored = this.state.get(DUE_REMINDERS_KEY);
+        const reminded = new Set(
+            stored && stored.date === today ? stored.keys : []
+        );
+        const pending = cards.filter(({ uri, card }) => {
+            const key = uri.toString() + '#' + card.id + '#' + card.due;
+            if (
+                reminded.has(key) ||
+                !vscode.workspace
+                    .getConfiguration('todoBoard', uri)
+                    .get('dueReminders', true)
+            ) {
+                return false;
+            }
+            reminded.add(key);
+            return true;
+        });
+        if (!pending.length) return;
+        this.state.update(DUE_REMINDERS_KEY, {
+            date: today,
+            keys: [...reminded],
+        });
+
+        if (pending.length === 1) {
+            const [due] = pending;
+            vscode.window
+                .showInformationMessage(
+                    describeDueStatus(due) + ': ' + due.card.title,
+                    'Open Card'
+                )
+                .then((choice) => {
+                    if (choice) {
+                        vscode.commands.executeCommand(
+                            'todoBoard.revealCard',
+                            due.uri,
+                            due.card.id
+                        );
+                    }
+                });
+        } else {
+            vscode.window
+                .showInformationMessage(
+                    pending.length + ' cards are overdue or coming due.',
+                    'Show Cards'
+                )
+                .then((choice) => {
+                    if (choice) this.showDueCards(true);
+                });
+        }
+    }
+
+    // Lists the cards due today and overdue, or also those due soon.
+    async showDueCards(includeSoon) {
+        const cards = (await this.getDueCards()).filter(
+            (c) => includeSoon || c.status !== 'soon'
+        );
+        if (!cards.length) {
+            vscode.window.showInformationMessage(
+                'No cards are due today or overdue.'
+            );
+            return;
+        }
+        const picked = await vscode.window.showQuickPick(
+            cards.map((due) => ({
+                label:
+                    (due.status === 'overdue'
+                        ? '$(warning) '
+                        : '$(calendar) ') + due.card.title,
+                description: describeDueStatus(due),
+                detail:
+                    vscode.workspace.asRelativePath(due.uri) +
+                    ' · ' +
+                    due.col.title,
+                due,
+            })),
+            { placeHolder: 'Open a card', matchOnDetail: true }
+        );
+        if (picked) {
+            vscode.commands.executeCommand(
+                'todoBoard.revealCard',
+                picked.due.uri,
+                picked.due.card.id
+            );
+        }
+    }
+
+    dispose() {
+        clearInterval(this.timer);
+        this.subscriptions.forEach((s) => s.dispose());
+    }
+}
+
+// Settings
+
+const DEFAULT_BOARD_FILE_PATTERN = '**/*.board.{json,md}';
+
+function getBoardFilePattern() {
+    return (
+        vscode.workspace.getConfiguration('todoBoard').get('filePattern') ||
+        DEFAULT_BOARD_FILE_PATTERN
+    );
+}
+
+// Directory new boards are created in, relative to the workspace folder.
+function getBoardsDirectory(folder) {
+    const directory = vscode.workspace
+        .getConfiguration('todoBoard', folder.uri)
+        .get('boardsDirectory', '')
+        .trim();
+    return directory ? vscode.Uri.joinPath(folder.uri, directory) : folder.uri;
+}
+
+// The only workspace folder, or the one the user picks when there are
+// several. Resolves to undefined when there is none or the pick is cancelled.
+async function pickWorkspaceFolder(placeHolder) {
+    const folders = vscode.workspace.workspaceFolders;
+    if (!folders) {
+        vscode.window.showErrorMessage('Open a workspace first.');
+        return undefined;
+    }
+    if (folders.length === 1) return folders[0];
+    return vscode.window.showWorkspaceFolderPick({ placeHolder });
+}
+
+function isAutoSaveEnabled(uri) {
+    return vscode.workspace
+        .getConfiguration('todoBoard', uri)
+        .get('autoSave', true);
+}
+
+// Board documents are saved after every change unless `todoBoard.autoSave`
+// is off, in which case they are left dirty like any other edited file.
+async function saveBoardDocument(document) {
+    if (isAutoSaveEnabled(document.uri)) await document.save();
+}
+
+function getBoardFormat(uri) {
+    const config = vscode.workspace.getConfiguration('todoBoard.json', uri);
+    return {
+        indentation: config.get('indentation', 2),
+        keyOrder: config.get('keyOrder', 'preserve'),
+        markdown: isMarkdownBoardUri(uri),
+    };
+}
+
+// Board schema
+
+// Bump when the shape of `.board.json` changes and add a step to
+// BOARD_MIGRATIONS that upgrades the previous version.
+const BOARD_SCHEMA_VERSION = 1;
+
+// BOARD_MIGRATIONS[n] upgrades a version `n` board to version `n + 1`.
+const BOARD_MIGRATIONS = [
+    // 0 -> 1: unversioned boards. Both starter layouts written by earlier
+    // releases (Ideas/In Progress/Done from openPreview and To Do/Doing/Done
+    // from createBoard) are plain `{ columns }` objects; hand-edited files may
+    // also lack ids or card arrays, which are filled in here.
+    (board) => {
+        const uniqueIds = () => {
+            const used = new Set();
+            return (value, fallback) => {
+                const base =
+                    typeof value === 'string' && value ? value : fallback;
+                let id = base;
+                for (let n = 2; used.has(id); n++) id = base + '-' + n;
+                used.add(id);
+                return id;
+            };
+        };
+        const columnId = uniqueIds();
+        const cardId = uniqueIds();
+
+        const { columns, ...rest } = board;
+        if (!Array.isArray(columns)) {
+            return { version: 1, ...board };
+        }
+
+        return {
+            version: 1,
+            ...rest,
+            columns: columns.map((col, colIndex) => {
+                if (!isPlainObject(col)) return col;
+
+                const { id, title, cards, ...fields } = col;
+                const name =
+                    typeof title === 'string'
+                        ? title
+                        : typeof id === 'string'
+                          ? id
+                          : 'Column ' + (colIndex + 1);
+                return {
+                    id: columnId(
+                        id,
+                        name.toLowerCase().replace(/[^a-z0-9]/g, '-')
+                    ),
+                    title: name,
+                    ...fields,
+                    cards: (Array.isArray(cards) ? cards : []).map(
+                        (card, cardIndex) => {
+                            if (!isPlainObject(card)) return card;
+                            const { id, ...cardFields } = card;
+                            return {
+                                id: cardId(
+                                    id,
+                                    'card-' + colIndex + '-' + cardIndex
+                                ),
+                                ...cardFields,
+                            };
+                        }
+                    ),
+                };
+            }),
+        };
+    },
+];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function createBoardData(columns) {
+    return { version: BOARD_SCHEMA_VERSION, columns };
+}
+
+// Known keys in the order `keyOrder: 'canonical'` writes them. Other keys
+// follow in alphabetical order.
+const CANONICAL_KEY_ORDER = {
+    board: ['version', 'labels', 'swimlanes', 'columns', 'archive'],
+    column: [
+        'id',
+        'title',
+        'wipLimit',
+        'wipBlock',
+        'policy',
+        'autoArchiveDays',
+        'cards',
+    ],
+    card: [
+        'id',
+        'title',
+        'description',
+        'start',
+        'due',
+        'labels',
+        'assignees',
+        'lane',
+        'checklist',
+        'refs',
+        'source',
+        'completedAt',
+        'archivedFrom',
+        'archivedAt',
+        'activity',
+    ],
+};
+
+// `format` is `{ indentation, keyOrder, markdown }` as returned by
+// getBoardFormat.
+function serializeBoard(data, format = {}) {
+    if (format.markdown) return serializeMarkdownBoard(data);
+    const indentation =
+        format.indentation === 'tab' ? '\t' : Number(format.indentation) || 2;
+    if (format.keyOrder === 'canonical') {
+        data = {
+            ...sortKeys(data, CANONICAL_KEY_ORDER.board),
+            columns: data.columns.map((col) => ({
+                ...sortKeys(col, CANONICAL_KEY_ORDER.column),
+                cards: col.cards.map((card) =>
+                    sortKeys(card, CANONICAL_KEY_ORDER.card)
+                ),
+            })),
+        };
+        if (data.archive) {
+            data.archive = data.archive.map((card) =>
+                sortKeys(card, CANONICAL_KEY_ORDER.card)
+            );
+        }
+    }
+    return JSON.stringify(data, null, indentation);
+}
+
+function sortKeys(object, known) {
+    const rank = (key) =>
+        known.includes(key) ? known.indexOf(key) : known.length;
+    const sorted = {};
+    Object.keys(object)
+        .sort(
+            (a, b) =>
+                rank(a) - rank(b) ||
+                (rank(a) === known.length ? a.localeCompare(b) : 0)
+        )
+        .forEach((key) => {
+            sorted[key] = object[key];
+        });
+    return sorted;
+}
+
+// Upgrades a parsed board to the current schema version. Throws a
+// BoardSchemaError for boards that cannot be upgraded.
+function migrateBoard(board) {
+    if (!isPlainObject(board)) {
+        throw new BoardSchemaError('A board must be a JSON object.', []);
+    }
+
+    let version = board.version === undefined ? 0 : board.version;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new BoardSchemaError('"version" must be a whole number.', [
+            'version',
+        ]);
+    }
+    if (version > BOARD_SCHEMA_VERSION) {
+        throw new BoardSchemaError(
+            'This board uses schema version ' +
+                version +
+                ', which is newer than this version of Todo Board supports (' +
+                BOARD_SCHEMA_VERSION +
+                '). Update the extension to open it.',
+            ['version']
+        );
+    }
+
+    while (version < BOARD_SCHEMA_VERSION) {
+        board = BOARD_MIGRATIONS[version](board);
+        version++;
+    }
+    return board;
+}
+
+class BoardSchemaError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.name = 'BoardSchemaError';
+        this.path = path;
+    }
+}
+
+// Returns the list of schema problems in a migrated board as
+// `{ message, path }`, where `path` is e.g. ['columns', 1, 'cards', 0].
+// Fields the schema does not know about are left alone.
+function validateBoard(board) {
+    const problems = [];
+    const report = (path, message) => problems.push({ path, message });
+    const expect = (value, type, path) => {
+        const ok =
+            type === 'array'
+                ? Array.isArray(value)
+                : type === 'object'
+                  ? isPlainObject(value)
+                  : typeof value === type;
+        if (!ok) {
+            report(
+                path,
+                'Expected ' + type + ' at ' + formatJsonPath(path) + '.'
+            );
+        }
+        return ok;
+    };
+    const expectOptional = (owner, key, type, path) =>
+        owner[key] !== undefined && expect(owner[key], type, path.concat(key));
+    const expectUniqueId = (owner, ids, kind, path) => {
+        if (!expect(owner.id, 'string', path.concat('id'))) return;
+        if (ids.has(owner.id)) {
+            report(
+                path.concat('id'),
+                'Duplicate ' + kind + ' id "' + owner.id + '".'
+            );
+        }
+        ids.add(owner.id);
+    };
+    const expectActivity = (card, path) => {
+        if (!expectOptional(card, 'activity', 'array', path)) return;
+        card.activity.forEach((entry, i) => {
+            const entryPath = path.concat('activity', i);
+            if (expect(entry, 'object', entryPath)) {
+                expect(entry.at, 'string', entryPath.concat('at'));
+                expect(entry.type, 'string', entryPath.concat('type'));
+            }
+        });
+    };
+
+    if (expectOptional(board, 'labels', 'array', [])) {
+        board.labels.forEach((label, i) => {
+            if (expect(label, 'object', ['labels', i])) {
+                expect(label.name, 'string', ['labels', i, 'name']);
+            }
+        });
+    }
+
+    if (expectOptional(board, 'swimlanes', 'object', [])) {
+        const path = ['swimlanes'];
+        const { groupBy, lanes } = board.swimlanes;
+        if (
+            expectOptional(board.swimlanes, 'groupBy', 'string', path) &&
+            !SWIMLANE_GROUPS.includes(groupBy)
+        ) {
+            report(
+                path.concat('groupBy'),
+                'Expected one of ' +
+                    SWIMLANE_GROUPS.join(', ') +
+                    ' at swimlanes.groupBy.'
+            );
+        }
+        if (expectOptional(board.swimlanes, 'lanes', 'array', path)) {
+            const laneIds = new Set();
+            lanes.forEach((lane, i) => {
+                const lanePath = path.concat('lanes', i);
+                if (!expect(lane, 'object', lanePath)) return;
+                expectUniqueId(lane, laneIds, 'lane', lanePath);
+                expect(lane.title, 'string', lanePath.concat('title'));
+            });
+        }
+    }
+
+    if (!expect(board.columns, 'array', ['columns'])) return problems;
+
+    const columnIds = new Set();
+    const cardIds = new Set();
+    if (expectOptional(board, 'archive', 'array', [])) {
+        board.archive.forEach((card, i) => {
+            const cardPath = ['archive', i];
+            if (!expect(card, 'object', cardPath)) return;
+            expectUniqueId(card, cardIds, 'card', cardPath);
+            expect(card.title, 'string', cardPath.concat('title'));
+            expectOptional(card, 'archivedFrom', 'string', cardPath);
+            expectOptional(card, 'archivedAt', 'string', cardPath);
+            expectActivity(card, cardPath);
+        });
+    }
+    board.columns.forEach((col, colIndex) => {
+        const colPath = ['columns', colIndex];
+        if (!expect(col, 'object', colPath)) return;
+        expectUniqueId(col, columnIds, 'column', colPath);
+        expect(col.title, 'string', colPath.concat('title'));
+        expectOptional(col, 'wipLimit', 'number', colPath);
+        expectOptional(col, 'wipBlock', 'boolean', colPath);
+        expectOptional(col, 'policy', 'string', colPath);
+        expectOptional(col, 'autoArchiveDays', 'number', colPath);
+        if (!expect(col.cards, 'array', colPath.concat('cards'))) return;
+
+        col.cards.forEach((card, cardIndex) => {
+            const cardPath = colPath.concat('cards', cardIndex);
+            if (!expect(card, 'object', cardPath)) return;
+            expectUniqueId(card, cardIds, 'card', cardPath);
+            expect(card.title, 'string', cardPath.concat('title'));
+            expectOptional(card, 'description', 'string', cardPath);
+            expectOptional(card, 'completedAt', 'string', cardPath);
+            expectOptional(card, 'lane', 'string', cardPath);
+            if (expectOptional(card, 'assignees', 'array', cardPath)) {
+                card.assignees.forEach((name, i) => {
+                    expect(name, 'string', cardPath.concat('assignees', i));
+                });
+            }
+            for (const key of ['start', 'due']) {
+                if (
+                    expectOptional(card, key, 'string', cardPath) &&
+                    !/^\d{4}-\d{2}-\d{2}/.test(card[key])
+                ) {
+                    report(
+                        cardPath.concat(key),
+                        'Expected a YYYY-MM-DD date at ' +
+                            formatJsonPath(cardPath.concat(key)) +
+                            '.'
+                    );
+                }
+            }
+            if (expectOptional(card, 'checklist', 'array', cardPath)) {
+                card.checklist.forEach((item, i) => {
+                    const itemPath = cardPath.concat('checklist', i);
+                    if (expect(item, 'object', itemPath)) {
+                        expect(item.text, 'string', itemPath.concat('text'));
+                    }
+                });
+            }
+            if (expectOptional(card, 'refs', 'array', cardPath)) {
+                card.refs.forEach((ref, i) => {
+                    const refPath = cardPath.concat('refs', i);
+                    if (expect(ref, 'object', refPath)) {
+                        expect(ref.path, 'string', refPath.concat('path'));
+                    }
+                });
+            }
+            if (expectOptional(card, 'labels', 'array', cardPath)) {
+                card.labels.forEach((label, i) => {
+                    const labelPath = cardPath.concat('labels', i);
+                    if (expect(label, 'object', labelPath)) {
+                        expect(label.name, 'string', labelPath.concat('name'));
+                    }
+                });
+            }
+            expectActivity(card, cardPath);
+        });
+    });
+
+    return problems;
+}
+
+function formatJsonPath(path) {
+    if (!path.length) return 'the top level';
+    return path
+        .map((key, i) =>
+            typeof key === 'number' ? '[' + key + ']' : (i ? '.' : '') + key
+        )
+        .join('');
+}
+
+// Parses, migrates and validates board text. Returns `{ data }` for a usable
+// board or `{ error: { message, line, column } }` describing the first
+// problem, with a 1-based location when one is known. `format` tells
+// Markdown boards apart, as for serializeBoard.
+function parseBoardText(text, format = {}) {
+    const conflict = /^<{7}(?: |$)/m.exec(text);
+    if (conflict) {
+        return {
+            error: {
+                message: 'The file contains unresolved merge conflict markers.',
+                ...offsetToLocation(text, conflict.index),
+            },
+        };
+    }
+
+    let raw;
+    let locate;
+    if (format.markdown) {
+        const parsed = parseMarkdownBoardFile(text);
+        if (parsed.error) return { error: parsed.error };
+        raw = parsed.data;
+        locate = (problem) => locateMarkdownProblem(problem, parsed.locations);
+    } else {
+        try {
+            raw = JSON.parse(text);
+        } catch (err) {
+            return { error: describeJsonError(err, text) };
+        }
+        locate = (problem) => locateSchemaProblem(problem, text);
+    }
+
+    let data;
+    try {
+        data = migrateBoard(raw);
+    } catch (err) {
+        if (!(err instanceof BoardSchemaError)) throw err;
+        return { error: locate(err) };
+    }
+
+    const problems = validateBoard(data);
+    if (problems.length) {
+        return { error: locate(problems[0]) };
+    }
+    return { data };
+}
+
+function describeJsonError(err, text) {
+    const error = { message: 'Invalid JSON: ' + err.message };
+    const lineColumn = /line (\d+) column (\d+)/.exec(err.message);
+    const position = /position (\d+)/.exec(err.message);
+    if (lineColumn) {
+        error.line = Number(lineColumn[1]);
+        error.column = Number(lineColumn[2]);
+    } else if (position) {
+        Object.assign(error, offsetToLocation(text, Number(position[1])));
+    } else if (!text.trim()) {
+        error.message = 'The file is empty.';
+    } else {
+        Object.assign(error, offsetToLocation(text, findJsonErrorOffset(text)));
+    }
+    return error;
+}
+
+// Not every JavaScript engine reports where JSON.parse failed, so this scans
+// the text with a strict JSON grammar and returns the offset of the first
+// character that does not fit.
+function findJsonErrorOffset(text) {
+    let pos = 0;
+    const fail = () => {
+        throw pos;
+    };
+    const skipWhitespace = () => {
+        while (/[ \t\n\r]/.test(text[pos] || '')) pos++;
+    };
+    const literal = (word) => {
+        if (text.startsWith(word, pos)) pos += word.length;
+        else fail();
+    };
+    const string = () => {
+        if (text[pos] !== '"') fail();
+        pos++;
+        while (text[pos] !== '"') {
+            if (pos >= text.length || text[pos] < ' ') fail();
+            if (text[pos] === '\\') {
+                pos++;
+                if (text[pos] === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.substr(pos + 1, 4)))
+                        fail();
+                    pos += 4;
+                } else if (!'"\\/bfnrt'.includes(text[pos] || 'x')) {
+                    fail();
+                }
+            }
+            pos++;
+        }
+        pos++;
+    };
+    const value = () => {
+        skipWhitespace();
+        const ch = text[pos];
+        if (ch === '{') {
+            pos++;
+            skipWhitespace();
+            if (text[pos] === '}') return pos++;
+            for (;;) {
+                skipWhitespace();
+                string();
+                skipWhitespace();
+                if (text[pos] !== ':') fail();
+                pos++;
+                value();
+                skipWhitespace();
+                if (text[pos] === '}') return pos++;
+                if (text[pos] !== ',') fail();
+                pos++;
+            }
+        } else if (ch === '[') {
+            pos++;
+            skipWhitespace();
+            if (text[pos] === ']') return pos++;
+            for (;;) {
+                value();
+                skipWhitespace();
+                if (text[pos] === ']') return pos++;
+                if (text[pos] !== ',') fail();
+                pos++;
+            }
+        } else if (ch === '"') {
+            string();
+        } else if (ch === 't') {
+            literal('true');
+        } else if (ch === 'f') {
+            literal('false');
+        } else if (ch === 'n') {
+            literal('null');
+        } else {
+            const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(
+                text.slice(pos)
+            );
+            if (!match) fail();
+            pos += match[0].length;
+        }
+    };
+
+    try {
+        value();
+        skipWhitespace();
+        if (pos < text.length) fail();
+    } catch (offset) {
+        if (typeof offset !== 'number') throw offset;
+        return Math.min(offset, text.length);
+    }
+    return text.length;
+}
+
+function locateSchemaProblem(problem, text) {
+    const offset = locateJsonPath(text, problem.path);
+    return {
+        message: problem.message,
+        ...(offset === null ? {} : offsetToLocation(text, offset)),
+    };
+}
+
+function offsetToLocation(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return {
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+    };
+}
+
+// Finds the offset in well-formed JSON text of the value at `path`. When part
+// of the path does not exist, the offset of the deepest existing parent is
+// returned instead.
+function locateJsonPath(text, path) {
+    let pos = 0;
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const skipString = () => {
+        pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            if (text[pos] === '\\') pos++;
+            pos++;
+        }
+        pos++;
+    };
+    const skipValue = () => {
+        skipWhitespace();
+        const open = text[pos];
+        if (open === '"') {
+            skipString();
+        } else if (open === '{' || open === '[') {
+            pos++;
+            skipWhitespace();
+            while (
+                pos < text.length &&
+                text[pos] !== '}' &&
+                text[pos] !== ']'
+            ) {
+                if (open === '{') {
+                    skipString();
+                    skipWhitespace();
+                    pos++;
+                }
+                skipValue();
+                skipWhitespace();
+                if (text[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            pos++;
+        } else {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+        }
+    };
+
+    skipWhitespace();
+    let found = pos;
+    for (const key of path) {
+        if (text[pos] === '{' && typeof key === 'string') {
+            pos++;
+            let matched = false;
+            skipWhitespace();
+            while (pos < text.length && text[pos] !== '}') {
+                const start = pos;
+                skipString();
+                const name = JSON.parse(text.slice(start, pos));
+                skipWhitespace();
+                pos++;
+                skipWhitespace();
+                if (name === key) {
+                    matched = true;
+                    break;
+                }
+                skipValue();
+                skipWhitespace();
+                if (text[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            if (!matched) return found;
+        } else if (text[pos] === '[' && typeof key === 'number') {
+            pos++;
+            for (let i = 0; i < key; i++) {
+                skipValue();
+                skipWhitespace();
+                if (text[pos] !== ',') return found;
+                pos++;
+            }
+            skipWhitespace();
+            if (text[pos] === ']') return found;
+        } else {
+            return found;
+        }
+        found = pos;
+    }
+    return found;
+}
+
+// Markdown board files
+//
+// Boards can also be stored as `*.board.md`, which reads naturally on GitHub
+// and diffs one line per card move:
+//
+//     <!-- todo-board {"version":1} -->
+//
+//     ## To Do <!-- {"id":"todo"} -->
+//
+//     - Write the docs <!-- {"id":"card-1","labels":[{"name":"docs"}]} -->
+//       The description, indented under the card.
+//       - [ ] checklist items come last
+//
+//     ## Archive <!-- {"archive":true} -->
+//
+// Columns are `##` headings and cards are list items; their other fields are
+// JSON in a trailing comment. Headings and items added by hand, without a
+// comment, get ids from their titles. A card that would not read back the
+// same (a title on several lines, say) keeps all its fields in the comment,
+// and if the whole document still does not read back the same, every column
+// and card is written that way.
+
+const MARKDOWN_BOARD_EXTENSION = '.board.md';
+const MARKDOWN_BOARD_META = /^<!--\s*todo-board\s+(\{.*\})\s*-->$/;
+const MARKDOWN_BOARD_COLUMN = /^##\s+(.*)$/;
+const MARKDOWN_BOARD_CARD = /^[-*+]\s+(.*)$/;
+const MARKDOWN_BOARD_CHECK = /^[-*+] \[([ xX])\] (.*)$/;
+const MARKDOWN_TRAILING_COMMENT = /^(.*?)\s*<!--\s*(\{.*\})\s*-->$/;
+
+function isMarkdownBoardUri(uri) {
+    return uri.path.endsWith(MARKDOWN_BOARD_EXTENSION);
+}
+
+function serializeMarkdownBoard(data) {
+    for (const commentsOnly of [false, true]) {
+        const text = writeMarkdownBoard(data, commentsOnly);
+        const parsed = parseMarkdownBoardFile(text);
+        if (!parsed.error && sameData(parsed.data, data)) return text;
+    }
+    throw new Error('The board cannot be stored as Markdown.');
+}
+
+function writeMarkdownBoard(data, commentsOnly) {
+    const { columns, archive, ...meta } = data;
+    const lines = ['<!-- todo-board ' + toCommentJson(meta) + ' -->'];
+    const writeCards = (cards) => {
+        if (cards.length) lines.push('');
+        for (const card of cards) {
+            lines.push(...writeMarkdownCard(card, commentsOnly));
+        }
+    };
+    for (const { title, cards, ...fields } of columns) {
+        const plain = !commentsOnly && isPlainMarkdownLine(title);
+        lines.push(
+            '',
+            '## ' +
+                toMarkdownLine(title) +
+                ' <!-- ' +
+                toCommentJson(plain ? fields : { title, ...fields }) +
+                ' -->'
+        );
+        writeCards(cards);
+    }
+    if (archive) {
+        lines.push('', '## Archive <!-- {"archive":true} -->');
+        writeCards(archive);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function writeMarkdownCard(card, commentsOnly) {
+    const { title, description, checklist, ...fields } = card;
+    if (!commentsOnly && isPlainMarkdownLine(title)) {
+        const lines = [
+            '- ' + title + ' <!-- ' + toCommentJson(fields) + ' -->',
+        ];
+        if (description !== undefined) {
+            lines.push(
+                ...String(description)
+                    .split('\n')
+                    .map((line) => (line ? '  ' + line : ''))
+            );
+        }
+        for (const item of checklist || []) {
+            lines.push('  - [' + (item.done ? 'x' : ' ') + '] ' + item.text);
+        }
+        if (sameData(readMarkdownCard(lines), card)) return lines;
+    }
+    return [
+        '- ' + toMarkdownLine(title) + ' <!-- ' + toCommentJson(card) + ' -->',
+    ];
+}
+
+// Whether a title can be written as it is on a heading or list item line.
+function isPlainMarkdownLine(text) {
+    return (
+        typeof text === 'string' &&
+        text !== '' &&
+        text === text.trim() &&
+        !/[\r\n]|<!--/.test(text)
+    );
+}
+
+// A one-line stand-in for a title that is kept in the trailing comment.
+function toMarkdownLine(text) {
+    return String(text).split(/\r?\n/)[0].replace(/<!--/g, '<!-').trim() || '…';
+}
+
+// JSON for an HTML comment, which must not contain `-->`.
+function toCommentJson(value) {
+    return JSON.stringify(value).replace(/-->/g, '--\\u003e');
+}
+
+// Splits the text of a heading or list item into the text and the fields in
+// its trailing comment.
+function splitMarkdownComment(text) {
+    const match = MARKDOWN_TRAILING_COMMENT.exec(text);
+    if (!match) return { text: text.trim(), fields: {} };
+    return { text: match[1], fields: parseCommentJson(match[2]) };
+}
+
+function parseCommentJson(json) {
+    let fields;
+    try {
+        fields = JSON.parse(json);
+    } catch (err) {
+        throw new Error('Invalid JSON in comment: ' + err.message);
+    }
+    if (!isPlainObject(fields)) {
+        throw new Error('The comment must hold a JSON object.');
+    }
+    return fields;
+}
+
+// Reads a card from its list item line and the lines indented under it: a
+// description followed by checklist items.
+function readMarkdownCard(lines) {
+    const { text, fields } = splitMarkdownComment(
+        MARKDOWN_BOARD_CARD.exec(lines[0])[1]
+    );
+    const body = lines.slice(1).map((line) => line.replace(/^( {2}|\t)/, ''));
+    while (body.length && !body[body.length - 1]) body.pop();
+    const checklist = [];
+    let check;
+    while (
+        body.length &&
+        (check = MARKDOWN_BOARD_CHECK.exec(body[body.length - 1]))
+    ) {
+        checklist.unshift({ text: check[2], done: check[1] !== ' ' });
+        body.pop();
+    }
+
+    const card = { id: fields.id, title: text };
+    if (body.length) card.description = body.join('\n');
+    Object.assign(card, fields);
+    if (checklist.length) card.checklist = checklist;
+    return card;
+}
+
+// Reads board data from the text of a `.board.md` file. Returns
+// `{ data, locations }`, where `locations` maps paths such as
+// 'columns.0.cards.1' to 1-based line numbers, or `{ error }`.
+function parseMarkdownBoardFile(text) {
+    const lines = text.split(/\r?\n/);
+    let meta = {};
+    const columns = [];
+    let archive = null;
+    const locations = new Map();
+    let cards = null;
+    let path = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        try {
+            const board = MARKDOWN_BOARD_META.exec(line);
+            const heading = MARKDOWN_BOARD_COLUMN.exec(line);
+            const item = MARKDOWN_BOARD_CARD.exec(line);
+            if (board) {
+                meta = parseCommentJson(board[1]);
+            } else if (!line.trim() || /^#(?!#)|^<!--.*-->$/.test(line)) {
+                // Blank lines, a document title and other comments.
+            } else if (heading) {
+                const { text: title, fields } = splitMarkdownComment(
+                    heading[1]
+                );
+                if (fields.archive === true) {
+                    archive = [];
+                    cards = archive;
+                    path = 'archive';
+                } else {
+                    const col = { id: fields.id, title, ...fields, cards: [] };
+                    columns.push(col);
+                    cards = col.cards;
+                    path = 'columns.' + (columns.length - 1);
+                }
+                locations.set(path, i + 1);
+            } else if (item) {
+                if (!cards) {
+                    throw new Error(
+                        'Cards must follow a "## " column heading.'
+                    );
+                }
+                let end = i + 1;
+                while (
+                    end < lines.length &&
+                    (!lines[end].trim() || /^( {2}|\t)/.test(lines[end]))
+                ) {
+                    end++;
+                }
+                locations.set(path + '.cards.' + cards.length, i + 1);
+                cards.push(readMarkdownCard(lines.slice(i, end)));
+                i = end - 1;
+            } else {
+                throw new Error(
+                    'Expected a "## " column heading or a "- " card.'
+                );
+            }
+        } catch (err) {
+            return { error: { message: err.message, line: i + 1, column: 1 } };
+        }
+    }
+
+    // Ids for what was added by hand, made from titles.
+    const allCards = columns.flatMap((col) => col.cards).concat(archive || []);
+    const assignIds = (owners, prefix) => {
+        const taken = new Set(owners.map((o) => o.id));
+        for (const owner of owners) {
+            if (owner.id !== undefined) continue;
+            const base =
+                prefix +
+                String(owner.title)
+                    .toLowerCase()
+                    .replace(/[^a-z0-9]+/g, '-')
+                    .replace(/^-+|-+$/g, '');
+            let id = base;
+            for (let n = 2; taken.has(id); n++) id = base + '-' + n;
+            taken.add(id);
+            owner.id = id;
+        }
+    };
+    assignIds(columns, '');
+    assignIds(allCards, 'card-');
+
+    const data = { ...meta, columns };
+    if (archive) data.archive = archive;
+    return { data, locations };
+}
+
+function locateMarkdownProblem(problem, locations) {
+    for (let n = problem.path.length; n > 0; n--) {
+        const line = locations.get(problem.path.slice(0, n).join('.'));
+        if (line) return { message: problem.message, line, column: 1 };
+    }
+    return { message: problem.message };
+}
+
+// Optional card fields edited from the card detail panel. Empty values are
+// removed from the card so boards only carry the fields they actually use.
+const CARD_DETAIL_FIELDS = [
+    'title',
+    'description',
+    'checklist',
+    'start',
+    'due',
+    'labels',
+    'assignees',
+    'refs',
+];
+
+function applyCardChanges(card, changes) {
+    for (const key of CARD_DETAIL_FIELDS) {
+        if (!(key in changes)) continue;
+
+        const value = changes[key];
+        const empty =
+            value === null ||
+            value === undefined ||
+            value === '' ||
+            (Array.isArray(value) && value.length === 0);
+
+        if (key === 'title') {
+            if (!empty) card.title = String(value);
+        } else if (empty) {
+            delete card[key];
+        } else {
+            card[key] = value;
+        }
+    }
+}
+
+const HISTORY_LIMIT = 100;
+
+const OPERATION_LABELS = {
+    'delete-column': 'Delete column',
+    'rename-column': 'Rename column',
+    'add-column': 'Add column',
+    'add-card': 'Add card',
+    'rename-card': 'Rename card',
+    'delete-card': 'Delete card',
+    'update-card': 'Edit card',
+    'move-column': 'Move column',
+    'move-card': 'Move card',
+    'configure-column': 'Change column settings',
+    'archive-card': 'Archive card',
+    'archive-column': 'Archive cards',
+    'restore-card': 'Restore card',
+    'delete-archived': 'Delete archived card',
+    'auto-archive': 'Auto-archive cards',
+    'configure-swimlanes': 'Change swimlanes',
+    'add-lane': 'Add lane',
+    'rename-lane': 'Rename lane',
+    'delete-lane': 'Delete lane',
+};
+
+// Column settings
+
+// Columns may carry a WIP limit (`wipLimit`), optionally enforced on drops
+// (`wipBlock`), and a `policy`. Cards moved into a `done` policy column get a
+// `completedAt` timestamp, which is cleared again when they move out.
+
+// The board webview gets the source of isColumnFull, so it must not use
+// anything outside itself.
+function isColumnFull(col) {
+    return Number.isInteger(col.wipLimit) && col.cards.length >= col.wipLimit;
+}
+
+function applyColumnPolicy(card, from, to) {
+    const wasDone = !!from && from.policy === 'done';
+    const isDone = to.policy === 'done';
+    if (isDone && !wasDone) {
+        card.completedAt = new Date().toISOString();
+    } else if (!isDone) {
+        delete card.completedAt;
+    }
+}
+
+function applyColumnSettings(col, changes) {
+    if ('wipLimit' in changes) {
+        if (Number.isInteger(changes.wipLimit) && changes.wipLimit > 0) {
+            col.wipLimit = changes.wipLimit;
+        } else {
+            delete col.wipLimit;
+            delete col.wipBlock;
+        }
+    }
+    if ('wipBlock' in changes) {
+        if (changes.wipBlock && col.wipLimit) col.wipBlock = true;
+        else delete col.wipBlock;
+    }
+    if ('policy' in changes) {
+        if (changes.policy) col.policy = changes.policy;
+        else delete col.policy;
+    }
+    if ('autoArchiveDays' in changes) {
+        const days = changes.autoArchiveDays;
+        if (Number.isInteger(days) && days > 0) col.autoArchiveDays = days;
+        else delete col.autoArchiveDays;
+    }
+    if (col.policy !== 'done') delete col.autoArchiveDays;
+}
+
+// Asks what to do with a column and resolves to the board operation to
+// apply, or undefined when cancelled.
+async function showColumnMenu(document, columnId) {
+    const { data } = parseBoardText(
+        document.getText(),
+        getBoardFormat(document.uri)
+    );
+    const col = data && data.columns.find((c) => c.id === columnId);
+    if (!col) return undefined;
+
+    const check = (on) => (on ? '$(check) ' : '$(blank) ');
+    const items = [
+        {
+            id: 'wipLimit',
+            label: '$(dashboard) Set WIP Limit…',
+            description: col.wipLimit
+                ? 'currently ' + col.wipLimit
+                : 'no limit',
+        },
+    ];
+    if (col.wipLimit) {
+        items.push({
+            id: 'wipBlock',
+            label: check(col.wipBlock) + 'Block Drops When Full',
+            description: 'refuse cards beyond the limit',
+        });
+    }
+    items.push({
+        id: 'done',
+        label: check(col.policy === 'done') + 'Done Column',
+        description: 'stamp cards with a completion time when moved here',
+    });
+    if (col.policy === 'done') {
+        items.push({
+            id: 'autoArchive',
+            label: '$(archive) Auto-Archive After…',
+            description: col.autoArchiveDays
+                ? col.autoArchiveDays +
+                  (col.autoArchiveDays === 1 ? ' day' : ' days')
+                : 'off',
+        });
+    }
+    if (col.cards.length) {
+        items.push({
+            id: 'archive',
+            label: '$(archive) Archive All Cards',
+            description: describeCount(col.cards.length, 'card'),
+        });
+    }
+
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Column "' + col.title + '"',
+    });
+    if (!picked) return undefined;
+
+    let changes;
+
+    if (picked.id === 'wipLimit') {
+        const value = await vscode.window.showInputBox({
+            prompt: 'Maximum number of cards in "' + col.title + '"',
+            placeHolder: 'Leave empty for no limit',
+            value: col.wipLimit ? String(col.wipLimit) : '',
+            validateInput: (text) =>
+                !text.trim() || /^[1-9]\d*$/.test(text.trim())
+                    ? null
+                    : 'Enter a whole number greater than zero.',
+        });
+        if (value === undefined) return undefined;
+        changes = { wipLimit: value.trim() ? Number(value) : null };
+    } else if (picked.id === 'autoArchive') {
+        const value = await vscode.window.showInputBox({
+            prompt:
+                'Archive cards that have been in "' +
+                col.title +
+                '" for this many days',
+            placeHolder: 'Leave empty to keep cards on the board',
+            value: col.autoArchiveDays ? String(col.autoArchiveDays) : '',
+            validateInput: (text) =>
+                !text.trim() || /^[1-9]\d*$/.test(text.trim())
+                    ? null
+                    : 'Enter a whole number greater than zero.',
+        });
+        if (value === undefined) return undefined;
+        changes = { autoArchiveDays: value.trim() ? Number(value) : null };
+    } else if (picked.id === 'wipBlock') {
+        changes = { wipBlock: !col.wipBlock };
+    } else if (picked.id === 'done') {
+        changes = { policy: col.policy === 'done' ? null : 'done' };
+    } else {
+        return {
+            type: 'archive-column',
+            columnId,
+            cardIds: col.cards.map((c) => c.id),
+        };
+    }
+    return { type: 'configure-column', columnId, changes };
+}
+
+// Archive
+//
+// Archived cards leave their column for the board's `archive` list, oldest
+// first, carrying the id of the column they came from (`archivedFrom`) and
+// when they were archived (`archivedAt`). Restoring puts a card back at the
+// bottom of that column, or of the first column when it no longer exists.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getArchive(data) {
+    if (!Array.isArray(data.archive)) data.archive = [];
+    return data.archive;
+}
+
+function archiveCards(data, col, cards, now = new Date()) {
+    const archive = getArchive(data);
+    for (const card of cards) {
+        col.cards.splice(col.cards.indexOf(card), 1);
+        archive.push({
+            ...card,
+            archivedFrom: col.id,
+            archivedAt: now.toISOString(),
+        });
+    }
+}
+
+// Returns the column the card went back to, or null when it is not archived.
+function restoreArchivedCard(data, cardId) {
+    const archive = getArchive(data);
+    const index = archive.findIndex((c) => c.id === cardId);
+    if (index === -1 || !data.columns.length) return null;
+
+    const [entry] = archive.splice(index, 1);
+    const card = { ...entry };
+    delete card.archivedFrom;
+    delete card.archivedAt;
+    const col =
+        data.columns.find((c) => c.id === entry.archivedFrom) ||
+        data.columns[0];
+    if (col.policy !== 'done') delete card.completedAt;
+    col.cards.push(card);
+    if (!archive.length) delete data.archive;
+    return col;
+}
+
+// Archives cards that were completed more than `autoArchiveDays` ago in done
+// columns with that setting, and returns how many there were.
+function autoArchiveCards(data, now = new Date()) {
+    let count = 0;
+    for (const col of data.columns) {
+        if (col.policy !== 'done' || !col.autoArchiveDays) continue;
+        const cutoff = now.getTime() - col.autoArchiveDays * DAY_MS;
+        const expired = col.cards.filter(
+            (card) => card.completedAt && Date.parse(card.completedAt) <= cutoff
+        );
+        if (expired.length) {
+            archiveCards(data, col, expired, now);
+            count += expired.length;
+        }
+    }
+    return count;
+}
+
+// Swimlanes
+//
+// `board.swimlanes` splits every column into horizontal lanes. `groupBy`
+// picks what a card's lane is: `lane` uses the card's `lane` (one of the ids
+// in `swimlanes.lanes`), `assignee` its first entry in `assignees` and
+// `label` the name of its first label. Cards without one go to a lane of
+// their own. Custom lanes are kept when grouping is switched off.
+
+const SWIMLANE_GROUPS = ['lane', 'assignee', 'label'];
+
+// The key of the lane `card` is in, '' for the lane of cards without one.
+// The board webview gets the source of getCardLaneKey and setCardLane, so
+// both must not use anything outside themselves.
+function getCardLaneKey(data, card) {
+    const swimlanes = data.swimlanes || {};
+    if (swimlanes.groupBy === 'lane') {
+        const lanes = swimlanes.lanes || [];
+        return lanes.some((lane) => lane.id === card.lane) ? card.lane : '';
+    }
+    if (swimlanes.groupBy === 'assignee') {
+        return (card.assignees || [])[0] || '';
+    }
+    return card.labels && card.labels.length ? card.labels[0].name : '';
+}
+
+// Moves `card` to the lane with key `value`, or to the no-lane lane for
+// null. Another assignee or label takes the place of the card's first one,
+// which for a label is the board's label of that name when there is one.
+function setCardLane(data, card, value) {
+    const groupBy = data.swimlanes && data.swimlanes.groupBy;
+    if (groupBy === 'lane') {
+        if (value) card.lane = value;
+        else delete card.lane;
+    } else if (groupBy === 'assignee') {
+        const others = (card.assignees || [])
+            .slice(1)
+            .filter((name) => name !== value);
+        if (value) card.assignees = [value, ...others];
+        else delete card.assignees;
+    } else if (groupBy === 'label') {
+        const others = (card.labels || [])
+            .slice(1)
+            .filter((l) => l.name !== value);
+        if (!value) {
+            delete card.labels;
+            return;
+        }
+        const labels = (data.labels || []).concat(
+            ...data.columns.map((col) =>
+                col.cards.flatMap((c) => c.labels || [])
+            )
+        );
+        const label = labels.find((l) => l.name === value);
+        card.labels = [
+            label ? { ...label } : { name: value, color: 'gray' },
+            ...others,
+        ];
+    }
+}
+
+function createLaneId(data, title) {
+    const lanes = (data.swimlanes && data.swimlanes.lanes) || [];
+    const base = title.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'lane';
+    let id = base;
+    for (let n = 2; lanes.some((lane) => lane.id === id); n++) {
+        id = base + '-' + n;
+    }
+    return id;
+}
+
+// Applies a swimlane operation, or returns null for other operations.
+function applySwimlaneOperation(data, op) {
+    const swimlanes = data.swimlanes || {};
+    const lanes = swimlanes.lanes || [];
+    const lane = lanes.find((l) => l.id === op.laneId);
+
+    if (op.type === 'configure-swimlanes') {
+        if (op.groupBy && !SWIMLANE_GROUPS.includes(op.groupBy)) {
+            return { rejected: 'Unknown swimlane grouping.' };
+        }
+        if ((swimlanes.groupBy || null) === (op.groupBy || null)) {
+            return { changed: false };
+        }
+        data.swimlanes = { ...swimlanes, groupBy: op.groupBy };
+        if (!op.groupBy) delete data.swimlanes.groupBy;
+    } else if (op.type === 'add-lane') {
+        const title = String(op.title || '').trim();
+        if (!title) return { changed: false };
+        data.swimlanes = {
+            ...swimlanes,
+            groupBy: 'lane',
+            lanes: lanes.concat({ id: createLaneId(data, title), title }),
+        };
+    } else if (op.type === 'rename-lane') {
+        const title = String(op.newTitle || '').trim();
+        if (!lane) return { rejected: 'The lane no longer exists.' };
+        if (!title || title === lane.title) return { changed: false };
+        lane.title = title;
+    } else if (op.type === 'delete-lane') {
+        if (!lane) return { changed: false };
+        lanes.splice(lanes.indexOf(lane), 1);
+        const cards = data.columns
+            .flatMap((col) => col.cards)
+            .concat(data.archive || []);
+        for (const card of cards) {
+            if (card.lane === lane.id) delete card.lane;
+        }
+    } else {
+        return null;
+    }
+
+    if (data.swimlanes) {
+        if (!(data.swimlanes.lanes || []).length) delete data.swimlanes.lanes;
+        if (!Object.keys(data.swimlanes).length) delete data.swimlanes;
+    }
+    return { changed: true };
+}
+
+// Board operations
+
+// The webview never sends the whole board back. It sends intent-level
+// operations ("move card X to column Y before card Z") tagged with the
+// document version it was showing, and they are applied to the document as
+// it is now. When that version is out of date the operation is stale: it is
+// still applied if what it touches is unchanged, so edits made elsewhere in
+// the meantime are kept, and reported as a conflict otherwise.
+
+// Applies operation `op` to `data` in place. Returns `{ changed }`,
+// `{ rejected }` with a message when the operation cannot be applied, or
+// `{ conflict }` with a message when a stale operation would overwrite a
+// change made elsewhere; resending it with `force` applies it anyway.
+function applyBoardOperation(data, op, stale) {
+    const checkBase = stale && !op.force;
+    const findColumn = (id) => data.columns.find((c) => c.id === id);
+
+    if (op.type === 'add-column') {
+        const id =
+            op.title.toLowerCase().replace(/[^a-z0-9]/g, '-') +
+            '-' +
+            Date.now();
+        data.columns.push({ id, title: op.title, cards: [] });
+        return { changed: true };
+    }
+
+    if (op.type === 'auto-archive') {
+        const count = autoArchiveCards(data);
+        return count ? { changed: true, count } : { changed: false };
+    }
+
+    const swimlaneResult = applySwimlaneOperation(data, op);
+    if (swimlaneResult) return swimlaneResult;
+
+    if (op.type === 'restore-card' || op.type === 'delete-archived') {
+        const archive = data.archive || [];
+        const index = archive.findIndex((c) => c.id === op.cardId);
+        if (index === -1) return { changed: false };
+        if (op.type === 'restore-card') {
+            restoreArchivedCard(data, op.cardId);
+        } else {
+            archive.splice(index, 1);
+            if (!archive.length) delete data.archive;
+        }
+        return { changed: true };
+    }
+
+    if (op.type === 'move-column') {
+        const fromIndex = data.columns.findIndex((c) => c.id === op.fromId);
+        const toIndex = data.columns.findIndex((c) => c.id === op.toId);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) {
+            return { changed: false };
+        }
+        const [col] = data.columns.splice(fromIndex, 1);
+        data.columns.splice(toIndex, 0, col);
+        return { changed: true };
+    }
+
+    if (
+        op.type === 'delete-column' ||
+        op.type === 'rename-column' ||
+        op.type === 'configure-column' ||
+        op.type === 'archive-column' ||
+        op.type === 'add-card'
+    ) {
+        const col = findColumn(op.columnId);
+        if (!col) {
+            // Already gone: nothing left to delete.
+            return op.type === 'delete-column'
+                ? { changed: false }
+                : { rejected: 'The column no longer exists.' };
+        }
+
+        if (op.type === 'delete-column') {
+            const added = checkBase
+                ? col.cards.filter((c) => !(op.cardIds || []).includes(c.id))
+                : [];
+            if (added.length) {
+                return {
+                    conflict:
+                        '"' +
+                        col.title +
+                        '" has cards that were added elsewhere.',
+                };
+            }
+            data.columns.splice(data.columns.indexOf(col), 1);
+        } else if (op.type === 'rename-column') {
+            if (checkBase && !sameValue(col.title, op.base)) {
+                return {
+                    conflict: 'Column "' + op.base + '" was renamed elsewhere.',
+                };
+            }
+            col.title = op.newTitle;
+        } else if (op.type === 'configure-column') {
+            applyColumnSettings(col, op.changes || {});
+        } else if (op.type === 'archive-column') {
+            // Cards added elsewhere since the board was shown stay put.
+            const cards = op.cardIds
+                ? col.cards.filter((c) => op.cardIds.includes(c.id))
+                : col.cards.slice();
+            if (!cards.length) return { changed: false };
+            archiveCards(data, col, cards);
+            return { changed: true, count: cards.length };
+        } else {
+            const titles = (op.titles || [])
+                .map((title) => String(title).trim())
+                .filter(Boolean);
+            if (!titles.length) return { changed: false };
+            const cards = titles.map((title, i) => {
+                const card = { id: createCardId(data), title };
+                if (op.changes) applyCardChanges(card, op.changes);
+                if (op.lane) setCardLane(data, card, op.lane);
+                applyColumnPolicy(card, null, col);
+                // Added one at a time, so the next id can't repeat this one.
+                col.cards.splice(
+                    op.position === 'top' ? i : col.cards.length,
+                    0,
+                    card
+                );
+                return card;
+            });
+            return { changed: true, cardIds: cards.map((card) => card.id) };
+        }
+        return { changed: true };
+    }
+
+    // Card operations find the card wherever it is now, so a card moved
+    // elsewhere in the meantime can still be edited.
+    const found = findCardInBoard(data, op.cardId);
+    if (!found) {
+        return op.type === 'delete-card'
+            ? { changed: false }
+            : { rejected: 'The card no longer exists.' };
+    }
+    const { col, card } = found;
+
+    if (op.type === 'delete-card') {
+        col.cards.splice(col.cards.indexOf(card), 1);
+        return { changed: true };
+    }
+
+    if (op.type === 'archive-card') {
+        archiveCards(data, col, [card]);
+        return { changed: true, count: 1 };
+    }
+
+    if (op.type === 'rename-card') {
+        const title = String(op.newTitle || '').trim();
+        if (!title) return { changed: false };
+        if (checkBase && !sameValue(card.title, op.base)) {
+            return {
+                conflict: 'Card "' + op.base + '" was renamed elsewhere.',
+            };
+        }
+        card.title = title;
+        return { changed: true };
+    }
+
+    if (op.type === 'update-card') {
+        const base = op.base || {};
+        if (
+            checkBase &&
+            Object.keys(base).some((key) => !sameValue(card[key], base[key]))
+        ) {
+            return {
+                conflict: 'Card "' + card.title + '" was changed elsewhere.',
+            };
+        }
+        applyCardChanges(card, op.changes || {});
+        return { changed: true };
+    }
+
+    if (op.type === 'move-card') {
+        const to = findColumn(op.toColumnId);
+        if (!to) return { rejected: 'The column no longer exists.' };
+        if (col !== to && to.wipBlock && isColumnFull(to)) {
+            return {
+                rejected:
+                    to.title + ' is at its WIP limit of ' + to.wipLimit + '.',
+            };
+        }
+        col.cards.splice(col.cards.indexOf(card), 1);
+        // A stale index may point anywhere, so place the card before the
+        // card it was dropped in front of instead.
+        let toIndex = -1;
+        if (stale && op.beforeCardId) {
+            toIndex = to.cards.findIndex((c) => c.id === op.beforeCardId);
+        } else if (!stale && Number.isInteger(op.toIndex)) {
+            toIndex = Math.min(Math.max(op.toIndex, 0), to.cards.length);
+        }
+        to.cards.splice(toIndex === -1 ? to.cards.length : toIndex, 0, card);
+        applyColumnPolicy(card, col, to);
+        // `lane` is present only when the card also changes lanes, and is
+        // null for the lane of cards without one.
+        if (op.lane !== undefined) setCardLane(data, card, op.lane);
+        return { changed: true };
+    }
+
+    return { changed: false };
+}
+
+// Compares JSON values, treating a missing value like null.
+function sameValue(a, b) {
+    return (
+        JSON.stringify(a === undefined ? null : a) ===
+        JSON.stringify(b === undefined ? null : b)
+    );
+}
+
+// Compares JSON values regardless of the order of object keys.
+function sameData(a, b) {
+    const sorted = (value) => {
+        if (Array.isArray(value)) return value.map(sorted);
+        if (!isPlainObject(value)) return value;
+        const copy = {};
+        for (const key of Object.keys(value).sort()) {
+            copy[key] = sorted(value[key]);
+        }
+        return copy;
+    };
+    return sameValue(sorted(a), sorted(b));
+}
+
+// Compares document snapshots regardless of the document's line endings.
+function sameText(a, b) {
+    return a.replace(/\r\n/g, '\n') === b.replace(/\r\n/g, '\n');
+}
+
+// Bounded undo/redo history of whole-document snapshots for one board editor.
+// Every board operation records the text before and after it, and undoing
+// writes the earlier snapshot back through a normal document edit, so the
+// steps also land on VS Code's own undo stack for the file.
+class BoardHistory {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    record(label, before, after) {
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (entry) this.redoStack.push(entry);
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (entry) this.undoStack.push(entry);
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Reconciles the stacks with the document after it changed. Our own
+    // edits and VS Code's native undo/redo of them keep the history usable;
+    // any other edit (typing in the text editor, a git checkout) clears it so
+    // an undo never overwrites changes made elsewhere.
+    sync(text) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        const next = this.redoStack[this.redoStack.length - 1];
+
+        if (
+            (top && sameText(text, top.after)) ||
+            (next && sameText(text, next.before))
+        ) {
+            return;
+        }
+        if (top && sameText(text, top.before)) {
+            this.redoStack.push(this.undoStack.pop());
+            return;
+        }
+        if (next && sameText(text, next.after)) {
+            this.undoStack.push(this.redoStack.pop());
+            return;
+        }
+        this.clear();
+    }
+}
+
+// Lets the undo/redo keybindings fall through to a focused text field in the
+// board webview instead of undoing a board operation.
+function setEditingTextContext(editing) {
+    vscode.commands.executeCommand(
+        'setContext',
+        'todoBoardEditingText',
+        !!editing
+    );
+}
+
+// Where the arrow keys move focus on the board. `lanes` holds the number of
+// visible cards per visible column, `lanes[lane][column]`, for the expanded
+// swimlanes, or a single row without them. A position is `{ lane, column,
+// card }`, with `card` -1 for the column itself. Returns null at the edges.
+// The board webview gets the source, so it must not use anything outside
+// itself.
+function getNextFocus(lanes, from, key) {
+    const row = lanes[from.lane];
+    if (key === 'ArrowUp' || key === 'ArrowDown') {
+        const up = key === 'ArrowUp';
+        const card = from.card + (up ? -1 : 1);
+        if (card >= 0 && card < row[from.column]) return { ...from, card };
+        // Past the first or last card, into the same column of the next lane.
+        const lane = from.lane + (up ? -1 : 1);
+        if (!lanes[lane]) return null;
+        const count = lanes[lane][from.column];
+        return {
+            lane,
+            column: from.column,
+            card: up ? count - 1 : Math.min(0, count - 1),
+        };
+    }
+    if (key === 'ArrowLeft' || key === 'ArrowRight') {
+        const column = from.column + (key === 'ArrowLeft' ? -1 : 1);
+        if (column < 0 || column >= row.length) return null;
+        // The card at the same position, or the last one of a shorter column.
+        return {
+            lane: from.lane,
+            column,
+            card: Math.min(Math.max(from.card, 0), row[column] - 1),
+        };
+    }
+    return null;
+}
+
+class TodoBoardEditor {
+    constructor(index) {
+        this.index = index;
+        // Open board editors, used to route commands to the active one.
+        this.editors = new Set();
+    }
+
+    resolveCustomTextEditor(document, panel) {
+        panel.webview.options = { enableScripts: true };
+        panel.webview.html = this.getHtml();
+
+        const sendData = () => {
+            const { data, error } = parseBoardText(
+                document.getText(),
+                getBoardFormat(document.uri)
+            );
+            if (error) {
+                panel.webview.postMessage({ type: 'error', error });
+            } else {
+                panel.webview.postMessage({
+                    type: 'data',
+                    data,
+                    version: document.version,
+                    commits: linkCommits(commits, data),
+                    dueSoonDays: getDueSoonDays(document.uri),
+                });
+            }
+        };
+
+        // Recent commits of the board's repository, linked to the cards
+        // they mention and reloaded when HEAD moves.
+        let commits = [];
+        const loadCommits = async () => {
+            commits = await getRecentCommits(document.uri);
+            sendData();
+        };
+        const headSub = watchGitHeads(loadCommits);
+
+        sendData();
+        loadCommits();
+        getAssigneeSuggestions(document.uri).then((names) =>
+            panel.webview.postMessage({ type: 'assignees', names })
+        );
+
+        const history = new BoardHistory();
+
+        const writeText = async (text) => {
+            const edit = new vscode.WorkspaceEdit();
+            edit.replace(
+                document.uri,
+                new vscode.Range(
+                    document.positionAt(0),
+                    document.positionAt(document.getText().length)
+                ),
+                text
+            );
+            await vscode.workspace.applyEdit(edit);
+            await saveBoardDocument(document);
+        };
+
+        const docSub = vscode.workspace.onDidChangeTextDocument((e) => {
+            if (e.document.uri.toString() === document.uri.toString()) {
+                if (e.contentChanges.length) {
+                    history.sync(document.getText());
+                }
+                sendData();
+            }
+        });
+
+        // Operations and undo/redo run one at a time, each against the
+        // document as the previous one left it.
+        let queue = Promise.resolve();
+        const enqueue = (task) => {
+            queue = queue.then(task).catch((err) => {
+                vscode.window.showErrorMessage(err.message);
+            });
+            return queue;
+        };
+
+        const step = async (direction) => {
+            const entry =
+                direction === 'undo' ? history.undo() : history.redo();
+            if (!entry) {
+                panel.webview.postMessage({
+                    type: 'toast',
+                    message:
+                        direction === 'undo'
+                            ? 'Nothing to undo'
+                            : 'Nothing to redo',
+                });
+                return;
+            }
+            await writeText(direction === 'undo' ? entry.before : entry.after);
+            panel.webview.postMessage({
+                type: 'toast',
+                message:
+                    (direction === 'undo' ? 'Undone: ' : 'Redone: ') +
+                    entry.label,
+            });
+        };
+
+        const editor = {
+            document,
+            panel,
+            step: (direction) => enqueue(() => step(direction)),
+        };
+        this.editors.add(editor);
+
+        // Done columns with `autoArchiveDays` are tidied up whenever the
+        // board is shown.
+        const autoArchive = () =>
+            enqueue(() => applyOperation({ type: 'auto-archive' }));
+
+        panel.onDidChangeViewState(() => {
+            if (!panel.active) setEditingTextContext(false);
+            if (panel.visible) autoArchive();
+        });
+
+        const applyOperation = async (op) => {
+            // Looked up before reading the document, so nothing can change
+            // it between reading and writing.
+            const by = await getActivityActor(document.uri);
+            const format = getBoardFormat(document.uri);
+            const currentText = document.getText();
+            const parsed = parseBoardText(currentText, format);
+            if (parsed.error) {
+                panel.webview.postMessage({
+                    type: 'error',
+                    error: parsed.error,
+                });
+                return;
+            }
+            const data = parsed.data;
+            const stale =
+                op.revision !== undefined && op.revision !== document.version;
+
+            const result = applyBoardOperation(data, op, stale);
+            if (result.rejected) {
+                panel.webview.postMessage({
+                    type: 'toast',
+                    message: result.rejected,
+                });
+                sendData();
+                return;
+            }
+            if (result.conflict) {
+                sendData();
+                vscode.window
+                    .showWarningMessage(
+                        result.conflict + ' Overwrite it with your edit?',
+                        'Overwrite'
+                    )
+                    .then((choice) => {
+                        if (choice) {
+                            enqueue(() =>
+                                applyOperation({ ...op, force: true })
+                            );
+                        }
+                    });
+                return;
+            }
+            if (!result.changed) return;
+            // A board that fails validation would no longer load.
+            const problems = validateBoard(data);
+            if (problems.length) {
+                vscode.window.showErrorMessage(
+                    'The change was not saved: ' + problems[0].message
+                );
+                sendData();
+                return;
+            }
+
+            const activity = collectActivity(
+                document.uri,
+                parseBoardText(currentText, format).data,
+                data,
+                by
+            );
+            const text = serializeBoard(data, format);
+            if (sameText(text, currentText)) return;
+
+            const label = OPERATION_LABELS[op.type] || 'Edit board';
+            history.record(label, currentText, text);
+            await writeText(text);
+            await writeSidecarActivity(document.uri, activity);
+
+            const message = {
+                'delete-card': 'Card deleted',
+                'delete-column': 'Column deleted',
+                'archive-card': 'Card archived',
+                'archive-column':
+                    describeCount(result.count, 'card') + ' archived',
+                'auto-archive':
+                    'Archived ' +
+                    describeCount(result.count, 'card') +
+                    ' done for a while',
+                'delete-archived': 'Archived card deleted',
+            }[op.type];
+            if (message) {
+                panel.webview.postMessage({
+                    type: 'toast',
+                    message,
+                    undo: true,
+                });
+            }
+        };
+
+        const handleMessage = async (msg) => {
+            if (msg.type === 'undo' || msg.type === 'redo') {
+                await editor.step(msg.type);
+                return;
+            }
+            if (msg.type === 'editing-text') {
+                setEditingTextContext(msg.editing);
+                return;
+            }
+            if (msg.type === 'reveal-location') {
+                await revealLocation(document.uri, msg.ref);
+                return;
+            }
+
+            if (msg.type === 'get-activity') {
+                const { data } = parseBoardText(
+                    document.getText(),
+                    getBoardFormat(document.uri)
+                );
+                if (!data) return;
+                panel.webview.postMessage({
+                    type: 'activity',
+                    cardId: msg.cardId,
+                    entries: await getCardActivity(
+                        document.uri,
+                        data,
+                        msg.cardId
+                    ),
+                });
+                return;
+            }
+
+            if (msg.type === 'start-work') {
+                await startWorkOnCard(document.uri, msg.cardId);
+                return;
+            }
+
+            if (msg.type === 'move-to-board') {
+                await moveCardToBoard(document.uri, msg.cardId, this.index);
+                return;
+            }
+
+            if (msg.type === 'column-menu') {
+                const op = await showColumnMenu(document, msg.columnId);
+                if (op) await enqueue(() => applyOperation(op));
+                return;
+            }
+
+            if (msg.type === 'delete-permanently') {
+                const choice = await vscode.window.showWarningMessage(
+                    'Permanently delete "' +
+                        msg.title +
+                        '"? It will not be kept in the archive.',
+                    { modal: true },
+                    'Delete'
+                );
+                if (choice === 'Delete') {
+                    await enqueue(() =>
+                        applyOperation({
+                            type: msg.archived
+                                ? 'delete-archived'
+                                : 'delete-card',
+                            cardId: msg.cardId,
+                        })
+                    );
+                }
+                return;
+            }
+
+            if (msg.type === 'confirm-delete-column') {
+                const choice = await vscode.window.showWarningMessage(
+                    'Permanently delete the column "' +
+                        msg.title +
+                        '"' +
+                        (msg.cardIds.length
+                            ? ' and ' +
+                              describeCount(msg.cardIds.length, 'card') +
+                              '? They will not be kept in the archive.'
+                            : '?'),
+                    { modal: true },
+                    'Delete'
+                );
+                if (choice === 'Delete') {
+                    await enqueue(() =>
+                        applyOperation({
+                            type: 'delete-column',
+                            columnId: msg.columnId,
+                            cardIds: msg.cardIds,
+                            revision: msg.revision,
+                        })
+                    );
+                }
+                return;
+            }
+
+            if (msg.type === 'add-column') {
+                const title = await vscode.window.showInputBox({
+                    prompt: 'New Column Title',
+                });
+                if (title) {
+                    await enqueue(() =>
+                        applyOperation({ type: 'add-column', title })
+                    );
+                }
+                return;
+            }
+
+            if (msg.type === 'add-lane' || msg.type === 'rename-lane') {
+                const title = await vscode.window.showInputBox({
+                    prompt:
+                        msg.type === 'add-lane'
+                            ? 'New Lane Title'
+                            : 'Rename Lane',
+                    value: msg.title,
+                });
+                if (title) {
+                    const op =
+                        msg.type === 'add-lane'
+                            ? { type: 'add-lane', title }
+                            : {
+                                  type: 'rename-lane',
+                                  laneId: msg.laneId,
+                                  newTitle: title,
+                              };
+                    await enqueue(() => applyOperation(op));
+                }
+                return;
+            }
+
+            if (msg.type === 'open-as-text') {
+                const position = new vscode.Position(
+                    Math.max((msg.line || 1) - 1, 0),
+                    Math.max((msg.column || 1) - 1, 0)
+                );
+                await vscode.window.showTextDocument(document, {
+                    viewColumn: panel.viewColumn,
+                    selection: new vscode.Range(position, position),
+                });
+                return;
+            }
+
+            await enqueue(() => applyOperation(msg));
+        };
+
+        panel.webview.onDidReceiveMessage((msg) =>
+            handleMessage(msg).catch((err) =>
+                vscode.window.showErrorMessage(err.message)
+            )
+        );
+        autoArchive();
+
+        panel.onDidDispose(() => {
+            docSub.dispose();
+            headSub.dispose();
+            this.editors.delete(editor);
+            setEditingTextContext(false);
+        });
+    }
+
+    getActiveEditor() {
+        for (const editor of this.editors) {
+            if (editor.panel.active) return editor;
+        }
+        return undefined;
+    }
+
+    // Opens a board and shows the given card's details.
+    async revealCard(uri, cardId) {
+        await vscode.commands.executeCommand(
+            'vscode.openWith',
+            uri,
+            'todoBoard.preview'
+        );
+        for (const editor of this.editors) {
+            if (editor.document.uri.toString() === uri.toString()) {
+                editor.panel.webview.postMessage({
+                    type: 'focus-card',
+                    cardId,
+                });
+            }
+        }
+    }
+
+    async undo() {
+        const editor = this.getActiveEditor();
+        if (editor) await editor.step('undo');
+    }
+
+    async redo() {
+        const editor = this.getActiveEditor();
+        if (editor) await editor.step('redo');
+    }
+
+    getHtml() {
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<style>
+  body {
+    font-family: system-ui;
+    background: var(--vscode-editor-background);
+    color: var(--vscode-editor-foreground);
+    padding: 16px;
+  }
+  .board {
+    display: flex;
+    gap: 12px;
+    align-items: flex-start;
+    overflow-x: auto;
+    padding-bottom: 24px;
+    cursor: grab;
+  }
+  .board.active {
+    cursor: grabbing;
+  }
+  .column {
+    min-width: 250px;
+    max-width: 250px;
+    background: var(--vscode-sideBar-background);
+    padding: 12px;
+    border-radius: 6px;
+    display: flex;
+    flex-direction: column;
+    max-height: 90vh;
+    user-select: none;
+  }
+
+  .column-header {
+    display: flex;
+    flex-direction: row;
+    justify-content: space-between;
+    align-items: center; 
+    margin-bottom: 12px;
+    cursor: default;
+    width: 100%;
+  }
+  .column-title {
+    font-weight: bold;
+    font-size: 1.1em;
+    flex: 1 1 auto;
+    margin-right: 8px;
+    border: 1px solid transparent;
+    padding: 2px 4px;
+    border-radius: 3px;
+    min-width: 0;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .column-title:focus {
+    border-color: var(--vscode-focusBorder);
+    outline: none;
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+  }
+  .icon-btn {
+    flex-shrink: 0;
+    background: none;
+    border: none;
+    color: var(--vscode-icon-foreground);
+    cursor: pointer;
+    padding: 4px;
+    border-radius: 3px;
+    opacity: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 1.2em;
+    transition: opacity 0.2s;
+  }
+  .column:hover .icon-btn {
+    opacity: 0.6;
+  }
+  .column:hover .icon-btn:hover {
+    background: var(--vscode-toolbar-hoverBackground);
+    opacity: 1;
+  }
+  .cards-container {
+    flex-grow: 1;
+    overflow-y: auto;
+    min-height: 50px;
+  }
+  .card {
+    background: var(--vscode-editorWidget-background);
+    margin-bottom: 8px;
+    padding: 8px 10px;
+    border-radius: 4px;
+    cursor: grab;
+    box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    group: card;
+  }
+  .card:hover {
+    background: var(--vscode-list-hoverBackground);
+  }
+  .card .delete-btn {
+      opacity: 0;
+      background: none;
+      border: none;
+      color: var(--vscode-icon-foreground);
+      cursor: pointer;
+      font-size: 1.1em;
+      padding: 0 4px;
+  }
+  .card:hover .delete-btn {
+      opacity: 0.7;
+  }
+  .card .edit-btn {
+      opacity: 0;
+      background: none;
+      border: none;
+      color: var(--vscode-icon-foreground);
+      cursor: pointer;
+      padding: 0 4px;
+  }
+  .card:hover .edit-btn,
+  .card:focus-within .edit-btn {
+      opacity: 0.7;
+  }
+  .card .edit-btn:hover {
+      opacity: 1;
+  }
+  .card .delete-btn:hover {
+      opacity: 1;
+      color: var(--vscode-errorForeground);
+  }
+  .card.dragging {
+    opacity: 0.5;
+    background: var(--vscode-editor-selectionBackground);
+  }
+  .column.dragover {
+    outline: 2px dashed var(--vscode-focusBorder);
+  }
+  .column.card-dragover {
+      background: var(--vscode-editor-inactiveSelectionBackground);
+  }
+  .column.drop-blocked {
+      outline: 2px dashed var(--vscode-errorForeground);
+      cursor: not-allowed;
+  }
+  .wip-count {
+    flex-shrink: 0;
+    font-size: 0.8em;
+    padding: 0 6px;
+    margin-right: 4px;
+    border-radius: 8px;
+    background: var(--vscode-badge-background);
+    color: var(--vscode-badge-foreground);
+  }
+  .wip-count:empty,
+  .done-marker:empty {
+    display: none;
+  }
+  .column.at-limit .wip-count {
+    background: var(--vscode-editorWarning-foreground, #cca700);
+    color: var(--vscode-editor-background);
+  }
+  .column.over-limit {
+    box-shadow: inset 0 3px 0 var(--vscode-errorForeground);
+  }
+  .column.over-limit .wip-count {
+    background: var(--vscode-errorForeground);
+    color: var(--vscode-editor-background);
+  }
+  .done-marker {
+    flex-shrink: 0;
+    margin-right: 6px;
+    color: var(--vscode-testing-iconPassed, #73c991);
+  }
+  .add-card-btn {
+    width: 100%;
+    padding: 8px 10px;
+    background: transparent;
+    color: var(--vscode-textLink-foreground);
+    border: 1px dashed var(--vscode-input-border);
+    border-radius: 4px;
+    cursor: pointer;
+    text-align: left;
+    transition: background 0.2s;
+  }
+  .add-card-btn:hover {
+    background: var(--vscode-list-hoverBackground);
+    text-decoration: none;
+  }
+  .add-column-btn {
+    min-width: 250px;
+    height: 48px;
+    background: rgba(128, 128, 128, 0.1);
+    color: var(--vscode-foreground);
+    border: 1px dashed var(--vscode-input-border);
+    border-radius: 6px;
+    cursor: pointer;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 1em;
+    transition: background 0.2s;
+  }
+  .add-column-btn:hover {
+    background: rgba(128, 128, 128, 0.2);
+  }
+  .board.swimlanes {
+    flex-direction: column;
+    gap: 8px;
+  }
+  .lane-columns,
+  .lane-row {
+    display: flex;
+    gap: 12px;
+    align-items: stretch;
+  }
+  .lane-columns {
+    align-items: center;
+  }
+  .column-head .column-header {
+    margin-bottom: 0;
+  }
+  .lane-cell {
+    max-height: none;
+  }
+  .lane-cell .cards-container {
+    overflow-y: visible;
+  }
+  .lane-header {
+    position: sticky;
+    left: 0;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    width: max-content;
+    padding: 4px 0;
+    border-radius: 3px;
+    cursor: default;
+  }
+  .lane-header:hover .icon-btn {
+    opacity: 0.6;
+  }
+  .lane-header .icon-btn:hover {
+    background: var(--vscode-toolbar-hoverBackground);
+    opacity: 1;
+  }
+  .lane-header.card-dragover {
+    outline: 1px dashed var(--vscode-focusBorder);
+  }
+  .lane-toggle {
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    font-weight: bold;
+    cursor: pointer;
+    padding: 2px 4px;
+    border-radius: 3px;
+  }
+  .lane-count {
+    font-size: 0.85em;
+    opacity: 0.7;
+  }
+  .lane.collapsed .lane-row {
+    display: none;
+  }
+  .add-lane-btn {
+    align-self: flex-start;
+    background: none;
+    color: var(--vscode-foreground);
+    border: 1px dashed var(--vscode-input-border);
+    border-radius: 6px;
+    padding: 6px 12px;
+    cursor: pointer;
+    opacity: 0.8;
+  }
+  .add-lane-btn:hover {
+    opacity: 1;
+    background: rgba(128, 128, 128, 0.1);
+  }
+  .card-content {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    min-width: 0;
+    flex: 1 1 auto;
+  }
+  .card-title {
+    overflow-wrap: anywhere;
+  }
+  .card-labels, .card-meta {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+  }
+  .card-labels:empty, .card-meta:empty {
+    display: none;
+  }
+  .label-chip {
+    display: inline-flex;
+    align-items: center;
+    gap: 2px;
+    padding: 0 6px;
+    border-radius: 8px;
+    font-size: 0.8em;
+    line-height: 1.6;
+    color: #fff;
+  }
+  .card-assignees {
+    display: inline-flex;
+    margin-left: auto;
+  }
+  .card-assignees .avatar + .avatar {
+    margin-left: -4px;
+  }
+  .avatar {
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    width: 20px;
+    height: 20px;
+    border-radius: 50%;
+    font-size: 0.65em;
+    font-weight: bold;
+    color: #fff;
+    flex-shrink: 0;
+    box-shadow: 0 0 0 1px var(--vscode-editorWidget-background);
+  }
+  .assignee-chip {
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 0.9em;
+  }
+  .assignee-chip .icon-btn {
+    opacity: 0.6;
+    padding: 0 4px;
+  }
+  .card-badge {
+    font-size: 0.8em;
+    opacity: 0.8;
+    padding: 0 4px;
+    border-radius: 3px;
+  }
+  .card-badge.complete {
+    color: var(--vscode-testing-iconPassed, #73c991);
+    opacity: 1;
+  }
+  .card.due-overdue {
+    box-shadow: inset 3px 0 0 var(--vscode-editorError-foreground, #f14c4c);
+  }
+  .card.due-today, .card.due-soon {
+    box-shadow: inset 3px 0 0 var(--vscode-editorWarning-foreground, #cca700);
+  }
+  .card.due-overdue .due-badge {
+    color: var(--vscode-editorError-foreground, #f14c4c);
+    opacity: 1;
+  }
+  .card.due-today .due-badge, .card.due-soon .due-badge {
+    color: var(--vscode-editorWarning-foreground, #cca700);
+    opacity: 1;
+  }
+  .date-label {
+    min-width: 3em;
+  }
+  .date-note {
+    font-size: 0.85em;
+    opacity: 0.8;
+    margin-top: 4px;
+  }
+  .detail-overlay {
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.4);
+    display: flex;
+    align-items: flex-start;
+    justify-content: center;
+    padding: 40px 16px;
+    overflow-y: auto;
+    z-index: 10;
+  }
+  .detail-overlay.hidden {
+    display: none;
+  }
+  .detail-dialog {
+    width: 100%;
+    max-width: 560px;
+    background: var(--vscode-editorWidget-background);
+    border: 1px solid var(--vscode-editorWidget-border, transparent);
+    border-radius: 6px;
+    padding: 16px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+  }
+  .detail-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 12px;
+  }
+  .detail-header .detail-title {
+    flex: 1 1 auto;
+    font-size: 1.2em;
+    font-weight: bold;
+  }
+  .detail-header .icon-btn {
+    opacity: 0.7;
+  }
+  .detail-section {
+    margin-bottom: 16px;
+  }
+  .detail-section h3 {
+    font-size: 0.85em;
+    text-transform: uppercase;
+    opacity: 0.7;
+    margin: 0 0 6px 0;
+    display: flex;
+    justify-content: space-between;
+  }
+  .detail-dialog input[type="text"],
+  .detail-dialog input[type="date"],
+  .detail-dialog textarea,
+  .detail-dialog select {
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-input-border, transparent);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
+  }
+  .detail-dialog input:focus,
+  .detail-dialog textarea:focus,
+  .detail-dialog select:focus {
+    outline: 1px solid var(--vscode-focusBorder);
+  }
+  .detail-dialog textarea {
+    width: 100%;
+    min-height: 120px;
+    box-sizing: border-box;
+    resize: vertical;
+  }
+  .detail-dialog .detail-title {
+    width: 100%;
+    box-sizing: border-box;
+  }
+  .text-btn {
+    background: var(--vscode-button-secondaryBackground);
+    color: var(--vscode-button-secondaryForeground);
+    border: none;
+    border-radius: 3px;
+    padding: 4px 10px;
+    cursor: pointer;
+  }
+  .text-btn:hover {
+    background: var(--vscode-button-secondaryHoverBackground);
+  }
+  .text-btn.active {
+    background: var(--vscode-button-background);
+    color: var(--vscode-button-foreground);
+  }
+  .markdown-preview {
+    min-height: 24px;
+    padding: 4px 2px;
+    cursor: text;
+    overflow-wrap: anywhere;
+  }
+  .markdown-preview pre {
+    background: var(--vscode-textCodeBlock-background);
+    padding: 8px;
+    overflow-x: auto;
+  }
+  .markdown-preview code {
+    font-family: var(--vscode-editor-font-family);
+  }
+  .checklist-item {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 2px 0;
+  }
+  .checklist-item span {
+    flex: 1 1 auto;
+  }
+  .checklist-item.done span {
+    text-decoration: line-through;
+    opacity: 0.6;
+  }
+  .checklist-item .icon-btn,
+  .label-chip .icon-btn {
+    opacity: 0.6;
+    padding: 0 4px;
+    color: inherit;
+  }
+  .checklist-progress {
+    height: 4px;
+    background: var(--vscode-input-background);
+    border-radius: 2px;
+    margin-bottom: 6px;
+  }
+  .checklist-progress > div {
+    height: 100%;
+    border-radius: 2px;
+    background: var(--vscode-progressBar-background);
+  }
+  .inline-form {
+    display: flex;
+    gap: 6px;
+    margin-top: 6px;
+  }
+  .inline-form input[type="text"] {
+    flex: 1 1 auto;
+  }
+  .toast {
+    position: fixed;
+    left: 50%;
+    bottom: 24px;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 8px 12px;
+    background: var(--vscode-notifications-background, var(--vscode-editorWidget-background));
+    color: var(--vscode-notifications-foreground, var(--vscode-foreground));
+    border: 1px solid var(--vscode-notifications-border, var(--vscode-widget-border, transparent));
+    border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    z-index: 20;
+  }
+  .toast.hidden {
+    display: none;
+  }
+  .toast button {
+    background: none;
+    border: none;
+    color: var(--vscode-textLink-foreground);
+    cursor: pointer;
+    padding: 0;
+    font: inherit;
+  }
+  .hidden {
+    display: none !important;
+  }
+  .error-state {
+    max-width: 560px;
+    margin: 40px auto;
+    padding: 16px;
+    border: 1px solid var(--vscode-inputValidation-errorBorder, var(--vscode-errorForeground));
+    background: var(--vscode-inputValidation-errorBackground, transparent);
+    border-radius: 6px;
+  }
+  .error-state h2 {
+    margin-top: 0;
+    font-size: 1.2em;
+  }
+  .error-location {
+    font-family: var(--vscode-editor-font-family);
+    opacity: 0.8;
+  }
+  .toolbar {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 12px;
+    flex-wrap: wrap;
+  }
+  .toolbar input,
+  .toolbar select {
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-input-border, transparent);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
+  }
+  .toolbar input {
+    flex: 0 1 360px;
+    min-width: 160px;
+  }
+  .toolbar input:focus,
+  .toolbar select:focus {
+    outline: 1px solid var(--vscode-focusBorder);
+  }
+  .toolbar input.invalid {
+    border-color: var(--vscode-inputValidation-errorBorder, var(--vscode-errorForeground));
+  }
+  .toggle-btn {
+    background: none;
+    border: 1px solid transparent;
+    color: var(--vscode-icon-foreground);
+    border-radius: 3px;
+    padding: 3px 6px;
+    cursor: pointer;
+    font-family: var(--vscode-editor-font-family);
+  }
+  .toggle-btn[aria-pressed="true"] {
+    background: var(--vscode-inputOption-activeBackground);
+    border-color: var(--vscode-inputOption-activeBorder, transparent);
+    color: var(--vscode-inputOption-activeForeground, inherit);
+  }
+  .filter-summary {
+    opacity: 0.7;
+    font-size: 0.9em;
+  }
+  .match-count {
+    flex-shrink: 0;
+    font-size: 0.8em;
+    opacity: 0.7;
+    margin-right: 4px;
+  }
+  .board.filter-dim .card.filtered-out {
+    opacity: 0.25;
+  }
+  .board.filter-hide .card.filtered-out,
+  .column.filtered-out {
+    display: none;
+  }
+  .source-chip {
+    background: var(--vscode-badge-background);
+    color: var(--vscode-badge-foreground);
+    border: none;
+    border-radius: 3px;
+    padding: 0 6px;
+    font-size: 0.8em;
+    font-family: var(--vscode-editor-font-family);
+    cursor: pointer;
+  }
+  .source-chip:hover {
+    text-decoration: underline;
+  }
+  .detail-hint {
+    font-size: 0.85em;
+    opacity: 0.7;
+    margin-top: 4px;
+  }
+  .sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    padding: 0;
+    margin: -1px;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+  }
+  .card:focus,
+  .column:focus {
+    outline: none;
+  }
+  .card:focus-visible,
+  .column:focus-visible {
+    outline: 2px solid var(--vscode-focusBorder);
+    outline-offset: 1px;
+  }
+  button:focus-visible,
+  .column-title:focus-visible {
+    outline: 1px solid var(--vscode-focusBorder);
+    outline-offset: 1px;
+  }
+  .card:focus-within .delete-btn {
+    opacity: 0.7;
+  }
+  .column:focus-within .icon-btn {
+    opacity: 0.6;
+  }
+  .card-composer {
+    margin-bottom: 8px;
+  }
+  .card-composer textarea,
+  .card-title-input {
+    width: 100%;
+    box-sizing: border-box;
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-focusBorder);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
+    resize: vertical;
+  }
+  .card-composer textarea:focus,
+  .card-title-input:focus {
+    outline: none;
+  }
+  .archive-toggle {
+    margin-left: auto;
+    font-family: inherit;
+  }
+  .archive-drawer {
+    margin-bottom: 12px;
+    padding: 8px;
+    border: 1px solid var(--vscode-panel-border, var(--vscode-widget-border, transparent));
+    border-radius: 6px;
+    background: var(--vscode-sideBar-background);
+  }
+  .archive-drawer input {
+    width: 100%;
+    box-sizing: border-box;
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-input-border, transparent);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
+  }
+  .archive-list {
+    list-style: none;
+    margin: 8px 0 0;
+    padding: 0;
+    max-height: 240px;
+    overflow-y: auto;
+  }
+  .archive-item {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 0;
+    border-top: 1px solid var(--vscode-panel-border, transparent);
+  }
+  .archive-text {
+    flex: 1;
+    min-width: 0;
+    overflow-wrap: anywhere;
+  }
+  .archive-meta,
+  .archive-empty {
+    font-size: 0.85em;
+    opacity: 0.7;
+  }
+  .detail-actions {
+    display: flex;
+    gap: 6px;
+  }
+  .activity-list, .commit-list {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    max-height: 200px;
+    overflow-y: auto;
+  }
+  .activity-item {
+    padding: 3px 0;
+    border-top: 1px solid var(--vscode-panel-border, transparent);
+  }
+  .commit-hash {
+    font-family: var(--vscode-editor-font-family);
+  }
+</style>
+</head>
+<body>
+  <div id="toolbar" class="toolbar">
+    <input id="filterInput" type="text" placeholder="Filter cards… e.g. login label:bug -column:done" aria-label="Filter cards" spellcheck="false" />
+    <button id="regexToggle" class="toggle-btn" title="Use Regular Expressions" aria-pressed="false">.*</button>
+    <select id="columnFilter" aria-label="Filter by column"></select>
+    <select id="filterMode" aria-label="Non-matching cards">
+      <option value="dim">Dim others</option>
+      <option value="hide">Hide others</option>
+    </select>
+    <span id="filterSummary" class="filter-summary" aria-live="polite"></span>
+    <select id="swimlaneSelect" class="swimlane-select" aria-label="Swimlanes">
+      <option value="">No swimlanes</option>
+      <option value="lane">Swimlanes: custom lanes</option>
+      <option value="assignee">Swimlanes: assignee</option>
+      <option value="label">Swimlanes: label</option>
+    </select>
+    <button id="archiveToggle" class="toggle-btn archive-toggle" title="Show Archived Cards" aria-pressed="false" aria-controls="archiveDrawer">Archive</button>
+  </div>
+  <div id="archiveDrawer" class="archive-drawer hidden" role="region" aria-label="Archived cards">
+    <input id="archiveSearch" type="text" placeholder="Search archived cards…" aria-label="Search archived cards" spellcheck="false" />
+    <ul id="archiveList" class="archive-list"></ul>
+  </div>
+  <div id="board" class="board" role="region" aria-label="Board"></div>
+  <div id="keyboardHelp" class="sr-only">Arrow keys move between cards and columns. Control or Command with arrow keys moves the focused card or column. N adds a card, E renames, Enter opens details, Delete archives and Shift+Delete deletes permanently.</div>
+  <div id="announcer" class="sr-only" aria-live="assertive"></div>
+  <div id="errorState" class="error-state hidden" role="alert"></div>
+  <div id="detail" class="detail-overlay hidden"></div>
+  <div id="toast" class="toast hidden" role="status" aria-live="polite"></div>
+
+<script>
+  const vscode = acquireVsCodeApi();
+  let state = null;
+  let dragged = null;
+  let draggedType = null;
+  let fromColumn = null;
+
+  // People offered when assigning cards: the team setting and git authors.
+  let assigneeSuggestions = [];
+
+  // Commits that mention each card, by card id.
+  let linkedCommits = {};
+  // Activity of the card last shown in the detail panel, kept so the
+  // timeline doesn't flicker while it is requested again.
+  let activity = null;
+
+  // Document version the board was rendered from, sent with every operation
+  // so the extension can tell when it was made against an outdated board.
+  let revision = null;
+  // Board data that arrived while a drag or column rename was in progress.
+  let pendingData = null;
+
+  window.addEventListener("message", e => {
+    if (e.data.type === "data") {
+      pendingData = e.data;
+      if (!dragged && !isRenamingColumn()) showPendingData();
+    } else if (e.data.type === "focus-card") {
+      const cardEl = board.querySelector('.card[data-id="' + CSS.escape(e.data.cardId) + '"]');
+      if (cardEl) cardEl.scrollIntoView({ block: "nearest", inline: "nearest" });
+      openDetail(e.data.cardId);
+    } else if (e.data.type === "error") {
+      showError(e.data.error);
+    } else if (e.data.type === "toast") {
+      showToast(e.data.message, e.data.undo);
+    } else if (e.data.type === "assignees") {
+      assigneeSuggestions = e.data.names;
+      renderDetail();
+    } else if (e.data.type === "activity") {
+      activity = { cardId: e.data.cardId, entries: e.data.entries };
+      const list = detail.querySelector(".activity-list");
+      if (list && list.dataset.cardId === e.data.cardId) fillActivityList(list, e.data.entries);
+    }
+  });
+
+  function showPendingData() {
+    if (!pendingData) return;
+    state = pendingData.data;
+    revision = pendingData.version;
+    linkedCommits = pendingData.commits || {};
+    dueSoonDays = pendingData.dueSoonDays;
+    pendingData = null;
+    errorState.classList.add("hidden");
+    board.classList.remove("hidden");
+    const focus = captureFocus();
+    render();
+    renderDetail();
+    renderArchive();
+    if (!restoreFocus(focus) && focus && pendingFocusKey) {
+      restoreFocus({ key: pendingFocusKey, value: null });
+    }
+    pendingFocusKey = null;
+  }
+
+  function isRenamingColumn() {
+    const el = document.activeElement;
+    return !!el && el.classList.contains("column-title");
+  }
+
+  function postOperation(op) {
+    op.revision = revision;
+    vscode.postMessage(op);
+  }
+
+  function showError(error) {
+    closeDetail();
+    board.classList.add("hidden");
+    errorState.classList.remove("hidden");
+    errorState.innerHTML = "";
+
+    const heading = document.createElement("h2");
+    heading.textContent = "This board can't be displayed";
+    errorState.appendChild(heading);
+
+    const message = document.createElement("p");
+    message.textContent = error.message;
+    errorState.appendChild(message);
+
+    if (error.line) {
+      const location = document.createElement("p");
+      location.className = "error-location";
+      location.textContent = "Line " + error.line + ", column " + (error.column || 1);
+      errorState.appendChild(location);
+    }
+
+    const openBtn = document.createElement("button");
+    openBtn.className = "text-btn active";
+    openBtn.textContent = "Open as Text";
+    openBtn.onclick = () => {
+      vscode.postMessage({ type: "open-as-text", line: error.line, column: error.column });
+    };
+    errorState.appendChild(openBtn);
+  }
+
+  let toastTimer = null;
+
+  function showToast(message, withUndo) {
+    toast.innerHTML = "";
+    const text = document.createElement("span");
+    text.textContent = message;
+    toast.appendChild(text);
+    if (withUndo) {
+      const undoBtn = document.createElement("button");
+      undoBtn.textContent = "Undo";
+      undoBtn.onclick = () => {
+        hideToast();
+        vscode.postMessage({ type: "undo" });
+      };
+      toast.appendChild(undoBtn);
+    }
+    toast.classList.remove("hidden");
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, withUndo ? 8000 : 3000);
+  }
+
+  function hideToast() {
+    clearTimeout(toastTimer);
+    toast.classList.add("hidden");
+  }
+
+  function isEditingText(el) {
+    return el && (el.isContentEditable || el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT");
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z are bound to the board's undo/redo commands in the
+  // extension, except while a text field is focused so it keeps its own undo.
+  let editingText = false;
+
+  function updateEditingText() {
+    const editing = isEditingText(document.activeElement);
+    if (editing !== editingText) {
+      editingText = editing;
+      vscode.postMessage({ type: "editing-text", editing });
+    }
+  }
+
+  document.addEventListener("focusin", updateEditingText);
+  document.addEventListener("focusout", () => setTimeout(updateEditingText, 0));
+
+  // Columns as last rendered, by id, with the data they were rendered from.
+  // Rendering rebuilds only the columns whose data changed and leaves the
+  // others in place, so their scroll position, focus and hover survive.
+  const renderedColumns = new Map();
+  let addColumnButton = null;
+
+  function render() {
+    const lanes = getLanes();
+    board.classList.toggle("swimlanes", !!lanes);
+    const elements = lanes ? renderSwimlanes(lanes) : state.columns.map(col => {
+      const key = JSON.stringify([
+        col,
+        col.cards.some(c => c.id === editingCardId),
+        composer && composer.columnId === col.id ? composer.position : null
+      ]);
+      const rendered = renderedColumns.get(col.id);
+      if (rendered && rendered.key === key) return rendered.element;
+      const element = renderColumn(col);
+      if (rendered) {
+        element.querySelector(".cards-container").scrollTop = rendered.element.querySelector(".cards-container").scrollTop;
+      }
+      renderedColumns.set(col.id, { key, element });
+      return element;
+    });
+    for (const id of Array.from(renderedColumns.keys())) {
+      if (!state.columns.some(c => c.id === id)) renderedColumns.delete(id);
+    }
+
+    if (!addColumnButton) {
+      addColumnButton = document.createElement("button");
+      addColumnButton.className = "add-column-btn";
+      addColumnButton.textContent = "+ Add New Column";
+      addColumnButton.onclick = () => {
+          postOperation({ type: "add-column" });
+      };
+    }
+    if (lanes) {
+      elements[0].appendChild(addColumnButton);
+    } else {
+      elements.push(addColumnButton);
+    }
+
+    elements.forEach((el, index) => {
+      if (board.children[index] !== el) {
+        board.insertBefore(el, board.children[index] || null);
+      }
+    });
+    while (board.children.length > elements.length) {
+      board.lastElementChild.remove();
+    }
+
+    updateSwimlaneSelect();
+    updateColumnFilterOptions();
+    applyFilter();
+    updateRovingFocus();
+  }
+
+  function renderColumn(col) {
+    const column = createColumnElement(col, "column:" + col.id, describeColumn(col));
+    makeColumnDraggable(column, col);
+    column.appendChild(renderColumnHeader(col, column));
+    const cardsContainer = renderCardList(col, col.cards, null);
+    handleDrops(column, col, cardsContainer, null);
+    column.appendChild(cardsContainer);
+    return column;
+  }
+
+  function createColumnElement(col, focusKey, label) {
+    const column = document.createElement("div");
+    column.className = "column";
+    column.dataset.id = col.id;
+    column.dataset.focusKey = focusKey;
+    column.tabIndex = -1;
+    column.setAttribute("role", "group");
+    column.setAttribute("aria-label", label);
+    column.setAttribute("aria-describedby", "keyboardHelp");
+    return column;
+  }
+
+  function makeColumnDraggable(column, col) {
+    column.draggable = true;
+    
+    column.ondragstart = (e) => {
+        if (e.target.closest('.card')) {
+            return;
+        }
+        dragged = col;
+        draggedType = 'column';
+        e.dataTransfer.effectAllowed = 'move';
+        setTimeout(() => column.style.opacity = '0.5', 0);
+    };
+    
+    column.ondragend = () => {
+        column.style.opacity = '1';
+        dragged = null;
+        draggedType = null;
+        document.querySelectorAll('.column').forEach(c => c.classList.remove('dragover'));
+        showPendingData();
+    };
+  }
+
+  function renderColumnHeader(col, column) {
+    const header = document.createElement("div");
+    header.className = "column-header";
+    
+    const title = document.createElement("div");
+    title.className = "column-title";
+    title.textContent = col.title;
+    title.contentEditable = true;
+    
+    const saveRename = () => {
+       const newTitle = title.textContent.trim();
+       if (newTitle && newTitle !== col.title) {
+           postOperation({ type: "rename-column", columnId: col.id, newTitle, base: col.title });
+       } else {
+           title.textContent = col.title;
+       }
+    };
+    
+    title.onblur = () => {
+        saveRename();
+        showPendingData();
+    };
+    title.onkeydown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            title.blur();
+        }
+    };
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "icon-btn";
+    deleteBtn.innerHTML = "×";
+    deleteBtn.title = "Delete Column";
+    deleteBtn.onclick = () => {
+        // Asks for confirmation first; archiving is in the column menu.
+        postOperation({ type: "confirm-delete-column", columnId: col.id, title: col.title, cardIds: col.cards.map(c => c.id) });
+    };
+
+    const matchCount = document.createElement("span");
+    matchCount.className = "match-count";
+
+    const wipCount = document.createElement("span");
+    wipCount.className = "wip-count";
+    if (col.wipLimit) {
+      wipCount.textContent = col.cards.length + "/" + col.wipLimit;
+      wipCount.title = "WIP limit " + col.wipLimit + (col.wipBlock ? " (drops blocked when full)" : "");
+      if (col.cards.length > col.wipLimit) {
+        column.classList.add("over-limit");
+      } else if (col.cards.length === col.wipLimit) {
+        column.classList.add("at-limit");
+      }
+    }
+
+    const doneMarker = document.createElement("span");
+    doneMarker.className = "done-marker";
+    if (col.policy === "done") {
+      doneMarker.textContent = "✓";
+      doneMarker.title = "Done column: cards moved here are marked as completed";
+    }
+
+    const menuBtn = document.createElement("button");
+    menuBtn.className = "icon-btn";
+    menuBtn.textContent = "⋯";
+    menuBtn.title = "Column Settings";
+    menuBtn.onclick = () => {
+      vscode.postMessage({ type: "column-menu", columnId: col.id });
+    };
+
+    const addTopBtn = document.createElement("button");
+    addTopBtn.className = "icon-btn";
+    addTopBtn.textContent = "+";
+    addTopBtn.title = "Add Card to Top";
+    addTopBtn.onclick = () => openComposer(col.id, "top");
+
+    header.appendChild(title);
+    header.appendChild(doneMarker);
+    header.appendChild(matchCount);
+    header.appendChild(wipCount);
+    header.appendChild(addTopBtn);
+    header.appendChild(menuBtn);
+    header.appendChild(deleteBtn);
+    return header;
+  }
+
+  // Handles columns dropped on a column and cards dropped into its card list.
+  // With swimlanes, the column header takes column drops only, and the
+  // column's cell in a lane takes card drops, which move the card to that
+  // lane as well.
+  function handleDrops(target, col, cardsContainer, lane) {
+    target.ondragover = e => {
+      if (draggedType === 'card' ? !cardsContainer : lane) return;
+      e.preventDefault();
+      if (draggedType === 'card' && isDropBlocked(col)) {
+           e.dataTransfer.dropEffect = 'none';
+           target.classList.add("drop-blocked");
+           return;
+      }
+      e.dataTransfer.dropEffect = 'move';
+      if (draggedType === 'column' && dragged.id !== col.id) {
+           target.classList.add("dragover");
+      } else if (draggedType === 'card' && (fromColumn !== col.id || (lane && laneKeyOf(dragged) !== lane.key))) {
+           target.classList.add("card-dragover"); 
+      }
+    };
+
+    target.ondragleave = () => {
+      target.classList.remove("dragover");
+      target.classList.remove("card-dragover");
+      target.classList.remove("drop-blocked");
+    };
+
+    target.ondrop = (e) => {
+      e.preventDefault();
+      target.classList.remove("dragover");
+      target.classList.remove("card-dragover");
+      target.classList.remove("drop-blocked");
+      if (!dragged) return;
+
+      if (draggedType === 'column') {
+           if (dragged.id !== col.id) {
+               postOperation({ type: "move-column", fromId: dragged.id, toId: col.id });
+           }
+      } else if (draggedType === 'card') {
+          const current = state.columns.find(c => c.id === col.id);
+          const cards = lane ? current.cards.filter(c => laneKeyOf(c) === lane.key) : current.cards;
+          const afterElement = getDragAfterElement(cardsContainer, e.clientY);
+          const last = cards[cards.length - 1];
+          const index = afterElement ?
+              current.cards.findIndex(c => c.id === afterElement.dataset.id) :
+              (last ? current.cards.indexOf(last) + 1 : current.cards.length);
+
+          if (isDropBlocked(current)) {
+              showToast(col.title + " is at its WIP limit of " + col.wipLimit + ".");
+          } else {
+              sendMove(fromColumn, col.id, dragged.id, index, lane ? lane.key : undefined);
+          }
+      }
+      
+      dragged = null;
+      fromColumn = null;
+      draggedType = null;
+    };
+  }
+
+  // The cards of a column, or of its cell in a swimlane, with the
+  // composer and "+ Add a card" button.
+  function renderCardList(col, cards, lane) {
+    const cardsContainer = document.createElement("div");
+    cardsContainer.className = "cards-container";
+    cardsContainer.setAttribute("role", "list");
+    cardsContainer.setAttribute("aria-label", col.title + (lane ? ", " + lane.title : "") + " cards");
+
+    cards.forEach((card, cardIndex) => {
+      const el = document.createElement("div");
+      el.className = "card";
+      el.dataset.id = card.id;
+      el.dataset.focusKey = "card:" + card.id;
+      el.tabIndex = -1;
+      el.setAttribute("role", "listitem");
+      const due = getDueStatus(col, card);
+      if (due) el.classList.add("due-" + due);
+      el.setAttribute("aria-label", describeCard(col, card, cardIndex, lane) + (due ? ", " + DUE_STATUS_TEXT[due] : ""));
+      el.setAttribute("aria-describedby", "keyboardHelp");
+      el.appendChild(renderCardContent(card));
+      el.onclick = () => openDetail(card.id);
+
+      const editBtn = document.createElement("button");
+      editBtn.className = "edit-btn";
+      editBtn.textContent = "✎";
+      editBtn.title = "Edit Title";
+      editBtn.tabIndex = -1;
+      editBtn.onclick = (e) => {
+          e.stopPropagation();
+          startTitleEdit(card.id);
+      };
+      el.appendChild(editBtn);
+
+      const delBtn = document.createElement("button");
+      delBtn.className = "delete-btn";
+      delBtn.innerHTML = "×";
+      delBtn.title = "Archive Card";
+      delBtn.tabIndex = -1;
+      delBtn.onclick = (e) => {
+          e.stopPropagation();
+          archiveCard(col, card);
+      };
+      el.appendChild(delBtn);
+
+      el.draggable = editingCardId !== card.id;
+      if (editingCardId === card.id) {
+        el.querySelector(".card-title").replaceWith(renderTitleEditor(col, card));
+      }
+
+      el.ondragstart = (e) => {
+        dragged = card;
+        draggedType = 'card';
+        fromColumn = col.id;
+        el.classList.add('dragging');
+        e.stopPropagation();
+      };
+      
+      el.ondragend = () => {
+           el.classList.remove('dragging');
+           dragged = null;
+           draggedType = null;
+           fromColumn = null;
+           showPendingData();
+      };
+
+      cardsContainer.appendChild(el);
+    });
+    
+    const laneKey = lane ? lane.key : undefined;
+    const composing = composer && composer.columnId === col.id && composer.lane === laneKey;
+    if (composing) {
+      const composerEl = renderComposer(col);
+      if (composer.position === "top") {
+        cardsContainer.insertBefore(composerEl, cardsContainer.firstChild);
+      } else {
+        cardsContainer.appendChild(composerEl);
+      }
+    }
+
+    if (!composing || composer.position !== "bottom") {
+      const addCardBtn = document.createElement("button");
+      addCardBtn.className = "add-card-btn";
+      addCardBtn.textContent = "+ Add a card";
+      addCardBtn.onclick = () => openComposer(col.id, "bottom", laneKey);
+      cardsContainer.appendChild(addCardBtn);
+    }
+
+    return cardsContainer;
+  }
+
+  // Swimlanes. Each lane is { key, title, laneId? }, where key is the lane's
+  // id, assignee or label name, and "" for the lane of cards without one.
+  // The layout is a row of column headers followed by one row per lane with
+  // a cell for every column, cached by lane like columns are otherwise.
+
+  const renderedLanes = new Map();
+  let renderedHeads = null;
+  let addLaneButton = null;
+
+  const NO_LANE_TITLES = { lane: "No lane", assignee: "Unassigned", label: "No label" };
+
+  function getLanes() {
+    const groupBy = state.swimlanes && state.swimlanes.groupBy;
+    if (!NO_LANE_TITLES[groupBy]) return null;
+    let lanes;
+    if (groupBy === "lane") {
+      lanes = (state.swimlanes.lanes || []).map(lane => ({ key: lane.id, title: lane.title, laneId: lane.id }));
+    } else {
+      const names = groupBy === "label" ? (state.labels || []).map(label => label.name) : [];
+      const found = [];
+      state.columns.forEach(col => col.cards.forEach(card => {
+        const key = laneKeyOf(card);
+        if (key && !names.includes(key) && !found.includes(key)) found.push(key);
+      }));
+      lanes = names.concat(found.sort((a, b) => a.localeCompare(b))).map(name => ({ key: name, title: name }));
+    }
+    lanes.push({ key: "", title: NO_LANE_TITLES[groupBy] });
+    return lanes;
+  }
+
+  // Shared with the extension, so a moved card shows up in its new lane
+  // right away, see getCardLaneKey.
+  ${getCardLaneKey}
+
+  ${setCardLane}
+
+  function laneKeyOf(card) {
+    return getCardLaneKey(state, card);
+  }
+
+  function laneStateKey(lane) {
+    return JSON.stringify([state.swimlanes.groupBy, lane.key]);
+  }
+
+  function isLaneCollapsed(lane) {
+    return (viewState.collapsedLanes || []).includes(laneStateKey(lane));
+  }
+
+  function setLaneCollapsed(lane, collapsed) {
+    const key = laneStateKey(lane);
+    const keys = (viewState.collapsedLanes || []).filter(k => k !== key);
+    if (collapsed) keys.push(key);
+    saveViewState({ collapsedLanes: keys });
+    render();
+  }
+
+  function renderSwimlanes(lanes) {
+    const headKey = JSON.stringify(state.columns.map(col => [col.id, col.title, col.wipLimit, col.wipBlock, col.policy, col.cards.length]));
+    if (!renderedHeads || renderedHeads.key !== headKey) {
+      const row = document.createElement("div");
+      row.className = "lane-columns";
+      state.columns.forEach(col => {
+        const column = createColumnElement(col, "column:" + col.id, describeColumn(col));
+        column.classList.add("column-head");
+        makeColumnDraggable(column, col);
+        column.appendChild(renderColumnHeader(col, column));
+        handleDrops(column, col, null, null);
+        row.appendChild(column);
+      });
+      renderedHeads = { key: headKey, element: row };
+    }
+    const elements = [renderedHeads.element];
+
+    lanes.forEach(lane => {
+      const cards = state.columns.map(col => col.cards.filter(c => laneKeyOf(c) === lane.key));
+      const key = JSON.stringify([
+        lane,
+        isLaneCollapsed(lane),
+        state.columns.map((col, i) => [col.id, col.title, col.wipLimit, col.wipBlock, col.cards.length, cards[i]]),
+        cards.some(list => list.some(c => c.id === editingCardId)),
+        composer && composer.lane === lane.key ? composer : null
+      ]);
+      const rendered = renderedLanes.get(lane.key);
+      if (rendered && rendered.key === key) {
+        elements.push(rendered.element);
+        return;
+      }
+      const element = renderLane(lane, cards);
+      renderedLanes.set(lane.key, { key, element });
+      elements.push(element);
+    });
+    for (const key of Array.from(renderedLanes.keys())) {
+      if (!lanes.some(lane => lane.key === key)) renderedLanes.delete(key);
+    }
+
+    if (state.swimlanes.groupBy === "lane") {
+      if (!addLaneButton) {
+        addLaneButton = document.createElement("button");
+        addLaneButton.className = "add-lane-btn";
+        addLaneButton.textContent = "+ Add Lane";
+        addLaneButton.onclick = () => {
+          vscode.postMessage({ type: "add-lane" });
+        };
+      }
+      elements.push(addLaneButton);
+    }
+    return elements;
+  }
+
+  function renderLane(lane, cards) {
+    const collapsed = isLaneCollapsed(lane);
+    const count = cards.reduce((sum, list) => sum + list.length, 0);
+    const element = document.createElement("div");
+    element.className = "lane" + (collapsed ? " collapsed" : "");
+    element.dataset.lane = lane.key;
+    element.setAttribute("role", "group");
+    element.setAttribute("aria-label", lane.title + ", " + count + (count === 1 ? " card" : " cards"));
+
+    const header = document.createElement("div");
+    header.className = "lane-header";
+    const toggle = document.createElement("button");
+    toggle.className = "lane-toggle";
+    toggle.textContent = (collapsed ? "▸ " : "▾ ") + lane.title;
+    toggle.title = collapsed ? "Expand Lane" : "Collapse Lane";
+    toggle.setAttribute("aria-expanded", String(!collapsed));
+    toggle.dataset.focusKey = "lane:" + lane.key;
+    toggle.onclick = () => setLaneCollapsed(lane, !collapsed);
+    const laneCount = document.createElement("span");
+    laneCount.className = "lane-count";
+    laneCount.dataset.total = count;
+    laneCount.textContent = count;
+    header.appendChild(toggle);
+    header.appendChild(laneCount);
+
+    if (lane.laneId) {
+      const renameBtn = document.createElement("button");
+      renameBtn.className = "icon-btn";
+      renameBtn.textContent = "✎";
+      renameBtn.title = "Rename Lane";
+      renameBtn.onclick = () => {
+        vscode.postMessage({ type: "rename-lane", laneId: lane.laneId, title: lane.title });
+      };
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "icon-btn";
+      deleteBtn.textContent = "×";
+      deleteBtn.title = "Delete Lane (its cards move to " + NO_LANE_TITLES.lane + ")";
+      deleteBtn.onclick = () => {
+        postOperation({ type: "delete-lane", laneId: lane.laneId });
+      };
+      header.appendChild(renameBtn);
+      header.appendChild(deleteBtn);
+    }
+
+    // Cards dropped on the header of a lane keep their column.
+    header.ondragover = e => {
+      if (draggedType !== "card" || laneKeyOf(dragged) === lane.key) return;
+      e.preventDefault();
+      header.classList.add("card-dragover");
+    };
+    header.ondragleave = () => header.classList.remove("card-dragover");
+    header.ondrop = e => {
+      e.preventDefault();
+      header.classList.remove("card-dragover");
+      if (draggedType !== "card" || !dragged) return;
+      sendMove(fromColumn, fromColumn, dragged.id, undefined, lane.key);
+      dragged = null;
+      fromColumn = null;
+      draggedType = null;
+    };
+    element.appendChild(header);
+
+    const row = document.createElement("div");
+    row.className = "lane-row";
+    state.columns.forEach((col, i) => {
+      const cell = createColumnElement(col, "column:" + col.id + ":" + lane.key, col.title + ", " + lane.title + ", " + cards[i].length + (cards[i].length === 1 ? " card" : " cards"));
+      cell.classList.add("lane-cell");
+      cell.dataset.lane = lane.key;
+      const cardsContainer = renderCardList(col, cards[i], lane);
+      handleDrops(cell, col, cardsContainer, lane);
+      cell.appendChild(cardsContainer);
+      row.appendChild(cell);
+    });
+    element.appendChild(row);
+    return element;
+  }
+
+  function updateSwimlaneSelect() {
+    swimlaneSelect.value = (state.swimlanes && state.swimlanes.groupBy) || "";
+  }
+
+  swimlaneSelect.onchange = () => {
+    postOperation({ type: "configure-swimlanes", groupBy: swimlaneSelect.value || null });
+  };
+
+  const LABEL_COLORS = {
+    green: "#519839",
+    yellow: "#b29f00",
+    orange: "#d29034",
+    red: "#b04632",
+    purple: "#89609e",
+    blue: "#0079bf",
+    sky: "#00a2c4",
+    pink: "#cd5a91",
+    gray: "#838c91"
+  };
+
+  function renderCardContent(card) {
+    const content = document.createElement("div");
+    content.className = "card-content";
+
+    const labels = document.createElement("div");
+    labels.className = "card-labels";
+    (card.labels || []).forEach(label => labels.appendChild(createLabelChip(label)));
+    content.appendChild(labels);
+
+    const span = document.createElement("span");
+    span.className = "card-title";
+    span.textContent = card.title;
+    content.appendChild(span);
+
+    const meta = document.createElement("div");
+    meta.className = "card-meta";
+    if (card.description) {
+      meta.appendChild(createBadge("≡", "Has description"));
+    }
+    if (card.checklist && card.checklist.length) {
+      const done = card.checklist.filter(item => item.done).length;
+      const badge = createBadge("☑ " + done + "/" + card.checklist.length, "Checklist");
+      if (done === card.checklist.length) badge.classList.add("complete");
+      meta.appendChild(badge);
+    }
+    if (card.start || card.due) {
+      const dates = card.start && card.due ? formatDate(card.start) + " – " + formatDate(card.due) : formatDate(card.start || card.due);
+      const badge = createBadge("📅 " + dates, [card.start && "Starts " + card.start, card.due && "Due " + card.due].filter(Boolean).join(", "));
+      badge.classList.add("due-badge");
+      meta.appendChild(badge);
+    }
+    if (card.completedAt) {
+      const badge = createBadge("✓ " + formatDate(card.completedAt.slice(0, 10)), "Completed " + new Date(card.completedAt).toLocaleString());
+      badge.classList.add("complete");
+      meta.appendChild(badge);
+    }
+    if (card.source) {
+      meta.appendChild(createSourceChip(card.source));
+    }
+    (card.refs || []).forEach(ref => meta.appendChild(createRefChip(ref)));
+    const commits = linkedCommits[card.id];
+    if (commits) {
+      meta.appendChild(createBadge("⎇ " + commits.length, commits.length === 1 ? "1 linked commit" : commits.length + " linked commits"));
+    }
+    if (card.assignees && card.assignees.length) {
+      const avatars = document.createElement("span");
+      avatars.className = "card-assignees";
+      card.assignees.forEach(name => avatars.appendChild(createAvatar(name)));
+      meta.appendChild(avatars);
+    }
+    content.appendChild(meta);
+
+    return content;
+  }
+
+  // A circle with the person's initials, coloured by their name.
+  function createAvatar(name) {
+    const avatar = document.createElement("span");
+    avatar.className = "avatar";
+    const words = name.replace(/@.*/, "").split(/[\s._-]+/).filter(Boolean);
+    avatar.textContent = (words.length > 1 ? words[0][0] + words[words.length - 1][0] : name.slice(0, 2)).toUpperCase();
+    let hash = 0;
+    for (const ch of name) hash = (hash * 31 + ch.charCodeAt(0)) % 360;
+    avatar.style.background = "hsl(" + hash + ", 45%, 40%)";
+    avatar.title = name;
+    return avatar;
+  }
+
+  function createBadge(text, title) {
+    const badge = document.createElement("span");
+    badge.className = "card-badge";
+    badge.textContent = text;
+    badge.title = title;
+    return badge;
+  }
+
+  // Link back to the comment a code TODO card was imported from.
+  function createSourceChip(source) {
+    return createLocationChip(source, source.tag + " in " + source.path + ":" + source.line);
+  }
+
+  function createRefChip(ref) {
+    return createLocationChip(ref, ref.symbol
+      ? ref.symbol + " in " + ref.path
+      : ref.path + ":" + ref.line + (ref.text ? "\\n" + ref.text : ""));
+  }
+
+  function createLocationChip(ref, description) {
+    const chip = document.createElement("button");
+    chip.className = "source-chip";
+    chip.textContent = ref.symbol || ref.path.split("/").pop() + ":" + ref.line;
+    chip.title = "Reveal " + description;
+    chip.onclick = e => {
+      e.stopPropagation();
+      vscode.postMessage({ type: "reveal-location", ref });
+    };
+    return chip;
+  }
+
+  function createLabelChip(label, onRemove) {
+    const chip = document.createElement("span");
+    chip.className = "label-chip";
+    chip.style.background = LABEL_COLORS[label.color] || LABEL_COLORS.gray;
+    chip.textContent = label.name;
+    if (onRemove) {
+      const remove = document.createElement("button");
+      remove.className = "icon-btn";
+      remove.textContent = "×";
+      remove.title = "Remove Label";
+      remove.onclick = onRemove;
+      chip.appendChild(remove);
+    }
+    return chip;
+  }
+
+  // How a card stands against its due date: "overdue", "today", "soon"
+  // (within the todoBoard.dueSoonDays setting) or null. Done cards are
+  // never due.
+  const DUE_STATUS_TEXT = { overdue: "overdue", today: "due today", soon: "due soon" };
+  let dueSoonDays = 2;
+
+  function getDueStatus(col, card) {
+    if (!card.due || col.policy === "done" || card.completedAt) return null;
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const due = new Date(card.due.slice(0, 10) + "T00:00:00");
+    const days = Math.round((due - today) / 86400000);
+    if (days < 0) return "overdue";
+    if (days === 0) return "today";
+    return days <= dueSoonDays ? "soon" : null;
+  }
+
+  function formatDate(value) {
+    const date = new Date(value + "T00:00:00");
+    if (isNaN(date.getTime())) return value;
+    return date.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+  }
+
+  function findCard(cardId) {
+    for (const col of state.columns) {
+      const card = col.cards.find(c => c.id === cardId);
+      if (card) return { col, card };
+    }
+    return null;
+  }
+
+  // Inputs that should keep focus across re-renders carry a data-focus-key.
+  function captureFocus() {
+    const el = document.activeElement;
+    if (!el || !el.dataset || !el.dataset.focusKey) return null;
+    return {
+      key: el.dataset.focusKey,
+      value: "value" in el ? el.value : null,
+      start: el.selectionStart,
+      end: el.selectionEnd
+    };
+  }
+
+  function restoreFocus(saved) {
+    if (!saved) return false;
+    const el = document.querySelector('[data-focus-key="' + CSS.escape(saved.key) + '"]');
+    if (!el) return false;
+    if (saved.value !== null && "value" in el && el.type !== "checkbox") {
+      el.value = saved.value;
+    }
+    el.focus();
+    if (typeof saved.start === "number" && el.setSelectionRange) {
+      try { el.setSelectionRange(saved.start, saved.end); } catch {}
+    }
+    return true;
+  }
+
+  // Card detail panel
+
+  let detailCardId = null;
+  let detailDescriptionMode = null;
+
+  function openDetail(cardId) {
+    detailCardId = cardId;
+    detailDescriptionMode = null;
+    renderDetail();
+    const title = detail.querySelector(".detail-title");
+    if (title) title.focus();
+  }
+
+  function closeDetail() {
+    const cardId = detailCardId;
+    detailCardId = null;
+    detail.classList.add("hidden");
+    detail.innerHTML = "";
+    if (cardId) focusKey("card:" + cardId);
+  }
+
+  function updateCard(col, card, changes) {
+    const base = {};
+    Object.keys(changes).forEach(key => {
+      base[key] = card[key] === undefined ? null : card[key];
+    });
+    Object.assign(card, changes);
+    postOperation({ type: "update-card", columnId: col.id, cardId: card.id, changes, base });
+  }
+
+  detail.addEventListener("mousedown", e => {
+    if (e.target === detail) closeDetail();
+  });
+
+  detail.addEventListener("keydown", e => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      if (document.activeElement && document.activeElement.tagName === "TEXTAREA") {
+        document.activeElement.blur();
+      } else {
+        closeDetail();
+      }
+    }
+  });
+
+  function renderDetail() {
+    if (!detailCardId || !state) return;
+    const found = findCard(detailCardId);
+    if (!found) {
+      closeDetail();
+      return;
+    }
+    const { col, card } = found;
+
+    detail.innerHTML = "";
+    detail.classList.remove("hidden");
+
+    const dialog = document.createElement("div");
+    dialog.className = "detail-dialog";
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-label", "Card details");
+
+    // Header: title and close button
+    const header = document.createElement("div");
+    header.className = "detail-header";
+    const titleInput = document.createElement("input");
+    titleInput.type = "text";
+    titleInput.className = "detail-title";
+    titleInput.value = card.title;
+    titleInput.dataset.focusKey = "detail-title";
+    titleInput.onchange = () => {
+      const title = titleInput.value.trim();
+      if (title && title !== card.title) {
+        updateCard(col, card, { title });
+      } else {
+        titleInput.value = card.title;
+      }
+    };
+    titleInput.onkeydown = e => {
+      if (e.key === "Enter") titleInput.blur();
+    };
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "icon-btn";
+    closeBtn.textContent = "×";
+    closeBtn.title = "Close";
+    closeBtn.onclick = closeDetail;
+    header.appendChild(titleInput);
+    header.appendChild(closeBtn);
+    dialog.appendChild(header);
+
+    const columnNote = document.createElement("div");
+    columnNote.className = "detail-section";
+    columnNote.textContent = "In column " + col.title;
+    columnNote.style.opacity = "0.7";
+    if (card.source) {
+      columnNote.appendChild(document.createTextNode(" · from "));
+      columnNote.appendChild(createSourceChip(card.source));
+    }
+    dialog.appendChild(columnNote);
+
+    dialog.appendChild(renderDescriptionSection(col, card));
+    dialog.appendChild(renderChecklistSection(col, card));
+    dialog.appendChild(renderDatesSection(col, card));
+    dialog.appendChild(renderLabelsSection(col, card));
+    dialog.appendChild(renderAssigneesSection(col, card));
+    if (card.refs && card.refs.length) {
+      dialog.appendChild(renderRefsSection(col, card));
+    }
+    if (linkedCommits[card.id]) {
+      dialog.appendChild(renderCommitsSection(card));
+    }
+    dialog.appendChild(renderActivitySection(card));
+
+    const actions = document.createElement("div");
+    actions.className = "detail-section detail-actions";
+    const archiveBtn = document.createElement("button");
+    archiveBtn.className = "text-btn";
+    archiveBtn.textContent = "Archive";
+    archiveBtn.onclick = () => {
+      closeDetail();
+      archiveCard(col, card);
+    };
+    const startBtn = document.createElement("button");
+    startBtn.className = "text-btn";
+    startBtn.textContent = "Start Work…";
+    startBtn.title = "Create and check out a git branch for this card";
+    startBtn.onclick = () => {
+      vscode.postMessage({ type: "start-work", cardId: card.id });
+    };
+    const moveBtn = document.createElement("button");
+    moveBtn.className = "text-btn";
+    moveBtn.textContent = "Move to Board…";
+    moveBtn.onclick = () => {
+      vscode.postMessage({ type: "move-to-board", cardId: card.id });
+    };
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "text-btn";
+    deleteBtn.textContent = "Delete Permanently…";
+    deleteBtn.onclick = () => deletePermanently(card, false);
+    actions.appendChild(startBtn);
+    actions.appendChild(moveBtn);
+    actions.appendChild(archiveBtn);
+    actions.appendChild(deleteBtn);
+    dialog.appendChild(actions);
+
+    detail.appendChild(dialog);
+  }
+
+  function createSection(title) {
+    const section = document.createElement("div");
+    section.className = "detail-section";
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    section.appendChild(heading);
+    return section;
+  }
+
+  function renderDescriptionSection(col, card) {
+    const section = createSection("Description");
+    const mode = detailDescriptionMode || (card.description ? "preview" : "write");
+
+    if (mode === "write") {
+      const textarea = document.createElement("textarea");
+      textarea.value = card.description || "";
+      textarea.placeholder = "Add a more detailed description… (Markdown supported)";
+      textarea.dataset.focusKey = "detail-description";
+      textarea.onblur = () => {
+        const description = textarea.value;
+        detailDescriptionMode = null;
+        if (description !== (card.description || "")) {
+          updateCard(col, card, { description });
+        }
+      };
+      section.appendChild(textarea);
+      if (detailDescriptionMode === "write") {
+        setTimeout(() => textarea.focus(), 0);
+      }
+    } else {
+      const preview = document.createElement("div");
+      preview.className = "markdown-preview";
+      preview.title = "Click to edit";
+      preview.innerHTML = renderMarkdown(card.description || "");
+      preview.onclick = e => {
+        if (e.target.closest("a")) return;
+        detailDescriptionMode = "write";
+        renderDetail();
+      };
+      section.appendChild(preview);
+    }
+    return section;
+  }
+
+  function renderChecklistSection(col, card) {
+    const section = createSection("Checklist");
+    const items = card.checklist || [];
+    const doneCount = items.filter(item => item.done).length;
+
+    if (items.length) {
+      const count = document.createElement("span");
+      count.textContent = doneCount + "/" + items.length;
+      section.firstChild.appendChild(count);
+
+      const progress = document.createElement("div");
+      progress.className = "checklist-progress";
+      const bar = document.createElement("div");
+      bar.style.width = Math.round(doneCount / items.length * 100) + "%";
+      progress.appendChild(bar);
+      section.appendChild(progress);
+    }
+
+    items.forEach((item, index) => {
+      const row = document.createElement("div");
+      row.className = "checklist-item" + (item.done ? " done" : "");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !!item.done;
+      checkbox.dataset.focusKey = "checklist-" + index;
+      checkbox.onchange = () => {
+        const checklist = items.map((it, i) => i === index ? { ...it, done: checkbox.checked } : it);
+        updateCard(col, card, { checklist });
+        renderDetail();
+      };
+      const text = document.createElement("span");
+      text.textContent = item.text;
+      const remove = document.createElement("button");
+      remove.className = "icon-btn";
+      remove.textContent = "×";
+      remove.title = "Remove Item";
+      remove.onclick = () => {
+        updateCard(col, card, { checklist: items.filter((_, i) => i !== index) });
+        renderDetail();
+      };
+      row.appendChild(checkbox);
+      row.appendChild(text);
+      row.appendChild(remove);
+      section.appendChild(row);
+    });
+
+    const form = document.createElement("div");
+    form.className = "inline-form";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "Add an item";
+    input.dataset.focusKey = "checklist-new";
+    const add = () => {
+      const text = input.value.trim();
+      if (!text) return;
+      input.value = "";
+      updateCard(col, card, { checklist: items.concat([{ text, done: false }]) });
+      renderDetail();
+      restoreFocus({ key: "checklist-new", value: "" });
+    };
+    input.onkeydown = e => {
+      if (e.key === "Enter") add();
+    };
+    const addBtn = document.createElement("button");
+    addBtn.className = "text-btn";
+    addBtn.textContent = "Add";
+    addBtn.onclick = add;
+    form.appendChild(input);
+    form.appendChild(addBtn);
+    section.appendChild(form);
+    return section;
+  }
+
+  function renderDatesSection(col, card) {
+    const section = createSection("Dates");
+    [["start", "Start"], ["due", "Due"]].forEach(([key, label]) => {
+      const form = document.createElement("div");
+      form.className = "inline-form";
+      const caption = document.createElement("label");
+      caption.className = "date-label";
+      caption.textContent = label;
+      const input = document.createElement("input");
+      input.type = "date";
+      input.id = "detail-" + key;
+      input.value = card[key] || "";
+      input.dataset.focusKey = "detail-" + key;
+      input.onchange = () => {
+        updateCard(col, card, { [key]: input.value || null });
+      };
+      caption.htmlFor = input.id;
+      form.appendChild(caption);
+      form.appendChild(input);
+      if (card[key]) {
+        const clear = document.createElement("button");
+        clear.className = "text-btn";
+        clear.textContent = "Clear";
+        clear.onclick = () => {
+          updateCard(col, card, { [key]: null });
+          delete card[key];
+          renderDetail();
+        };
+        form.appendChild(clear);
+      }
+      section.appendChild(form);
+    });
+    const due = getDueStatus(col, card);
+    if (card.start && card.due && card.start > card.due) {
+      section.appendChild(createDateNote("The start date is after the due date."));
+    } else if (due) {
+      section.appendChild(createDateNote("This card is " + DUE_STATUS_TEXT[due] + "."));
+    }
+    return section;
+  }
+
+  function createDateNote(text) {
+    const note = document.createElement("div");
+    note.className = "date-note";
+    note.textContent = text;
+    return note;
+  }
+
+  function renderLabelsSection(col, card) {
+    const section = createSection("Labels");
+    const labels = card.labels || [];
+
+    const chips = document.createElement("div");
+    chips.className = "card-labels";
+    labels.forEach((label, index) => {
+      chips.appendChild(createLabelChip(label, () => {
+        updateCard(col, card, { labels: labels.filter((_, i) => i !== index) });
+        renderDetail();
+      }));
+    });
+    section.appendChild(chips);
+
+    const form = document.createElement("div");
+    form.className = "inline-form";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "Label name";
+    input.dataset.focusKey = "label-new";
+    input.setAttribute("list", "known-labels");
+
+    const known = document.createElement("datalist");
+    known.id = "known-labels";
+    const knownLabels = collectLabels();
+    Object.keys(knownLabels).forEach(name => {
+      const option = document.createElement("option");
+      option.value = name;
+      known.appendChild(option);
+    });
+
+    const color = document.createElement("select");
+    Object.keys(LABEL_COLORS).forEach(name => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      color.appendChild(option);
+    });
+    input.oninput = () => {
+      if (knownLabels[input.value]) color.value = knownLabels[input.value];
+    };
+
+    const add = () => {
+      const name = input.value.trim();
+      if (!name || labels.some(l => l.name === name)) return;
+      input.value = "";
+      updateCard(col, card, { labels: labels.concat([{ name, color: color.value }]) });
+      renderDetail();
+    };
+    input.onkeydown = e => {
+      if (e.key === "Enter") add();
+    };
+    const addBtn = document.createElement("button");
+    addBtn.className = "text-btn";
+    addBtn.textContent = "Add";
+    addBtn.onclick = add;
+
+    form.appendChild(input);
+    form.appendChild(known);
+    form.appendChild(color);
+    form.appendChild(addBtn);
+    section.appendChild(form);
+    return section;
+  }
+
+  function renderCommitsSection(card) {
+    const section = createSection("Commits");
+    const list = document.createElement("ol");
+    list.className = "commit-list";
+    linkedCommits[card.id].forEach(commit => {
+      const item = document.createElement("li");
+      item.className = "activity-item";
+      const hash = document.createElement("code");
+      hash.className = "commit-hash";
+      hash.textContent = commit.hash.slice(0, 7);
+      hash.title = commit.hash;
+      item.appendChild(hash);
+      item.appendChild(document.createTextNode(" " + commit.subject));
+      const meta = document.createElement("div");
+      meta.className = "archive-meta";
+      meta.textContent = [commit.author, commit.date && new Date(commit.date).toLocaleString()].filter(Boolean).join(" · ");
+      item.appendChild(meta);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  function renderActivitySection(card) {
+    const section = createSection("Activity");
+    const list = document.createElement("ol");
+    list.className = "activity-list";
+    list.dataset.cardId = card.id;
+    section.appendChild(list);
+    if (activity && activity.cardId === card.id) {
+      fillActivityList(list, activity.entries);
+    }
+    vscode.postMessage({ type: "get-activity", cardId: card.id });
+    return section;
+  }
+
+  // Lists the entries newest first. Moves also say how long the card spent
+  // in the column it left.
+  function fillActivityList(list, entries) {
+    list.innerHTML = "";
+    const columnTitle = id => {
+      const col = state.columns.find(c => c.id === id);
+      return col ? col.title : id;
+    };
+    let enteredAt = null;
+    const items = entries.map(entry => {
+      let text;
+      if (entry.type === "created") {
+        text = "Created in " + columnTitle(entry.to);
+      } else if (entry.type === "moved") {
+        text = "Moved from " + (entry.board || columnTitle(entry.from)) + " to " + columnTitle(entry.to);
+        if (enteredAt && !entry.board) text += " after " + formatDuration(new Date(entry.at) - enteredAt) + " in " + columnTitle(entry.from);
+      } else if (entry.type === "renamed") {
+        text = "Renamed from “" + entry.from + "”";
+      } else if (entry.type === "edited") {
+        text = "Edited " + (entry.fields || []).join(", ");
+      } else if (entry.type === "archived") {
+        text = "Archived";
+      } else if (entry.type === "restored") {
+        text = "Restored";
+      } else {
+        text = entry.type;
+      }
+      if (entry.type === "created" || entry.type === "moved" || entry.type === "restored") {
+        enteredAt = new Date(entry.at);
+      }
+      const item = document.createElement("li");
+      item.className = "activity-item";
+      item.appendChild(document.createTextNode(text));
+      const meta = document.createElement("div");
+      meta.className = "archive-meta";
+      const when = new Date(entry.at);
+      meta.textContent = (entry.by ? entry.by + " · " : "") + (isNaN(when.getTime()) ? entry.at : when.toLocaleString());
+      item.appendChild(meta);
+      return item;
+    });
+    items.reverse().forEach(item => list.appendChild(item));
+    if (!items.length) {
+      const empty = document.createElement("li");
+      empty.className = "archive-empty";
+      empty.textContent = "No activity recorded yet.";
+      list.appendChild(empty);
+    }
+  }
+
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return minutes + (minutes === 1 ? " minute" : " minutes");
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return hours + (hours === 1 ? " hour" : " hours");
+    return Math.round(hours / 24) + " days";
+  }
+
+  function renderAssigneesSection(col, card) {
+    const section = createSection("Assignees");
+    const assignees = card.assignees || [];
+
+    const chips = document.createElement("div");
+    chips.className = "card-labels";
+    assignees.forEach((name, index) => {
+      const chip = document.createElement("span");
+      chip.className = "assignee-chip";
+      chip.appendChild(createAvatar(name));
+      chip.appendChild(document.createTextNode(name));
+      const remove = document.createElement("button");
+      remove.className = "icon-btn";
+      remove.textContent = "×";
+      remove.title = "Unassign " + name;
+      remove.onclick = () => {
+        updateCard(col, card, { assignees: assignees.filter((_, i) => i !== index) });
+        renderDetail();
+      };
+      chip.appendChild(remove);
+      chips.appendChild(chip);
+    });
+    section.appendChild(chips);
+
+    const form = document.createElement("div");
+    form.className = "inline-form";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "Name or email";
+    input.dataset.focusKey = "assignee-new";
+    input.setAttribute("list", "known-assignees");
+
+    const known = document.createElement("datalist");
+    known.id = "known-assignees";
+    const names = assigneeSuggestions.slice();
+    state.columns.forEach(c => c.cards.forEach(other => (other.assignees || []).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    })));
+    names.filter(name => !assignees.includes(name)).forEach(name => {
+      const option = document.createElement("option");
+      option.value = name;
+      known.appendChild(option);
+    });
+
+    const add = () => {
+      const name = input.value.trim();
+      if (!name || assignees.some(a => a.toLowerCase() === name.toLowerCase())) return;
+      input.value = "";
+      updateCard(col, card, { assignees: assignees.concat([name]) });
+      renderDetail();
+    };
+    input.onkeydown = e => {
+      if (e.key === "Enter") add();
+    };
+    const addBtn = document.createElement("button");
+    addBtn.className = "text-btn";
+    addBtn.textContent = "Assign";
+    addBtn.onclick = add;
+
+    form.appendChild(input);
+    form.appendChild(known);
+    form.appendChild(addBtn);
+    section.appendChild(form);
+    return section;
+  }
+
+  function renderRefsSection(col, card) {
+    const section = createSection("Code References");
+    card.refs.forEach((ref, index) => {
+      const row = document.createElement("div");
+      row.className = "checklist-item";
+      row.appendChild(createRefChip(ref));
+      const text = document.createElement("span");
+      text.textContent = ref.text || ref.path + ":" + ref.line;
+      text.title = ref.path + ":" + ref.line;
+      row.appendChild(text);
+      const remove = document.createElement("button");
+      remove.className = "icon-btn";
+      remove.textContent = "×";
+      remove.title = "Remove Reference";
+      remove.onclick = () => {
+        updateCard(col, card, { refs: card.refs.filter((_, i) => i !== index) });
+        renderDetail();
+      };
+      row.appendChild(remove);
+      section.appendChild(row);
+    });
+    const hint = document.createElement("div");
+    hint.className = "detail-hint";
+    hint.textContent = "Add more from an editor with “Add Selection to Card…”.";
+    section.appendChild(hint);
+    return section;
+  }
+
+  // Label names already used on this board, mapped to their color.
+  function collectLabels() {
+    const labels = {};
+    (state.labels || []).forEach(label => {
+      labels[label.name] = label.color;
+    });
+    state.columns.forEach(col => col.cards.forEach(card => {
+      (card.labels || []).forEach(label => {
+        labels[label.name] = label.color;
+      });
+    }));
+    return labels;
+  }
+
+  // Minimal Markdown renderer for card descriptions. Everything is escaped
+  // first, so only the markup produced here reaches the DOM.
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+  }
+
+  function renderInline(text) {
+    return escapeHtml(text)
+      .replace(/\`([^\`]+)\`/g, "<code>$1</code>")
+      .replace(/\\*\\*([^*]+)\\*\\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*])\\*([^*]+)\\*/g, "$1<em>$2</em>")
+      .replace(/~~([^~]+)~~/g, "<del>$1</del>")
+      .replace(/\\[([^\\]]+)\\]\\((https?:[^)\\s]+)\\)/g, '<a href="$2">$1</a>');
+  }
+
+  function renderMarkdown(source) {
+    if (!source.trim()) return "";
+    const lines = source.split(/\\r?\\n/);
+    const html = [];
+    let list = null;
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length) {
+        html.push("<p>" + paragraph.map(renderInline).join("<br>") + "</p>");
+        paragraph = [];
+      }
+    };
+    const closeList = () => {
+      if (list) {
+        html.push("</" + list + ">");
+        list = null;
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let match;
+
+      if (/^\`\`\`/.test(line)) {
+        flushParagraph();
+        closeList();
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\`\`\`/.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        html.push("<pre><code>" + escapeHtml(code.join("\\n")) + "</code></pre>");
+      } else if ((match = /^(#{1,6})\\s+(.*)$/.exec(line))) {
+        flushParagraph();
+        closeList();
+        const level = match[1].length;
+        html.push("<h" + level + ">" + renderInline(match[2]) + "</h" + level + ">");
+      } else if ((match = /^\\s*[-*+]\\s+(.*)$/.exec(line))) {
+        flushParagraph();
+        if (list !== "ul") {
+          closeList();
+          html.push("<ul>");
+          list = "ul";
+        }
+        const task = /^\\[( |x|X)\\]\\s+(.*)$/.exec(match[1]);
+        html.push(task
+          ? "<li>" + (task[1] === " " ? "☐ " : "☑ ") + renderInline(task[2]) + "</li>"
+          : "<li>" + renderInline(match[1]) + "</li>");
+      } else if ((match = /^\\s*\\d+[.)]\\s+(.*)$/.exec(line))) {
+        flushParagraph();
+        if (list !== "ol") {
+          closeList();
+          html.push("<ol>");
+          list = "ol";
+        }
+        html.push("<li>" + renderInline(match[1]) + "</li>");
+      } else if ((match = /^>\\s?(.*)$/.exec(line))) {
+        flushParagraph();
+        closeList();
+        html.push("<blockquote>" + renderInline(match[1]) + "</blockquote>");
+      } else if (!line.trim()) {
+        flushParagraph();
+        closeList();
+      } else {
+        closeList();
+        paragraph.push(line);
+      }
+    }
+    flushParagraph();
+    closeList();
+    return html.join("");
+  }
+
+  // Card filter. The query is a list of whitespace separated terms:
+  // plain words match anywhere in a card, "field:value" matches one card
+  // field (e.g. label:bug, id:card-123, column:doing), quotes keep spaces
+  // together and a leading "-" excludes matches.
+
+  const viewState = vscode.getState() || {};
+  const filter = Object.assign({ query: "", column: "", regex: false, mode: "dim" }, viewState.filter);
+  let filterTerms = [];
+
+  function saveViewState(patch) {
+    Object.assign(viewState, patch);
+    vscode.setState(viewState);
+  }
+
+  // Shared with the query API, see parseCardFilter.
+  ${parseCardFilter}
+
+  ${matchCardFilter}
+
+  function cardMatchesFilter(col, card) {
+    return matchCardFilter(filterTerms, col, card);
+  }
+
+  function filterActive() {
+    return filterTerms.length > 0;
+  }
+
+  function applyFilter() {
+    if (!state) return;
+    try {
+      filterTerms = parseCardFilter(filter.query, filter.regex);
+      filterInput.classList.remove("invalid");
+      filterInput.title = "";
+    } catch (err) {
+      filterTerms = [];
+      filterInput.classList.add("invalid");
+      filterInput.title = err.message;
+    }
+
+    board.classList.toggle("filter-dim", filter.mode !== "hide");
+    board.classList.toggle("filter-hide", filter.mode === "hide");
+
+    // With swimlanes a column's cards are spread over its cells in each lane,
+    // so matches are counted per column id.
+    const columnMatches = new Map();
+    board.querySelectorAll(".column").forEach(columnEl => {
+      const col = state.columns.find(c => c.id === columnEl.dataset.id);
+      if (!col) return;
+      columnEl.classList.toggle("filtered-out", !!filter.column && filter.column !== col.id);
+
+      columnEl.querySelectorAll(".card").forEach(cardEl => {
+        const card = col.cards.find(c => c.id === cardEl.dataset.id);
+        const matches = !card || cardMatchesFilter(col, card);
+        cardEl.classList.toggle("filtered-out", !matches);
+        if (matches) columnMatches.set(col.id, (columnMatches.get(col.id) || 0) + 1);
+      });
+    });
+
+    let total = 0;
+    let matched = 0;
+    board.querySelectorAll(".column-header").forEach(header => {
+      const col = state.columns.find(c => c.id === header.closest(".column").dataset.id);
+      if (!col) return;
+      const count = header.querySelector(".match-count");
+      count.textContent = filterActive() ? (columnMatches.get(col.id) || 0) + "/" + col.cards.length : "";
+      if (!filter.column || filter.column === col.id) {
+        total += col.cards.length;
+        matched += columnMatches.get(col.id) || 0;
+      }
+    });
+
+    board.querySelectorAll(".lane").forEach(laneEl => {
+      const count = laneEl.querySelector(".lane-count");
+      const cells = [...laneEl.querySelectorAll(".lane-cell:not(.filtered-out)")];
+      const shown = cells.reduce((sum, cell) => sum + cell.querySelectorAll(".card:not(.filtered-out)").length, 0);
+      count.textContent = filterActive() || filter.column ? shown + "/" + count.dataset.total : count.dataset.total;
+    });
+
+    filterSummary.textContent = filterActive() || filter.column
+      ? matched + " of " + total + " cards"
+      : "";
+  }
+
+  function updateColumnFilterOptions() {
+    columnFilter.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All columns";
+    columnFilter.appendChild(all);
+    state.columns.forEach(col => {
+      const option = document.createElement("option");
+      option.value = col.id;
+      option.textContent = col.title;
+      columnFilter.appendChild(option);
+    });
+    if (filter.column && !state.columns.some(c => c.id === filter.column)) {
+      filter.column = "";
+    }
+    columnFilter.value = filter.column;
+  }
+
+  function setFilter(patch) {
+    Object.assign(filter, patch);
+    saveViewState({ filter });
+    applyFilter();
+  }
+
+  filterInput.value = filter.query;
+  filterMode.value = filter.mode;
+  regexToggle.setAttribute("aria-pressed", String(filter.regex));
+
+  filterInput.oninput = () => setFilter({ query: filterInput.value });
+  filterInput.onkeydown = e => {
+    if (e.key === "Escape" && filterInput.value) {
+      e.stopPropagation();
+      filterInput.value = "";
+      setFilter({ query: "" });
+    }
+  };
+  regexToggle.onclick = () => {
+    regexToggle.setAttribute("aria-pressed", String(!filter.regex));
+    setFilter({ regex: !filter.regex });
+  };
+  columnFilter.onchange = () => setFilter({ column: columnFilter.value });
+  filterMode.onchange = () => setFilter({ mode: filterMode.value });
+
+  document.addEventListener("keydown", e => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "f") {
+      e.preventDefault();
+      filterInput.focus();
+      filterInput.select();
+    }
+  });
+
+  // Keyboard navigation. One card (or column) at a time is in the tab order;
+  // arrow keys move focus, Ctrl/Cmd+arrow keys move the focused card.
+
+  let lastFocusKey = null;
+  let pendingFocusKey = null;
+
+  function describeColumn(col) {
+    return col.title + ", " + col.cards.length + (col.cards.length === 1 ? " card" : " cards");
+  }
+
+  function describeCard(col, card, index, lane) {
+    if (!lane) {
+      return card.title + ", card " + (index + 1) + " of " + col.cards.length + " in " + col.title;
+    }
+    const count = col.cards.filter(c => laneKeyOf(c) === lane.key).length;
+    return card.title + ", card " + (index + 1) + " of " + count + " in " + col.title + ", " + lane.title;
+  }
+
+  function announce(message) {
+    announcer.textContent = "";
+    setTimeout(() => { announcer.textContent = message; }, 50);
+  }
+
+  function focusKey(key) {
+    const el = document.querySelector('[data-focus-key="' + CSS.escape(key) + '"]');
+    if (el) {
+      el.focus();
+      el.scrollIntoView({ block: "nearest", inline: "nearest" });
+    }
+    return !!el;
+  }
+
+  function isVisible(el) {
+    return el.offsetParent !== null;
+  }
+
+  // The visible columns in the same row as columnEl: the board, the
+  // column headers or one swimlane.
+  function visibleColumns(columnEl) {
+    return [...columnEl.parentElement.children].filter(el => el.classList.contains("column") && isVisible(el));
+  }
+
+  // The cell of the same column in the nearest expanded lane above or below.
+  function adjacentLaneCell(cellEl, direction) {
+    const lanes = [...board.querySelectorAll(".lane:not(.collapsed)")];
+    const lane = lanes[lanes.indexOf(cellEl.closest(".lane")) + direction];
+    return lane ? lane.querySelector('.lane-cell[data-id="' + CSS.escape(cellEl.dataset.id) + '"]') : null;
+  }
+
+  function visibleCards(columnEl) {
+    return [...columnEl.querySelectorAll(".card")].filter(isVisible);
+  }
+
+  function updateRovingFocus() {
+    const items = board.querySelectorAll(".card, .column");
+    items.forEach(el => { el.tabIndex = -1; });
+    let current = lastFocusKey && board.querySelector('[data-focus-key="' + CSS.escape(lastFocusKey) + '"]');
+    if (!current || !isVisible(current)) {
+      current = board.querySelector(".card:not(.filtered-out)") || board.querySelector(".column");
+    }
+    if (current) current.tabIndex = 0;
+  }
+
+  board.addEventListener("focusin", e => {
+    const el = e.target;
+    if (el.classList.contains("card") || el.classList.contains("column")) {
+      lastFocusKey = el.dataset.focusKey;
+      updateRovingFocus();
+    }
+  });
+
+  board.addEventListener("keydown", e => {
+    const target = e.target;
+    if (e.key === "F2" && target.classList.contains("card")) {
+      e.preventDefault();
+      startTitleEdit(target.dataset.id);
+      return;
+    }
+    const isCard = target.classList.contains("card");
+    if (!isCard && !target.classList.contains("column")) return;
+
+    const columnEl = target.closest(".column");
+    const col = state.columns.find(c => c.id === columnEl.dataset.id);
+    const card = isCard ? col.cards.find(c => c.id === target.dataset.id) : null;
+    const mod = e.ctrlKey || e.metaKey;
+    let handled = true;
+
+    switch (e.key) {
+      case "ArrowUp":
+      case "ArrowDown":
+      case "ArrowLeft":
+      case "ArrowRight":
+        if (mod && card) {
+          moveCardByKey(columnEl, col, card, e.key);
+        } else if (mod) {
+          moveColumnByKey(col, e.key);
+        } else {
+          moveFocusByKey(columnEl, isCard ? target : null, e.key);
+        }
+        break;
+      case "Home":
+      case "End": {
+        const cards = visibleCards(columnEl);
+        const next = e.key === "Home" ? cards[0] : cards[cards.length - 1];
+        if (next) next.focus();
+        break;
+      }
+      case "n":
+      case "N":
+        if (mod || e.altKey) {
+          handled = false;
+        } else {
+          openComposer(col.id, e.shiftKey ? "top" : "bottom", columnEl.dataset.lane);
+        }
+        break;
+      case "e":
+      case "E":
+        if (card && !mod && !e.altKey) {
+          startTitleEdit(card.id);
+        } else {
+          handled = false;
+        }
+        break;
+      case "Enter":
+        if (card && !mod && !e.altKey) {
+          openDetail(card.id);
+        } else {
+          handled = false;
+        }
+        break;
+      case "Delete":
+      case "Backspace":
+        if (card && e.shiftKey) {
+          deletePermanently(card, false);
+        } else if (card) {
+          archiveCard(col, card);
+        } else {
+          handled = false;
+        }
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  });
+
+  // Shared with the tests, see getNextFocus.
+  ${getNextFocus}
+
+  // Lane cells move between the expanded lanes; the column headers and a
+  // board without swimlanes are a single row.
+  function moveFocusByKey(columnEl, cardEl, key) {
+    const rows = columnEl.classList.contains("lane-cell")
+      ? [...board.querySelectorAll(".lane:not(.collapsed)")].filter(isVisible).map(lane => visibleColumns(lane.querySelector(".lane-cell")))
+      : [visibleColumns(columnEl)];
+    const lane = rows.findIndex(row => row.includes(columnEl));
+    const from = {
+      lane,
+      column: rows[lane].indexOf(columnEl),
+      card: cardEl ? visibleCards(columnEl).indexOf(cardEl) : -1,
+    };
+    const to = getNextFocus(rows.map(row => row.map(el => visibleCards(el).length)), from, key);
+    if (!to) return;
+    const targetColumn = rows[to.lane][to.column];
+    const next = to.card === -1 ? targetColumn : visibleCards(targetColumn)[to.card];
+    next.focus();
+    next.scrollIntoView({ block: "nearest", inline: "nearest" });
+  }
+
+  // With swimlanes, cards move within their lane, and up or down into the
+  // next lane from the top or bottom of it.
+  function moveCardByKey(columnEl, col, card, key) {
+    const lanes = getLanes();
+    const inLane = (c, laneKey) => !lanes || laneKeyOf(c) === laneKey;
+    const siblings = col.cards.filter(c => inLane(c, laneKeyOf(card)));
+    const fromIndex = col.cards.indexOf(card);
+    const index = siblings.indexOf(card);
+    let toCol = col;
+    let toIndex;
+    let toLane;
+
+    if (key === "ArrowUp" || key === "ArrowDown") {
+      const up = key === "ArrowUp";
+      const neighbour = siblings[index + (up ? -1 : 1)];
+      if (neighbour) {
+        toIndex = col.cards.indexOf(neighbour) + (up ? 0 : 1);
+      } else {
+        const cell = lanes && adjacentLaneCell(columnEl, up ? -1 : 1);
+        if (!cell) return;
+        toLane = cell.dataset.lane;
+        const laneCards = col.cards.filter(c => inLane(c, toLane));
+        const edge = up ? laneCards[laneCards.length - 1] : laneCards[0];
+        toIndex = edge ? col.cards.indexOf(edge) + (up ? 1 : 0) : fromIndex;
+      }
+    } else {
+      const columns = visibleColumns(columnEl);
+      const targetEl = columns[columns.indexOf(columnEl) + (key === "ArrowLeft" ? -1 : 1)];
+      if (!targetEl) return;
+      toCol = state.columns.find(c => c.id === targetEl.dataset.id);
+      const laneCards = toCol.cards.filter(c => inLane(c, laneKeyOf(card)));
+      const before = laneCards[index];
+      const last = laneCards[laneCards.length - 1];
+      toIndex = before ? toCol.cards.indexOf(before) : last ? toCol.cards.indexOf(last) + 1 : toCol.cards.length;
+    }
+
+    if (toCol !== col && toCol.wipBlock && isColumnFull(toCol)) {
+      announce(toCol.title + " is at its WIP limit of " + toCol.wipLimit);
+      showToast(toCol.title + " is at its WIP limit of " + toCol.wipLimit + ".");
+      return;
+    }
+
+    lastFocusKey = "card:" + card.id;
+    sendMove(col.id, toCol.id, card.id, toIndex, toLane);
+    focusKey(lastFocusKey);
+
+    const laneKey = lanes ? laneKeyOf(card) : undefined;
+    const laneCards = toCol.cards.filter(c => inLane(c, laneKey));
+    const lane = lanes && lanes.find(l => l.key === laneKey);
+    announce("Moved " + card.title + " to " + toCol.title + (lane ? ", " + lane.title : "") + ", position " + (laneCards.indexOf(card) + 1) + " of " + laneCards.length);
+  }
+
+  function moveColumnByKey(col, key) {
+    if (key !== "ArrowLeft" && key !== "ArrowRight") return;
+    const index = state.columns.indexOf(col);
+    const target = state.columns[index + (key === "ArrowLeft" ? -1 : 1)];
+    if (!target) return;
+    pendingFocusKey = "column:" + col.id;
+    postOperation({ type: "move-column", fromId: col.id, toId: target.id });
+    announce("Moved column " + col.title + " to position " + (state.columns.indexOf(target) + 1) + " of " + state.columns.length);
+  }
+
+  function archiveCard(col, card) {
+    const index = col.cards.indexOf(card);
+    const neighbour = col.cards[index + 1] || col.cards[index - 1];
+    pendingFocusKey = neighbour ? "card:" + neighbour.id : "column:" + col.id;
+    postOperation({ type: "archive-card", cardId: card.id });
+    announce("Archived " + card.title);
+  }
+
+  // Asks the extension to confirm before a card is removed for good.
+  function deletePermanently(card, archived) {
+    vscode.postMessage({ type: "delete-permanently", cardId: card.id, title: card.title, archived });
+  }
+
+  // Archive drawer
+
+  archiveToggle.onclick = () => {
+    const open = archiveDrawer.classList.toggle("hidden") === false;
+    archiveToggle.setAttribute("aria-pressed", String(open));
+    renderArchive();
+    if (open) archiveSearch.focus();
+  };
+  archiveSearch.oninput = renderArchive;
+
+  function renderArchive() {
+    const archive = (state && state.archive) || [];
+    archiveToggle.textContent = archive.length ? "Archive (" + archive.length + ")" : "Archive";
+    if (archiveDrawer.classList.contains("hidden")) return;
+
+    const query = archiveSearch.value.trim().toLowerCase();
+    const cards = archive
+      .filter(card => !query || (card.title + " " + (card.description || "")).toLowerCase().includes(query))
+      .sort((a, b) => (b.archivedAt || "").localeCompare(a.archivedAt || ""));
+
+    archiveList.innerHTML = "";
+    if (!cards.length) {
+      const empty = document.createElement("li");
+      empty.className = "archive-empty";
+      empty.textContent = archive.length ? "No archived cards match." : "No archived cards.";
+      archiveList.appendChild(empty);
+      return;
+    }
+    for (const card of cards) {
+      const item = document.createElement("li");
+      item.className = "archive-item";
+      const text = document.createElement("div");
+      text.className = "archive-text";
+      const title = document.createElement("div");
+      title.textContent = card.title;
+      const meta = document.createElement("div");
+      meta.className = "archive-meta";
+      const from = state.columns.find(c => c.id === card.archivedFrom);
+      const parts = [];
+      if (from) parts.push("from " + from.title);
+      if (card.archivedAt) parts.push("archived " + formatDate(card.archivedAt.slice(0, 10)));
+      meta.textContent = parts.join(" · ");
+      text.appendChild(title);
+      text.appendChild(meta);
+      item.appendChild(text);
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.className = "text-btn";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.onclick = () => {
+        postOperation({ type: "restore-card", cardId: card.id });
+        announce("Restored " + card.title);
+      };
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "text-btn";
+      deleteBtn.textContent = "Delete…";
+      deleteBtn.onclick = () => deletePermanently(card, true);
+      item.appendChild(restoreBtn);
+      item.appendChild(deleteBtn);
+      archiveList.appendChild(item);
+    }
+  }
+
+  // Inline card composer and title editing
+
+  let composer = null;
+  let editingCardId = null;
+
+  // With swimlanes, lane is the key of the lane the cards are added to;
+  // cards added from a column header go to the lane of cards without one.
+  function openComposer(columnId, position, lane) {
+    const lanes = getLanes();
+    if (lanes && lane === undefined) lane = "";
+    const target = lanes && lanes.find(l => l.key === lane);
+    composer = { columnId, position, lane };
+    if (target && isLaneCollapsed(target)) {
+      setLaneCollapsed(target, false);
+    } else {
+      render();
+    }
+    focusKey("composer");
+  }
+
+  function closeComposer(returnFocus) {
+    if (!composer) return;
+    const { columnId, lane } = composer;
+    composer = null;
+    render();
+    if (returnFocus) focusKey("column:" + columnId + (lane === undefined ? "" : ":" + lane));
+  }
+
+  function submitCards(col, titles) {
+    titles = titles.map(t => t.trim()).filter(Boolean);
+    if (!titles.length) return;
+    postOperation({ type: "add-card", columnId: col.id, titles, position: composer.position, lane: composer.lane || undefined });
+    announce(titles.length === 1
+      ? "Added " + titles[0] + " to " + col.title
+      : "Added " + titles.length + " cards to " + col.title);
+  }
+
+  function renderComposer(col) {
+    const wrap = document.createElement("div");
+    wrap.className = "card-composer";
+
+    const textarea = document.createElement("textarea");
+    textarea.rows = 2;
+    textarea.placeholder = "Card title… (paste several lines for several cards)";
+    textarea.dataset.focusKey = "composer";
+    textarea.setAttribute("aria-label", "New card title for " + col.title);
+
+    const submit = () => {
+      const value = textarea.value;
+      textarea.value = "";
+      submitCards(col, [value]);
+    };
+
+    textarea.onkeydown = e => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        submit();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        closeComposer(true);
+      }
+    };
+    textarea.onpaste = e => {
+      const text = e.clipboardData.getData("text/plain");
+      if (!/[\\r\\n]/.test(text)) return;
+      e.preventDefault();
+      const lines = text.split(/\\r?\\n/);
+      lines[0] = textarea.value + lines[0];
+      textarea.value = "";
+      submitCards(col, lines);
+    };
+    textarea.onblur = () => {
+      setTimeout(() => {
+        if (!textarea.isConnected || wrap.contains(document.activeElement)) return;
+        if (textarea.value.trim()) submit();
+        closeComposer(false);
+      }, 0);
+    };
+
+    const actions = document.createElement("div");
+    actions.className = "inline-form";
+    const addBtn = document.createElement("button");
+    addBtn.className = "text-btn active";
+    addBtn.textContent = "Add card";
+    addBtn.onmousedown = e => e.preventDefault();
+    addBtn.onclick = () => {
+      submit();
+      textarea.focus();
+    };
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "icon-btn";
+    cancelBtn.textContent = "×";
+    cancelBtn.title = "Cancel";
+    cancelBtn.onmousedown = e => e.preventDefault();
+    cancelBtn.onclick = () => closeComposer(true);
+    actions.appendChild(addBtn);
+    actions.appendChild(cancelBtn);
+
+    wrap.appendChild(textarea);
+    wrap.appendChild(actions);
+    return wrap;
+  }
+
+  function startTitleEdit(cardId) {
+    editingCardId = cardId;
+    render();
+    const input = board.querySelector('[data-focus-key="' + CSS.escape("title:" + cardId) + '"]');
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  function finishTitleEdit(col, card, title) {
+    editingCardId = null;
+    title = title === null ? "" : title.trim();
+    const found = findCard(card.id);
+    if (found && title && title !== found.card.title) {
+      postOperation({ type: "rename-card", columnId: found.col.id, cardId: card.id, newTitle: title, base: found.card.title });
+      found.card.title = title;
+    }
+    render();
+    focusKey("card:" + card.id);
+  }
+
+  function renderTitleEditor(col, card) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "card-title-input";
+    input.value = card.title;
+    input.dataset.focusKey = "title:" + card.id;
+    input.setAttribute("aria-label", "Card title");
+    input.onclick = e => e.stopPropagation();
+    input.onkeydown = e => {
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finishTitleEdit(col, card, input.value);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        finishTitleEdit(col, card, null);
+      }
+    };
+    input.onblur = () => {
+      setTimeout(() => {
+        if (input.isConnected && editingCardId === card.id) {
+          finishTitleEdit(col, card, input.value);
+        }
+      }, 0);
+    };
+    return input;
+  }
+
+  let isDown = false;
+  let startX;
+  let scrollLeft;
+
+  board.addEventListener('mousedown', (e) => {
+    if (e.target.closest('.card') || e.target.tagName === 'BUTTON' || isEditingText(e.target) || e.target.closest('.column-header')) {
+        return;
+    }
+    e.preventDefault();
+    isDown = true;
+    board.classList.add('active');
+    startX = e.pageX - board.offsetLeft;
+    scrollLeft = board.scrollLeft;
+  });
+
+  board.addEventListener('mouseleave', () => {
+    isDown = false;
+    board.classList.remove('active');
+  });
+
+  board.addEventListener('mouseup', () => {
+    isDown = false;
+    board.classList.remove('active');
+  });
+
+  board.addEventListener('mousemove', (e) => {
+    if (!isDown) return;
+    e.preventDefault();
+    const x = e.pageX - board.offsetLeft;
+    const walk = (x - startX) * 2;
+    board.scrollLeft = scrollLeft - walk;
+  });
+
+
+  function getDragAfterElement(container, y) {
+    const draggableElements = [...container.querySelectorAll('.card:not(.dragging)')];
+
+    return draggableElements.reduce((closest, child) => {
+      const box = child.getBoundingClientRect();
+      const offset = y - box.top - box.height / 2;
+      if (offset < 0 && offset > closest.offset) {
+        return { offset: offset, element: child };
+      } else {
+        return closest;
+      }
+    }, { offset: Number.NEGATIVE_INFINITY }).element;
+  }
+
+  // Shared with the extension, see isColumnFull.
+  ${isColumnFull}
+
+  function isDropBlocked(col) {
+    return fromColumn !== col.id && !!col.wipBlock && isColumnFull(col);
+  }
+
+  // Moves a card locally for immediate feedback and asks the extension to
+  // apply the same move to the document.
+  // lane is the key of the swimlane the card was moved to, if any.
+  function sendMove(fromId, toId, cardId, toIndex, lane) {
+    const finalIndex = moveCard(fromId, toId, cardId, toIndex);
+    if (finalIndex === -1) return;
+    const toCol = state.columns.find(c => c.id === toId);
+    const card = toCol.cards[finalIndex];
+    const laneChanged = lane !== undefined && laneKeyOf(card) !== lane;
+    if (laneChanged) setCardLane(state, card, lane);
+    render();
+    const next = toCol.cards[finalIndex + 1];
+    postOperation({
+      type: "move-card",
+      cardId,
+      fromColumnId: fromId,
+      toColumnId: toId,
+      toIndex: finalIndex,
+      beforeCardId: next ? next.id : null,
+      lane: laneChanged ? lane || null : undefined
+    });
+  }
+
+  function moveCard(fromId, toId, cardId, toIndex) {
+    const fromCol = state.columns.find(c => c.id === fromId);
+    const toCol = state.columns.find(c => c.id === toId);
+
+    const fromIdx = fromCol.cards.findIndex(c => c.id === cardId);
+    if (fromIdx === -1) return -1;
+    
+    const [card] = fromCol.cards.splice(fromIdx, 1);
+    
+    let finalIndex = toIndex;
+    if (fromId === toId && fromIdx < toIndex) {
+        if (toIndex !== undefined && toIndex > fromIdx) {
+             finalIndex = toIndex - 1;
+        }
+    }
+    
+    if (finalIndex === undefined) finalIndex = toCol.cards.length;
+
+    toCol.cards.splice(finalIndex, 0, card);
+    return finalIndex;
+  }
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+// Activity log
+//
+// Cards keep a log of what happened to them as `{ at, by?, type, ... }`
+// entries, where `by` is the git user and `type` is `created` (`to` column
+// id), `renamed` (`from` and `to` titles), `moved` (`from` and `to` column
+// ids, and the `board` it came from when moved between boards), `edited`
+// (`fields`), `archived` or `restored`. Entries are found by
+// comparing the board before and after each operation. They are stored in
+// the card's `activity` list, or with `todoBoard.activityLog` set to
+// `sidecar` in a `<name>.board.history.json` (`<name>.board.md.history.json`
+// for Markdown boards) file next to the board, so the board's own diffs stay
+// small.
+
+const ACTIVITY_LOG_EXTENSION = '.board.history.json';
+
+// Card fields whose changes are logged as edits.
+const ACTIVITY_FIELDS = [
+    'description',
+    'start',
+    'due',
+    'labels',
+    'assignees',
+    'checklist',
+    'refs',
+    'lane',
+];
+
+function getActivityLogMode(uri) {
+    return vscode.workspace
+        .getConfiguration('todoBoard', uri)
+        .get('activityLog', 'board');
+}
+
+function getActivityLogName(uri) {
+    return isMarkdownBoardUri(uri)
+        ? getBoardName(uri) + MARKDOWN_BOARD_EXTENSION + '.history.json'
+        : getBoardName(uri) + ACTIVITY_LOG_EXTENSION;
+}
+
+function getActivityLogUri(uri) {
+    return vscode.Uri.joinPath(uri, '..', getActivityLogName(uri));
+}
+
+// Adds the rename of the sidecar log of the board at `uri` to `edit`, when
+// there is one. A log left behind by a deleted board is replaced.
+async function renameActivityLog(edit, uri, target) {
+    const log = getActivityLogUri(uri);
+    if (await fileExists(log)) {
+        edit.renameFile(log, getActivityLogUri(target), { overwrite: true });
+    }
+}
+
+// Git users by board, looked up once per session.
+const activityActors = new Map();
+
+async function getActivityActor(uri) {
+    const key = uri.toString();
+    if (!activityActors.has(key)) {
+        const user = await getGitUser(uri);
+        if (!user) return undefined;
+        activityActors.set(key, user.name || user.email);
+    }
+    return activityActors.get(key);
+}
+
+// Returns the activity between two versions of a board as
+// `[{ cardId, entry }]`.
+function diffActivity(before, after, by, now = new Date()) {
+    const locate = (data) => {
+        const cards = new Map();
+        for (const col of data.columns) {
+            for (const card of col.cards) cards.set(card.id, { col, card });
+        }
+        for (const card of data.archive || []) {
+            cards.set(card.id, { col: null, card });
+        }
+        return cards;
+    };
+    const previous = locate(before);
+    const events = [];
+    const add = (cardId, entry) =>
+        events.push({
+            cardId,
+            entry: { at: now.toISOString(), ...(by ? { by } : {}), ...entry },
+        });
+
+    for (const [cardId, { col, card }] of locate(after)) {
+        const old = previous.get(cardId);
+        if (!old) {
+            if (col) add(cardId, { type: 'created', to: col.id });
+            continue;
+        }
+        if (!old.col !== !col) {
+            add(cardId, { type: col ? 'restored' : 'archived' });
+        } else if (col && old.col.id !== col.id) {
+            add(cardId, { type: 'moved', from: old.col.id, to: col.id });
+        }
+        if (old.card.title !== card.title) {
+            add(cardId, {
+                type: 'renamed',
+                from: old.card.title,
+                to: card.title,
+            });
+        }
+        const fields = ACTIVITY_FIELDS.filter(
+            (key) => !sameValue(old.card[key], card[key])
+        );
+        if (fields.length) add(cardId, { type: 'edited', fields });
+    }
+    return events;
+}
+
+// Logs the activity between `before` and `after` for the board at `uri`. In
+// the default mode it is added to the cards in `after`; in sidecar mode it
+// is returned, to be written with writeSidecarActivity once the board has
+// been saved.
+function collectActivity(uri, before, after, by) {
+    const mode = getActivityLogMode(uri);
+    if (mode === 'off') return [];
+    const events = diffActivity(before, after, by);
+    if (mode === 'sidecar') return events;
+    for (const { cardId, entry } of events) {
+        const found = findCardInBoard(after, cardId);
+        const card = found
+            ? found.card
+            : (after.archive || []).find((c) => c.id === cardId);
+        card.activity = (card.activity || []).concat(entry);
+    }
+    return [];
+}
+
+// Logs `card`, just moved in from another board, with the `history` it had
+// in that board's sidecar file and a `moved` entry whose `board` is the path
+// of that board. Like collectActivity, sidecar entries are returned.
+function collectTransferActivity(uri, card, history, entry) {
+    const mode = getActivityLogMode(uri);
+    if (mode === 'off') return [];
+    const entries = history.concat(entry);
+    if (mode === 'sidecar') {
+        return entries.map((e) => ({ cardId: card.id, entry: e }));
+    }
+    card.activity = (card.activity || []).concat(entries);
+    return [];
+}
+
+async function readActivityLog(uri) {
+    const file = getActivityLogUri(uri);
+    let text;
+    try {
+        text = Buffer.from(await vscode.workspace.fs.readFile(file)).toString(
+            'utf8'
+        );
+    } catch {
+        return { version: 1, cards: {} };
+    }
+    try {
+        const log = JSON.parse(text);
+        if (isPlainObject(log) && isPlainObject(log.cards)) return log;
+    } catch {
+        // Reported below.
+    }
+    throw new Error(
+        'Cannot read the activity log ' +
+            vscode.workspace.asRelativePath(file) +
+            '.'
+    );
+}
+
+async function writeSidecarActivity(uri, events) {
+    if (!events.length) return;
+    const log = await readActivityLog(uri);
+    for (const { cardId, entry } of events) {
+        log.cards[cardId] = (log.cards[cardId] || []).concat(entry);
+    }
+    await vscode.workspace.fs.writeFile(
+        getActivityLogUri(uri),
+        Buffer.from(JSON.stringify(log, null, 2) + '\n')
+    );
+}
+
+// The activity of every card from the board and the sidecar file, as a Map
+// of card id -> entries, oldest first.
+async function getBoardActivity(uri, data) {
+    const log = await readActivityLog(uri).catch(() => ({ cards: {} }));
+    const activity = new Map();
+    const add = (cardId, entries) =>
+        activity.set(cardId, (activity.get(cardId) || []).concat(entries));
+    for (const col of data.columns) {
+        for (const card of col.cards) add(card.id, card.activity || []);
+    }
+    for (const card of data.archive || []) add(card.id, card.activity || []);
+    for (const [cardId, entries] of Object.entries(log.cards)) {
+        if (Array.isArray(entries)) add(cardId, entries);
+    }
+    for (const entries of activity.values()) {
+        entries.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    }
+    return activity;
+}
+
+async function getCardActivity(uri, data, cardId) {
+    return (await getBoardActivity(uri, data)).get(cardId) || [];
+}
+
+// Board files outside the editor
+
+// Applies `mutate` to the board stored at `uri` and writes the result back
+// through the text document, so open board editors pick the change up like
+// any other edit. `mutate` may return false to skip writing, and an invalid
+// result is thrown rather than written. Resolves to whether the file changed.
+async function updateBoardFile(uri, mutate) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const text = document.getText();
+    const format = getBoardFormat(uri);
+    const { data, error } = parseBoardText(text, format);
+    if (error) {
+        throw new Error(
+            vscode.workspace.asRelativePath(uri) + ': ' + error.message
+        );
+    }
+
+    if ((await mutate(data)) === false) return false;
+
+    const problems = validateBoard(data);
+    if (problems.length) {
+        throw new Error(
+            vscode.workspace.asRelativePath(uri) + ': ' + problems[0].message
+        );
+    }
+
+    const updated = serializeBoard(data, format);
+    if (sameText(updated, text)) return false;
+
+    // Unsaved changes of the user's are left for them to save.
+    const wasDirty = document.isDirty;
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(
+        uri,
+        new vscode.Range(
+            document.positionAt(0),
+            document.positionAt(text.length)
+        ),
+        updated
+    );
+    await vscode.workspace.applyEdit(edit);
+    if (!wasDirty || isAutoSaveEnabled(uri)) await document.save();
+    return true;
+}
+
+// Card locations are stored relative to the workspace folder of the board
+// (or the board's directory outside a workspace) so they survive clones.
+function getBoardRoot(boardUri) {
+    const folder = vscode.workspace.getWorkspaceFolder(boardUri);
+    return folder ? folder.uri : vscode.Uri.joinPath(boardUri, '..');
+}
+
+function toBoardRelativePath(boardUri, uri) {
+    const root = getBoardRoot(boardUri).path.replace(/\/$/, '');
+    return uri.path.startsWith(root + '/')
+        ? uri.path.slice(root.length + 1)
+        : vscode.workspace.asRelativePath(uri, false);
+}
+
+// Opens the code location `ref` ({ path, line, text?, symbol? }) points at,
+// following the code if it moved since the reference was recorded.
+async function revealLocation(boardUri, ref) {
+    const uri = vscode.Uri.joinPath(getBoardRoot(boardUri), ref.path);
+    let document;
+    try {
+        document = await vscode.workspace.openTextDocument(uri);
+    } catch {
+        vscode.window.showErrorMessage('Cannot open ' + ref.path + '.');
+        return;
+    }
+    const position = new vscode.Position(
+        (await resolveRefLine(document, ref)) - 1,
+        0
+    );
+    await vscode.window.showTextDocument(document, {
+        viewColumn: vscode.ViewColumn.Beside,
+        selection: new vscode.Range(position, position),
+    });
+}
+
+// How far from the recorded line to look for the referenced text.
+const REF_SEARCH_RADIUS = 500;
+
+// Returns the current 1-based line of a code reference. Symbol references
+// follow the symbol; line references look for the recorded line text
+// nearest to the recorded line and fall back to the line number itself.
+async function resolveRefLine(document, ref) {
+    const clamp = (line) => Math.min(Math.max(line, 1), document.lineCount);
+
+    if (ref.symbol) {
+        const symbol = await findDocumentSymbol(document, (s) => {
+            return s.name === ref.symbol;
+        });
+        if (symbol) return symbol.range.start.line + 1;
+    }
+
+    const line = clamp(ref.line || 1);
+    if (!ref.text) return line;
+
+    const matches = (n) =>
+        n >= 1 &&
+        n <= document.lineCount &&
+        document.lineAt(n - 1).text.includes(ref.text);
+    for (let delta = 0; delta <= REF_SEARCH_RADIUS; delta++) {
+        if (matches(line - delta)) return line - delta;
+        if (matches(line + delta)) return line + delta;
+    }
+    return line;
+}
+
+// Depth-first search of the document's symbols, innermost match last wins.
+async function findDocumentSymbol(document, predicate) {
+    let symbols;
+    try {
+        symbols = await vscode.commands.executeCommand(
+            'vscode.executeDocumentSymbolProvider',
+            document.uri
+        );
+    } catch {
+        return undefined;
+    }
+
+    let found;
+    const visit = (list) => {
+        for (const symbol of list || []) {
+            const range =
+                symbol.range || (symbol.location && symbol.location.range);
+            if (!range) continue;
+            if (predicate({ name: symbol.name, range })) {
+                found = { name: symbol.name, range };
+            }
+            visit(symbol.children);
+        }
+    };
+    visit(symbols);
+    return found;
+}
+
+// Card ids are `card-<timestamp>`, with a counter when several cards are
+// created within the same millisecond.
+function createCardId(data) {
+    const base = 'card-' + Date.now();
+    let id = base;
+    const taken = (candidate) =>
+        findCardInBoard(data, candidate) ||
+        (data.archive || []).some((c) => c.id === candidate);
+    for (let n = 2; taken(id); n++) id = base + '-' + n;
+    return id;
+}
+
+function findCardInBoard(data, cardId) {
+    for (const col of data.columns) {
+        const card = col.cards.find((c) => c.id === cardId);
+        if (card) return { col, card };
+    }
+    return null;
+}
+
+async function readBoardFile(uri) {
+    const open = vscode.workspace.textDocuments.find(
+        (doc) => doc.uri.toString() === uri.toString()
+    );
+    let text;
+    try {
+        text = open
+            ? open.getText()
+            : Buffer.from(await vscode.workspace.fs.readFile(uri)).toString(
+                  'utf8'
+              );
+    } catch {
+        return { uri, error: { message: 'Cannot read file.' } };
+    }
+    return { uri, ...parseBoardText(text, getBoardFormat(uri)) };
+}
+
+// Parsed contents of every board in the workspace, loaded on first use and
+// then kept current from the board file watcher.
+class BoardIndex {
+    constructor() {
+        this.boards = null;
+        this.loading = null;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    async getBoards() {
+        if (!this.boards) {
+            if (!this.loading) this.loading = this.load();
+            await this.loading;
+        }
+        return [...this.boards.values()];
+    }
+
+    async load() {
+        const files = await vscode.workspace.findFiles(getBoardFilePattern());
+        const boards = await Promise.all(files.map(readBoardFile));
+        this.boards = new Map(boards.map((b) => [b.uri.toString(), b]));
+        this.loading = null;
+    }
+
+    async update(uri) {
+        if (!this.boards) return;
+        this.boards.set(uri.toString(), await readBoardFile(uri));
+        this._onDidChange.fire(uri);
+    }
+
+    // Re-reads a board it already has, such as one with unsaved changes.
+    async refresh(uri) {
+        if (this.boards && this.boards.has(uri.toString())) {
+            await this.update(uri);
+        }
+    }
+
+    delete(uri) {
+        if (!this.boards) return;
+        this.boards.delete(uri.toString());
+        this._onDidChange.fire(uri);
+    }
+
+    // Forgets every board, to be found again on next use.
+    reset() {
+        this.boards = null;
+        this._onDidChange.fire(undefined);
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+// Code references
+//
+// Cards can point at code through `refs: [{ path, line, text, symbol? }]`,
+// where `text` is the referenced line as it was when recorded. Source files
+// show a CodeLens above every referenced line, and line numbers are updated
+// in the board when the source file is saved.
+
+function getCardRefs(card) {
+    return Array.isArray(card.refs)
+        ? card.refs.filter((ref) => isPlainObject(ref) && ref.path)
+        : [];
+}
+
+async function addSelectionToCard(index) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+        vscode.window.showErrorMessage('Open a file to reference first.');
+        return;
+    }
+
+    const items = [];
+    for (const board of await index.getBoards()) {
+        if (!board.data) continue;
+        const boardName = vscode.workspace.asRelativePath(board.uri);
+        for (const col of board.data.columns) {
+            for (const card of col.cards) {
+                items.push({
+                    label: card.title,
+                    description: col.title,
+                    detail: boardName,
+                    board,
+                    card,
+                });
+            }
+        }
+    }
+    if (!items.length) {
+        vscode.window.showInformationMessage('There are no cards to add to.');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Add the selection to which card?',
+        matchOnDescription: true,
+        matchOnDetail: true,
+    });
+    if (!picked) return;
+
+    const { document, selection } = editor;
+    const line = selection.start.line + 1;
+    const ref = {
+        path: toBoardRelativePath(picked.board.uri, document.uri),
+        line,
+        text: document.lineAt(selection.start.line).text.trim(),
+    };
+    const symbol = await findDocumentSymbol(
+        document,
+        (s) => s.range.start.line === selection.start.line
+    );
+    if (symbol) ref.symbol = symbol.name;
+    if (!ref.text) delete ref.text;
+
+    try {
+        await updateBoardFile(picked.board.uri, (data) => {
+            const found = findCardInBoard(data, picked.card.id);
+            if (!found) throw new Error('The card no longer exists.');
+            const refs = getCardRefs(found.card);
+            if (refs.some((r) => r.path === ref.path && r.line === ref.line)) {
+                return false;
+            }
+            found.card.refs = refs.concat(ref);
+        });
+    } catch (err) {
+        vscode.window.showErrorMessage(err.message);
+        return;
+    }
+    vscode.window.setStatusBarMessage(
+        'Added ' + ref.path + ':' + line + ' to "' + picked.card.title + '"',
+        3000
+    );
+}
+
+class CardReferenceCodeLensProvider {
+    constructor(index) {
+        this.index = index;
+        this.onDidChangeCodeLenses = index.onDidChange;
+    }
+
+    async provideCodeLenses(document) {
+        if (isBoardUri(document.uri)) return [];
+
+        const lenses = [];
+        for (const board of await this.index.getBoards()) {
+            if (!board.data) continue;
+            const path = toBoardRelativePath(board.uri, document.uri);
+            for (const col of board.data.columns) {
+                for (const card of col.cards) {
+                    for (const ref of getCardRefs(card)) {
+                        if (ref.path !== path) continue;
+                        const line = (await resolveRefLine(document, ref)) - 1;
+                        lenses.push(
+                            new vscode.CodeLens(
+                                new vscode.Range(line, 0, line, 0),
+                                {
+                                    title: '$(note) ' + card.title,
+                                    tooltip:
+                                        col.title +
+                                        ' · ' +
+                                        vscode.workspace.asRelativePath(
+                                            board.uri
+                                        ),
+                                    command: 'todoBoard.revealCard',
+                                    arguments: [board.uri, card.id],
+                                }
+                            )
+                        );
+                    }
+                }
+            }
+        }
+        return lenses;
+    }
+}
+
+// Writes back the current line of every reference into `document`, so the
+// stored line numbers stay close to the code after edits.
+async function updateRefLines(index, document) {
+    for (const board of await index.getBoards()) {
+        if (!board.data) continue;
+        const path = toBoardRelativePath(board.uri, document.uri);
+
+        const moved = new Map();
+        for (const col of board.data.columns) {
+            for (const card of col.cards) {
+                for (const [i, ref] of getCardRefs(card).entries()) {
+                    if (ref.path !== path) continue;
+                    const line = await resolveRefLine(document, ref);
+                    if (line !== ref.line) moved.set(card.id + '/' + i, line);
+                }
+            }
+        }
+        if (!moved.size) continue;
+
+        await updateBoardFile(board.uri, (data) => {
+            for (const col of data.columns) {
+                for (const card of col.cards) {
+                    getCardRefs(card).forEach((ref, i) => {
+                        const line = moved.get(card.id + '/' + i);
+                        if (line && ref.path === path) ref.line = line;
+                    });
+                }
+            }
+        });
+    }
+}
+
+function registerCardReferences(context, index) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('todoBoard.addSelectionToCard', () =>
+            addSelectionToCard(index)
+        ),
+        vscode.languages.registerCodeLensProvider(
+            { scheme: 'file' },
+            new CardReferenceCodeLensProvider(index)
+        ),
+        vscode.workspace.onDidSaveTextDocument((document) => {
+            if (isBoardUri(document.uri)) return;
+            updateRefLines(index, document).catch((err) =>
+                vscode.window.showErrorMessage(
+                    'Cannot update code references: ' + err.message
+                )
+            );
+        })
+    );
+}
+
+// Code TODOs
+//
+// Comments such as `// TODO: handle retries` are mirrored as cards carrying a
+// `source: { path, line, tag, text }` field. Syncing matches comments to
+// existing cards by text first and then by line, so cards keep their id,
+// column and edits while the comment moves or is reworded, and are archived
+// once the comment is gone.
+
+function getCodeTodoConfig(scope) {
+    const config = vscode.workspace.getConfiguration(
+        'todoBoard.codeTodos',
+        scope
+    );
+    return {
+        tags: config.get('tags', ['TODO', 'FIXME', 'HACK']),
+        include: config.get('include', '**/*'),
+        exclude: config.get(
+            'exclude',
+            '**/{node_modules,.git,dist,out,build,coverage}/**'
+        ),
+        board: config.get('board', 'todo.board.json'),
+        column: config.get('column', 'Code TODOs'),
+        autoSync: config.get('autoSync', false),
+    };
+}
+
+function createTodoPattern(tags) {
+    const alternatives = tags.map((tag) => '(?:' + tag + ')').join('|');
+    return new RegExp(
+        '(?:^|[^\\w:])(?:\\/\\/+|#+|\\/\\*+|\\*|<!--|--|;+|%+)\\s*(' +
+            alternatives +
+            ')\\b(?:\\([^)]*\\))?\\s*:?\\s*(.*)$'
+    );
+}
+
+// Returns `{ tag, text, line }` for every TODO style comment in `text`.
+function findCodeTodos(text, pattern) {
+    const todos = [];
+    text.split(/\r?\n/).forEach((lineText, index) => {
+        const match = pattern.exec(lineText);
+        if (!match) return;
+        const comment = match[2].replace(/\s*(?:\*\/|-->)\s*$/, '').trim();
+        todos.push({
+            tag: match[1],
+            text: comment || match[1],
+            line: index + 1,
+        });
+    });
+    return todos;
+}
+
+const MAX_SCANNED_FILE_SIZE = 1024 * 1024;
+
+async function readWorkspaceText(uri) {
+    const open = vscode.workspace.textDocuments.find(
+        (doc) => doc.uri.toString() === uri.toString()
+    );
+    if (open) return open.getText();
+
+    const stat = await vscode.workspace.fs.stat(uri);
+    if (stat.size > MAX_SCANNED_FILE_SIZE) return null;
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    if (bytes.includes(0)) return null;
+    return Buffer.from(bytes).toString('utf8');
+}
+
+function getCodeTodoBoardUri(folder) {
+    return vscode.Uri.joinPath(folder.uri, getCodeTodoConfig(folder.uri).board);
+}
+
+// Scans `files` (every included file of the folder when omitted) and syncs
+// the comments found into the folder's TODO board.
+async function syncCodeTodos(folder, files) {
+    const config = getCodeTodoConfig(folder.uri);
+    const boardUri = getCodeTodoBoardUri(folder);
+
+    let pattern;
+    try {
+        pattern = createTodoPattern(config.tags);
+    } catch (err) {
+        throw new Error('Invalid todoBoard.codeTodos.tags: ' + err.message);
+    }
+
+    const fullScan = !files;
+    if (fullScan) {
+        files = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(folder, config.include),
+            config.exclude
+                ? new vscode.RelativePattern(folder, config.exclude)
+                : undefined
+        );
+    }
+
+    const found = new Map();
+    for (const uri of files) {
+        if (uri.toString() === boardUri.toString()) continue;
+        const path = toBoardRelativePath(boardUri, uri);
+        let text = null;
+        try {
+            text = await readWorkspaceText(uri);
+        } catch {
+            // Deleted or unreadable: its cards are dropped below.
+        }
+        found.set(path, text === null ? [] : findCodeTodos(text, pattern));
+    }
+
+    if (!(await fileExists(boardUri))) {
+        if (![...found.values()].some((todos) => todos.length)) return;
+        await writeNewBoard(boardUri, createBoardData([]));
+    }
+
+    const by = await getActivityActor(boardUri);
+    let activity = [];
+    const changed = await updateBoardFile(boardUri, (data) => {
+        const before = JSON.parse(JSON.stringify(data));
+        mergeCodeTodos(data, found, fullScan, config.column);
+        activity = collectActivity(boardUri, before, data, by);
+    });
+    if (changed) await writeSidecarActivity(boardUri, activity);
+    return changed;
+}
+
+// Merges scanned comments (a Map of path -> todos) into a board. Only cards
+// from scanned paths are touched, unless `fullScan` says every path was.
+// Cards whose comment is gone are archived, since they may have been moved
+// or edited since.
+function mergeCodeTodos(data, found, fullScan, columnTitle) {
+    const existing = [];
+    data.columns.forEach((col) =>
+        col.cards.forEach((card) => {
+            if (
+                isPlainObject(card.source) &&
+                (fullScan || found.has(card.source.path))
+            ) {
+                existing.push({ col, card });
+            }
+        })
+    );
+    // Archived cards keep their comment link, but are not restored or
+    // removed by a sync.
+    (data.archive || []).forEach((card) => {
+        if (
+            isPlainObject(card.source) &&
+            (fullScan || found.has(card.source.path))
+        ) {
+            existing.push({ col: null, card });
+        }
+    });
+
+    const unmatched = new Set(existing);
+    const added = [];
+    const match = (path, test) => {
+        for (const entry of unmatched) {
+            if (entry.card.source.path === path && test(entry.card.source)) {
+                unmatched.delete(entry);
+                return entry;
+            }
+        }
+        return null;
+    };
+
+    const pending = [];
+    for (const [path, todos] of found) {
+        for (const todo of todos) {
+            const entry = match(
+                path,
+                (source) => source.text === todo.text && source.tag === todo.tag
+            );
+            if (entry) {
+                entry.card.source.line = todo.line;
+            } else {
+                pending.push({ path, todo });
+            }
+        }
+    }
+
+    for (const { path, todo } of pending) {
+        const entry = match(path, (source) => source.line === todo.line);
+        if (entry) {
+            const { card } = entry;
+            if (card.title === card.source.text) card.title = todo.text;
+            card.source = {
+                path,
+                line: todo.line,
+                tag: todo.tag,
+                text: todo.text,
+            };
+        } else {
+            added.push({
+                id: createCodeTodoId(data, path, todo),
+                title: todo.text,
+                source: {
+                    path,
+                    line: todo.line,
+                    tag: todo.tag,
+                    text: todo.text,
+                },
+            });
+        }
+    }
+
+    for (const { col, card } of unmatched) {
+        if (col) archiveCards(data, col, [card]);
+    }
+
+    if (added.length) {
+        // A renamed column is still found by the id derived from the title,
+        // so a new column is only added when that id is free.
+        const id = getCodeTodoColumnId(columnTitle);
+        let column =
+            data.columns.find((col) => col.title === columnTitle) ||
+            data.columns.find((col) => col.id === id);
+        if (!column) {
+            column = { id, title: columnTitle, cards: [] };
+            data.columns.push(column);
+        }
+        column.cards.push(...added);
+    }
+}
+
+function getCodeTodoColumnId(columnTitle) {
+    return (
+        columnTitle
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || 'code-todos'
+    );
+}
+
+function createCodeTodoId(data, path, todo) {
+    const hash = crypto
+        .createHash('sha1')
+        .update(path + '\n' + todo.tag + '\n' + todo.text)
+        .digest('hex')
+        .slice(0, 10);
+    const ids = new Set();
+    data.columns.forEach((col) => col.cards.forEach((c) => ids.add(c.id)));
+    (data.archive || []).forEach((c) => ids.add(c.id));
+    let id = 'todo-' + hash;
+    for (let n = 2; ids.has(id); n++) id = 'todo-' + hash + '-' + n;
+    return id;
+}
+
+// Glob test for a file that may not be open, using VS Code's own matcher.
+function matchesGlob(folder, glob, uri) {
+    return (
+        vscode.languages.match(
+            { pattern: new vscode.RelativePattern(folder, glob) },
+            /** @type {vscode.TextDocument} */ ({ uri, languageId: '' })
+        ) > 0
+    );
+}
+
+async function importCodeTodos() {
+    const folder = await pickWorkspaceFolder(
+        'Scan which folder for TODO comments?'
+    );
+    if (!folder) return;
+
+    try {
+        await vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Window,
+                title: 'Scanning for TODO comments',
+            },
+            () => syncCodeTodos(folder)
+        );
+    } catch (err) {
+        vscode.window.showErrorMessage(err.message);
+        return;
+    }
+
+    const boardUri = getCodeTodoBoardUri(folder);
+    try {
+        await vscode.workspace.fs.stat(boardUri);
+    } catch {
+        vscode.window.showInformationMessage('No TODO comments found.');
+        return;
+    }
+    await openPreview(boardUri);
+}
+
+// Background mode: keeps TODO boards in sync while `codeTodos.autoSync` is on.
+function registerCodeTodoSync(context) {
+    let queue = Promise.resolve();
+    const enqueue = (folder, files) => {
+        if (!getCodeTodoConfig(folder.uri).autoSync) return;
+        queue = queue
+            .then(() => syncCodeTodos(folder, files))
+            .catch((err) =>
+                vscode.window.showErrorMessage(
+                    'Cannot sync TODO comments: ' + err.message
+                )
+            );
+    };
+    const syncAll = () =>
+        (vscode.workspace.workspaceFolders || []).forEach((folder) =>
+            enqueue(folder)
+        );
+    const syncFiles = (uris) => {
+        for (const uri of uris) {
+            const folder = vscode.workspace.getWorkspaceFolder(uri);
+            if (!folder || isBoardUri(uri)) continue;
+            const config = getCodeTodoConfig(folder.uri);
+            if (
+                matchesGlob(folder, config.include, uri) &&
+                !(config.exclude && matchesGlob(folder, config.exclude, uri))
+            ) {
+                enqueue(folder, [uri]);
+            }
+        }
+    };
+
+    context.subscriptions.push(
+        vscode.workspace.onDidSaveTextDocument((doc) => syncFiles([doc.uri])),
+        vscode.workspace.onDidDeleteFiles((e) => syncFiles(e.files)),
+        vscode.workspace.onDidRenameFiles((e) =>
+            syncFiles(e.files.flatMap((f) => [f.oldUri, f.newUri]))
+        ),
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration('todoBoard.codeTodos')) syncAll();
+        })
+    );
+
+    syncAll();
+}
+
+// Cross-board moves
+//
+// A card moved to another board keeps all of its fields. It gets a new id
+// when the target board already uses its id, leaves a swimlane the target
+// board does not have, and has its code locations rewritten when the boards
+// belong to different workspace folders.
+
+// Adds `card`, coming from column `from` of another board, to column
+// `columnId` of `data`. Returns `{ card }` with the card as added, or
+// `{ rejected }` with a message.
+function addTransferredCard(data, card, columnId, from) {
+    const col = data.columns.find((c) => c.id === columnId);
+    if (!col) return { rejected: 'The column no longer exists.' };
+    if (col.wipBlock && isColumnFull(col)) {
+        return {
+            rejected:
+                col.title + ' is at its WIP limit of ' + col.wipLimit + '.',
+        };
+    }
+    const copy = { ...card };
+    const taken =
+        findCardInBoard(data, copy.id) ||
+        (data.archive || []).some((c) => c.id === copy.id);
+    if (taken) copy.id = createCardId(data);
+    const lanes = (data.swimlanes && data.swimlanes.lanes) || [];
+    if (copy.lane && !lanes.some((lane) => lane.id === copy.lane)) {
+        delete copy.lane;
+    }
+    applyColumnPolicy(copy, from, col);
+    col.cards.push(copy);
+    return { card: copy };
+}
+
+function rebaseCardLocations(card, fromUri, toUri) {
+    const fromRoot = getBoardRoot(fromUri);
+    if (fromRoot.toString() === getBoardRoot(toUri).toString()) return card;
+    const rebase = (location) => ({
+        ...location,
+        path: toBoardRelativePath(
+            toUri,
+            vscode.Uri.joinPath(fromRoot, location.path)
+        ),
+    });
+    const copy = { ...card };
+    if (copy.refs) copy.refs = getCardRefs(copy).map(rebase);
+    if (copy.source) copy.source = rebase(copy.source);
+    return copy;
+}
+
+// Asks for a board and column and moves a card there from the board at
+// `uri`. The card is added to the target before it is removed from the
+// source, so a failed write never loses it.
+async function moveCardToBoard(uri, cardId, index) {
+    const source = await readBoardFile(uri);
+    const found = source.data && findCardInBoard(source.data, cardId);
+    if (!found) {
+        vscode.window.showErrorMessage('The card no longer exists.');
+        return;
+    }
+    const title = found.card.title;
+
+    const boards = (await index.getBoards()).filter(
+        (b) => b.data && b.uri.toString() !== uri.toString()
+    );
+    if (!boards.length) {
+        vscode.window.showInformationMessage(
+            'There is no other board to move the card to.'
+        );
+        return;
+    }
+    const pickedBoard = await vscode.window.showQuickPick(
+        boards
+            .map((board) => ({
+                label: getBoardName(board.uri),
+                description: vscode.workspace.asRelativePath(board.uri),
+                board,
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label)),
+        { placeHolder: 'Move "' + title + '" to which board?' }
+    );
+    if (!pickedBoard) return;
+    const target = pickedBoard.board;
+
+    const pickedColumn = await vscode.window.showQuickPick(
+        target.data.columns.map((col) => ({
+            label: col.title,
+            description: col.wipLimit
+                ? col.cards.length + '/' + col.wipLimit
+                : describeCount(col.cards.length, 'card'),
+            id: col.id,
+        })),
+        { placeHolder: 'Move "' + title + '" to which column?' }
+    );
+    if (!pickedColumn) return;
+
+    const card = rebaseCardLocations(found.card, uri, target.uri);
+    const log = await readActivityLog(uri).catch(() => ({ cards: {} }));
+    const history = Array.isArray(log.cards[cardId]) ? log.cards[cardId] : [];
+    const by = await getActivityActor(target.uri);
+    let result;
+    let activity = [];
+    await updateBoardFile(target.uri, (data) => {
+        result = addTransferredCard(data, card, pickedColumn.id, found.col);
+        if (result.rejected) return false;
+        const problems = validateBoard(data);
+        if (problems.length) {
+            result = { rejected: problems[0].message };
+            return false;
+        }
+        activity = collectTransferActivity(target.uri, result.card, history, {
+            at: new Date().toISOString(),
+            ...(by ? { by } : {}),
+            type: 'moved',
+            from: found.col.id,
+            to: pickedColumn.id,
+            board: toBoardRelativePath(target.uri, uri),
+        });
+        return true;
+    });
+    if (result.rejected) {
+        vscode.window.showErrorMessage(result.rejected);
+        return;
+    }
+    await writeSidecarActivity(target.uri, activity);
+    await applyTreeOperation(uri, { type: 'delete-card', cardId });
+    vscode.window.showInformationMessage(
+        'Moved "' +
+            title +
+            '" to ' +
+            pickedBoard.label +
+            ' › ' +
+            pickedColumn.label +
+            '.'
+    );
+}
+
+// All boards
+//
+// A read-mostly panel with the cards of every board in the workspace, in
+// columns merged by title so "Doing" on one board lines up with "Doing" on
+// another. Cards can be opened, moved to another column of their own board
+// by dragging, or moved to another board.
+
+// Groups the columns of `boards` (`{ data }`) by title, ignoring case. A
+// title first seen on a later board is placed after the column it follows
+// there. Returns `[{ title, cards: [{ board, col, card }] }]`.
+function groupBoardsByColumn(boards) {
+    const groups = [];
+    for (const board of boards) {
+        let last = -1;
+        for (const col of board.data.columns) {
+            const key = col.title.trim().toLowerCase();
+            let index = groups.findIndex((g) => g.key === key);
+            if (index === -1) {
+                index = last + 1;
+                groups.splice(index, 0, { key, title: col.title, cards: [] });
+            }
+            last = index;
+            groups[index].cards.push(
+                ...col.cards.map((card) => ({ board, col, card }))
+            );
+        }
+    }
+    return groups.map(({ title, cards }) => ({ title, cards }));
+}
+
+let allBoardsPanel = null;
+
+function showAllBoards(index) {
+    if (allBoardsPanel) {
+        allBoardsPanel.reveal();
+        return;
+    }
+    const panel = vscode.window.createWebviewPanel(
+        'todoBoard.allBoards',
+        'All Boards',
+        vscode.ViewColumn.Active,
+        { enableScripts: true }
+    );
+    allBoardsPanel = panel;
+    panel.webview.html = getAllBoardsHtml();
+
+    const sendData = async () => {
+        const boards = (await index.getBoards())
+            .filter((b) => b.data)
+            .sort((a, b) =>
+                getBoardName(a.uri).localeCompare(getBoardName(b.uri))
+            );
+        panel.webview.postMessage({
+            type: 'data',
+            boards: boards.map((board) => ({
+                uri: board.uri.toString(),
+                name: getBoardName(board.uri),
+                path: vscode.workspace.asRelativePath(board.uri),
+            })),
+            columns: groupBoardsByColumn(boards).map((group) => ({
+                title: group.title,
+                cards: group.cards.map(({ board, col, card }) => ({
+                    board: board.uri.toString(),
+                    column: col.title,
+                    card,
+                })),
+            })),
+        });
+    };
+
+    const handleMessage = async (msg) => {
+        const uri = msg.board && vscode.Uri.parse(msg.board);
+        if (msg.type === 'open-card') {
+            await vscode.commands.executeCommand(
+                'todoBoard.revealCard',
+                uri,
+                msg.cardId
+            );
+        } else if (msg.type === 'open-board') {
+            await openPreview(uri);
+        } else if (msg.type === 'move-to-board') {
+            await moveCardToBoard(uri, msg.cardId, index);
+        } else if (msg.type === 'move-card') {
+            const board = await readBoardFile(uri);
+            const key = msg.columnTitle.trim().toLowerCase();
+            const col =
+                board.data &&
+                board.data.columns.find(
+                    (c) => c.title.trim().toLowerCase() === key
+                );
+            if (!col) {
+                vscode.window.showWarningMessage(
+                    getBoardName(uri) +
+                        ' has no "' +
+                        msg.columnTitle +
+                        '" column.'
+                );
                 sendData();
+                return;
+            }
+            await applyTreeOperation(uri, {
+                type: 'move-card',
+                cardId: msg.cardId,
+                toColumnId: col.id,
+            });
+        }
+    };
+
+    const subscriptions = [
+        index.onDidChange(() => sendData()),
+        panel.webview.onDidReceiveMessage((msg) =>
+            handleMessage(msg).catch((err) =>
+                vscode.window.showErrorMessage(err.message)
+            )
+        ),
+    ];
+    panel.onDidDispose(() => {
+        allBoardsPanel = null;
+        subscriptions.forEach((subscription) => subscription.dispose());
+    });
+    sendData();
+}
+
+function getAllBoardsHtml() {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<style>
+  body {
+    font-family: system-ui;
+    background: var(--vscode-editor-background);
+    color: var(--vscode-editor-foreground);
+    padding: 16px;
+  }
+  .toolbar {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 12px;
+    flex-wrap: wrap;
+  }
+  .toolbar input,
+  .toolbar select {
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-input-border, transparent);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
+  }
+  .toolbar input {
+    flex: 0 1 360px;
+    min-width: 160px;
+  }
+  .summary {
+    opacity: 0.7;
+    font-size: 0.9em;
+  }
+  .board {
+    display: flex;
+    gap: 12px;
+    align-items: flex-start;
+    overflow-x: auto;
+    padding-bottom: 24px;
+  }
+  .column {
+    min-width: 250px;
+    max-width: 250px;
+    background: var(--vscode-sideBar-background);
+    padding: 12px;
+    border-radius: 6px;
+    max-height: 90vh;
+    display: flex;
+    flex-direction: column;
+  }
+  .column.card-dragover {
+    outline: 2px dashed var(--vscode-focusBorder);
+  }
+  .column-header {
+    display: flex;
+    justify-content: space-between;
+    font-weight: bold;
+    font-size: 1.1em;
+    margin-bottom: 12px;
+  }
+  .column-count {
+    font-weight: normal;
+    opacity: 0.7;
+    font-size: 0.9em;
+  }
+  .cards {
+    overflow-y: auto;
+  }
+  .card {
+    background: var(--vscode-editorWidget-background);
+    margin-bottom: 8px;
+    padding: 8px 10px;
+    border-radius: 4px;
+    cursor: grab;
+    box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+  }
+  .card:hover .card-actions {
+    opacity: 1;
+  }
+  .card-meta {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 6px;
+    font-size: 0.8em;
+    align-items: center;
+  }
+  .board-chip {
+    border: none;
+    border-radius: 3px;
+    padding: 0 6px;
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+  }
+  .card-actions {
+    opacity: 0;
+    margin-left: auto;
+  }
+  .card-actions button {
+    background: none;
+    border: none;
+    color: var(--vscode-textLink-foreground);
+    font: inherit;
+    cursor: pointer;
+    padding: 0;
+  }
+  .empty {
+    opacity: 0.7;
+  }
+</style>
+</head>
+<body>
+  <div class="toolbar">
+    <input id="filterInput" type="text" placeholder="Filter cards…" aria-label="Filter cards" spellcheck="false" />
+    <select id="boardFilter" aria-label="Filter by board"></select>
+    <span id="summary" class="summary" aria-live="polite"></span>
+  </div>
+  <div id="board" class="board" role="region" aria-label="All boards"></div>
+
+<script>
+  const vscode = acquireVsCodeApi();
+  const viewState = vscode.getState() || { query: "", board: "" };
+  let state = null;
+  let dragged = null;
+
+  filterInput.value = viewState.query;
+  filterInput.oninput = () => {
+    viewState.query = filterInput.value;
+    vscode.setState(viewState);
+    render();
+  };
+  boardFilter.onchange = () => {
+    viewState.board = boardFilter.value;
+    vscode.setState(viewState);
+    render();
+  };
+
+  window.addEventListener("message", e => {
+    if (e.data.type === "data") {
+      state = e.data;
+      if (!dragged) render();
+    }
+  });
+
+  // Each board gets its own colour, by position in the sorted list.
+  function boardColor(uri) {
+    const index = state.boards.findIndex(b => b.uri === uri);
+    return "hsl(" + ((index * 137) % 360) + ", 45%, 40%)";
+  }
+
+  function matches(entry) {
+    if (viewState.board && entry.board !== viewState.board) return false;
+    const query = viewState.query.trim().toLowerCase();
+    if (!query) return true;
+    const card = entry.card;
+    const text = [card.title, card.description || ""]
+      .concat((card.labels || []).map(l => l.name), card.assignees || [])
+      .join(" ")
+      .toLowerCase();
+    return query.split(/\\s+/).every(word => text.includes(word));
+  }
+
+  function render() {
+    if (!state) return;
+    boardFilter.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All boards";
+    boardFilter.appendChild(all);
+    state.boards.forEach(b => {
+      const option = document.createElement("option");
+      option.value = b.uri;
+      option.textContent = b.name;
+      option.title = b.path;
+      boardFilter.appendChild(option);
+    });
+    if (!state.boards.some(b => b.uri === viewState.board)) viewState.board = "";
+    boardFilter.value = viewState.board;
+
+    board.innerHTML = "";
+    let shown = 0;
+    let total = 0;
+    state.columns.forEach(group => {
+      const entries = group.cards.filter(matches);
+      total += group.cards.length;
+      shown += entries.length;
+      board.appendChild(renderColumn(group, entries));
+    });
+    if (!state.columns.length) {
+      const empty = document.createElement("p");
+      empty.className = "empty";
+      empty.textContent = "No boards found in this workspace.";
+      board.appendChild(empty);
+    }
+    summary.textContent = shown + " of " + total + " cards on " + state.boards.length + (state.boards.length === 1 ? " board" : " boards");
+  }
+
+  function renderColumn(group, entries) {
+    const column = document.createElement("div");
+    column.className = "column";
+    column.setAttribute("role", "group");
+    column.setAttribute("aria-label", group.title + ", " + entries.length + " cards");
+
+    const header = document.createElement("div");
+    header.className = "column-header";
+    const title = document.createElement("span");
+    title.textContent = group.title;
+    const count = document.createElement("span");
+    count.className = "column-count";
+    count.textContent = entries.length;
+    header.appendChild(title);
+    header.appendChild(count);
+    column.appendChild(header);
+
+    // Cards dropped here move to the column of the same title on their own
+    // board.
+    column.ondragover = e => {
+      if (!dragged || dragged.column.toLowerCase() === group.title.toLowerCase()) return;
+      e.preventDefault();
+      column.classList.add("card-dragover");
+    };
+    column.ondragleave = () => column.classList.remove("card-dragover");
+    column.ondrop = e => {
+      e.preventDefault();
+      column.classList.remove("card-dragover");
+      if (!dragged) return;
+      vscode.postMessage({ type: "move-card", board: dragged.board, cardId: dragged.card.id, columnTitle: group.title });
+    };
+
+    const cards = document.createElement("div");
+    cards.className = "cards";
+    cards.setAttribute("role", "list");
+    entries.forEach(entry => cards.appendChild(renderCard(entry)));
+    column.appendChild(cards);
+    return column;
+  }
+
+  function renderCard(entry) {
+    const card = entry.card;
+    const boardInfo = state.boards.find(b => b.uri === entry.board);
+    const el = document.createElement("div");
+    el.className = "card";
+    el.tabIndex = 0;
+    el.setAttribute("role", "listitem");
+    el.setAttribute("aria-label", card.title + ", " + entry.column + " on " + boardInfo.name);
+    el.draggable = true;
+    el.ondragstart = () => { dragged = entry; };
+    el.ondragend = () => {
+      dragged = null;
+      render();
+    };
+    const open = () => vscode.postMessage({ type: "open-card", board: entry.board, cardId: card.id });
+    el.onclick = open;
+    el.onkeydown = e => {
+      if (e.key === "Enter") open();
+    };
+
+    const title = document.createElement("div");
+    title.textContent = card.title;
+    el.appendChild(title);
+
+    const meta = document.createElement("div");
+    meta.className = "card-meta";
+    const chip = document.createElement("button");
+    chip.className = "board-chip";
+    chip.textContent = boardInfo.name;
+    chip.title = "Open " + boardInfo.path;
+    chip.style.background = boardColor(entry.board);
+    chip.onclick = e => {
+      e.stopPropagation();
+      vscode.postMessage({ type: "open-board", board: entry.board });
+    };
+    meta.appendChild(chip);
+    (card.labels || []).forEach(label => {
+      const span = document.createElement("span");
+      span.textContent = label.name;
+      span.style.opacity = "0.8";
+      meta.appendChild(span);
+    });
+    if (card.due) {
+      const due = document.createElement("span");
+      due.textContent = "📅 " + card.due;
+      meta.appendChild(due);
+    }
+    if (card.assignees && card.assignees.length) {
+      const who = document.createElement("span");
+      who.textContent = "👤 " + card.assignees.join(", ");
+      meta.appendChild(who);
+    }
+
+    const actions = document.createElement("span");
+    actions.className = "card-actions";
+    const moveBtn = document.createElement("button");
+    moveBtn.textContent = "Move to Board…";
+    moveBtn.onclick = e => {
+      e.stopPropagation();
+      vscode.postMessage({ type: "move-to-board", board: entry.board, cardId: card.id });
+    };
+    actions.appendChild(moveBtn);
+    meta.appendChild(actions);
+    el.appendChild(meta);
+    return el;
+  }
+</script>
+</body>
+</html>`;
+}
+
+// Public API
+//
+// `activate` returns this API to other extensions
+// (`vscode.extensions.getExtension('ihbyi.todo-board').exports`), and the
+// todoBoard.addCard, moveCard, listCards and query commands expose the same
+// calls to keybindings, tasks and scripts. Boards are given as a Uri, a URI
+// string or a workspace-relative path, columns by id or title. Everything
+// works on the board file whether or not the board is open, and throws when
+// a board, column or card is missing or the board refuses the change.
+
+function createBoardApi(context, index) {
+    const onDidChangeBoard = new vscode.EventEmitter();
+    context.subscriptions.push(
+        onDidChangeBoard,
+        index.onDidChange(async (uri) => {
+            if (!uri) return;
+            onDidChangeBoard.fire(
+                (await getIndexedBoard(index, uri)) || { uri, deleted: true }
+            );
+        })
+    );
+
+    return {
+        // Fires `{ uri, data }` (or `{ uri, error }` for an unreadable
+        // board, `{ uri, deleted: true }` for a deleted one) when a board
+        // changes, saved or not.
+        onDidChangeBoard: (listener, thisArgs, disposables) => {
+            // The index only tracks changes once it has loaded.
+            index.getBoards();
+            return onDidChangeBoard.event(listener, thisArgs, disposables);
+        },
+        getBoards: () => index.getBoards(),
+        getBoard: async (board) => (await readApiBoard(board)).data,
+        listCards: (board, options) => listBoardCards(board, options),
+        query: (query, options) => queryCards(index, query, options),
+        addCard: (board, args) => addCardToBoard(board, args),
+        moveCard: (board, args) => moveCardOnBoard(board, args),
+    };
+}
+
+function registerApiCommands(context, api) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand(
+            'todoBoard.listCards',
+            (target, args) => {
+                const { board, ...options } = getCommandArgs(target, args);
+                return api.listCards(board, options);
+            }
+        ),
+        vscode.commands.registerCommand('todoBoard.query', (target, args) => {
+            const { query, ...options } =
+                typeof target === 'string'
+                    ? { ...args, query: target }
+                    : target || {};
+            return api.query(query, options);
+        })
+    );
+}
+
+// Commands take `(board, args)` from other extensions, or a single object
+// with a `board` property from keybindings.
+function getCommandArgs(target, args) {
+    return target instanceof vscode.Uri || typeof target === 'string'
+        ? { ...args, board: target }
+        : { ...target };
+}
+
+function resolveBoardArgument(board) {
+    if (board instanceof vscode.Uri) return board;
+    if (typeof board !== 'string' || !board) {
+        throw new Error('Expected a board URI or path.');
+    }
+    if (/^[a-z][a-z0-9+.-]+:/i.test(board)) return vscode.Uri.parse(board);
+    if (/^([a-z]:)?[\\/]/i.test(board)) return vscode.Uri.file(board);
+    const folder = (vscode.workspace.workspaceFolders || [])[0];
+    if (!folder)
+        throw new Error('Open a workspace to use relative board paths.');
+    return vscode.Uri.joinPath(folder.uri, board);
+}
+
+async function readApiBoard(board) {
+    const uri = resolveBoardArgument(board);
+    const { data, error } = await readBoardFile(uri);
+    if (error) {
+        throw new Error(
+            vscode.workspace.asRelativePath(uri) + ': ' + error.message
+        );
+    }
+    return { uri, data };
+}
+
+function findColumnArgument(uri, data, column) {
+    const wanted = String(column).toLowerCase();
+    const col =
+        column === undefined
+            ? data.columns[0]
+            : data.columns.find((c) => c.id === column) ||
+              data.columns.find((c) => c.title.toLowerCase() === wanted);
+    if (!col) {
+        throw new Error(
+            'No column "' +
+                (column === undefined ? '' : column) +
+                '" on ' +
+                vscode.workspace.asRelativePath(uri) +
+                '.'
+        );
+    }
+    return col;
+}
+
+function describeApiCard(uri, col, card) {
+    return { board: uri, column: { id: col.id, title: col.title }, card };
+}
+
+// Resolves to `{ board, column: { id, title }, card }` for every card on the
+// board, or in one column of it.
+async function listBoardCards(board, { column } = {}) {
+    const { uri, data } = await readApiBoard(board);
+    const columns =
+        column === undefined
+            ? data.columns
+            : [findColumnArgument(uri, data, column)];
+    return columns.flatMap((col) =>
+        col.cards.map((card) => describeApiCard(uri, col, card))
+    );
+}
+
+// Finds cards matching a query in the syntax of the board filter, on one
+// board or on every board in the workspace.
+async function queryCards(index, query, { board, regex } = {}) {
+    const matches = createCardFilter(String(query || ''), regex);
+    const boards = board
+        ? [await readApiBoard(board)]
+        : await index.getBoards();
+    const results = [];
+    for (const { uri, data } of boards) {
+        if (!data) continue;
+        for (const col of data.columns) {
+            for (const card of col.cards) {
+                if (matches(col, card)) {
+                    results.push(describeApiCard(uri, col, card));
+                }
             }
+        }
+    }
+    return results;
+}
+
+// The board filter: plain words match anywhere in a card, "field:value" one
+// card field or the column, quotes keep spaces together and a leading "-"
+// excludes matches. The board webview gets the source of parseCardFilter
+// and matchCardFilter, so both must not use anything outside themselves.
+function parseCardFilter(query, regex) {
+    const terms = [];
+    const re = /(-?)(?:([\w.-]+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+    while ((match = re.exec(query))) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        if (!value) continue;
+        const pattern = regex ? new RegExp(value, 'i') : null;
+        const needle = value.toLowerCase();
+        terms.push({
+            negate: match[1] === '-',
+            field: match[2] ? match[2].toLowerCase() : null,
+            test: pattern
+                ? (text) => pattern.test(text)
+                : (text) => text.toLowerCase().includes(needle),
+        });
+    }
+    return terms;
+}
+
+function matchCardFilter(terms, col, card) {
+    const values = (value, out = []) => {
+        if (value === null || value === undefined) return out;
+        if (Array.isArray(value)) {
+            value.forEach((item) => values(item, out));
+        } else if (typeof value === 'object') {
+            Object.keys(value).forEach((key) => values(value[key], out));
+        } else {
+            out.push(String(value));
+        }
+        return out;
+    };
+    // Resolves "label" to "labels", "Due" to "due" and so on.
+    const fieldValues = (field) => {
+        if (field === 'column') return [col.id, col.title];
+        // The activity log only matches through its field, e.g.
+        // activity:kim, so old moves and edits don't match plain words.
+        if (!field) {
+            return Object.keys(card)
+                .filter((key) => key !== 'activity')
+                .flatMap((key) => values(card[key]));
+        }
+        const keys = Object.keys(card);
+        const key =
+            keys.find((k) => k.toLowerCase() === field) ||
+            keys.find((k) => k.toLowerCase() === field + 's') ||
+            keys.find((k) => k.toLowerCase() + 's' === field);
+        return key ? values(card[key]) : [];
+    };
+    return terms.every(
+        (term) => fieldValues(term.field).some(term.test) !== term.negate
+    );
+}
+
+function createCardFilter(query, regex) {
+    const terms = parseCardFilter(query, regex);
+    return (col, card) => matchCardFilter(terms, col, card);
+}
+
+// Adds a card with `title` and optional detail fields (`description`, `due`,
+// `labels` as names, `assignees`, ...) to `column`, the first column by
+// default, at the bottom or with `position: 'top'` at the top. Resolves to
+// the new card.
+async function addCardToBoard(board, args = {}) {
+    const { uri, data } = await readApiBoard(board);
+    const { column, title, position, ...fields } = args;
+    if (typeof title !== 'string' || !title.trim()) {
+        throw new Error('Expected a card title.');
+    }
+    const changes = {};
+    for (const key of CARD_DETAIL_FIELDS) {
+        if (key in fields && key !== 'title') changes[key] = fields[key];
+    }
+    if (Array.isArray(changes.labels)) {
+        changes.labels = changes.labels.map((label) =>
+            typeof label === 'string' ? { name: label } : label
+        );
+    }
+
+    const result = await applyFileOperation(uri, {
+        type: 'add-card',
+        columnId: findColumnArgument(uri, data, column).id,
+        titles: [title],
+        position,
+        changes,
+    });
+    if (result.rejected) throw new Error(result.rejected);
+    const found = await readApiBoard(uri).then((b) =>
+        findCardInBoard(b.data, result.cardIds[0])
+    );
+    return describeApiCard(uri, found.col, found.card);
+}
+
+// Moves card `card` (an id) to `column`, at `index` or the bottom.
+async function moveCardOnBoard(board, args = {}) {
+    const { uri, data } = await readApiBoard(board);
+    if (!findCardInBoard(data, args.card)) {
+        throw new Error(
+            'No card "' +
+                args.card +
+                '" on ' +
+                vscode.workspace.asRelativePath(uri) +
+                '.'
+        );
+    }
+    const result = await applyFileOperation(uri, {
+        type: 'move-card',
+        cardId: args.card,
+        toColumnId: findColumnArgument(uri, data, args.column).id,
+        toIndex: args.index,
+    });
+    if (result.rejected) throw new Error(result.rejected);
+}
+
+// Board insights
+//
+// A panel per board with card counts per column, average lead time (from
+// creation to completion) and cycle time (from the start of work to
+// completion), a cumulative flow diagram and throughput over a date range,
+// all exportable as CSV. It is worked out from the `created`, `moved`,
+// `archived` and `restored` entries of the activity log, so it needs
+// `todoBoard.activityLog` to be on. Work starts when a card first enters a
+// column that is neither the first column nor a done column. Cards without
+// logged activity count from the time in their id and stay in their current
+// column until they were archived.
+
+// The cumulative flow diagram samples at most this many days.
+const INSIGHTS_MAX_POINTS = 120;
+
+// The creation time in a `card-<timestamp>` id, or null.
+function getCardIdTime(card) {
+    const match = /^card-(\d{13})(?:-\d+)?$/.exec(card.id);
+    return match ? Number(match[1]) : null;
+}
+
+// Adds `days` to a local `YYYY-MM-DD` date.
+function addDays(date, days) {
+    const result = new Date(date + 'T00:00:00');
+    result.setDate(result.getDate() + days);
+    return toLocalDate(result);
+}
+
+function averageOf(values) {
+    return values.length
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+}
+
+// The columns a card was in as `[{ time, to }]`, oldest first, where `to` is
+// null while the card was archived. `column` is where the card is now, or
+// was archived from.
+function getCardColumnHistory(card, column, activity) {
+    const history = [];
+    let last = null;
+    const push = (time, to) => {
+        history.push({ time, to });
+        if (to) last = to;
+    };
+    for (const entry of activity) {
+        const time = Date.parse(entry.at);
+        if (isNaN(time)) continue;
+        if (entry.type === 'created') {
+            push(time, entry.to);
+        } else if (entry.type === 'moved') {
+            // The log may start after the card was created.
+            if (!history.length) push(-Infinity, entry.from);
+            push(time, entry.to);
+        } else if (entry.type === 'archived') {
+            if (!history.length) push(-Infinity, column);
+            push(time, null);
+        } else if (entry.type === 'restored') {
+            push(time, last || column);
+        }
+    }
+    if (!history.length) {
+        const created = getCardIdTime(card);
+        history.push({
+            time: created === null ? -Infinity : created,
+            to: column,
+        });
+    }
+    // Archived cards leave the flow, even when the log missed it.
+    const archivedAt = card.archivedAt ? Date.parse(card.archivedAt) : NaN;
+    if (!isNaN(archivedAt) && history[history.length - 1].to !== null) {
+        history.push({ time: archivedAt, to: null });
+    }
+    return history;
+}
+
+// `activity` maps card ids to their activity, as from getBoardActivity.
+// `range` is `{ from?, to? }` in local `YYYY-MM-DD` dates, both inclusive.
+// `from` defaults to the day the oldest card was created and `to` to today.
+function computeBoardInsights(data, activity, range = {}, now = new Date()) {
+    const first = data.columns[0];
+    const doneIds = new Set(
+        data.columns.filter((col) => col.policy === 'done').map((c) => c.id)
+    );
+    const entries = [];
+    const addEntry = (card, column) => {
+        const log = activity.get(card.id) || [];
+        const history = getCardColumnHistory(card, column, log);
+        const created = log.find((entry) => entry.type === 'created');
+        const start = history.find(
+            (h) => h.to && h.to !== (first && first.id) && !doneIds.has(h.to)
+        );
+        const completed = card.completedAt ? Date.parse(card.completedAt) : NaN;
+        entries.push({
+            card,
+            column,
+            history,
+            tracked: log.length > 0,
+            created: created ? Date.parse(created.at) : getCardIdTime(card),
+            started: start && isFinite(start.time) ? start.time : null,
+            completed: isNaN(completed) ? null : completed,
+        });
+    };
+    for (const col of data.columns) {
+        for (const card of col.cards) addEntry(card, col.id);
+    }
+    for (const card of data.archive || []) addEntry(card, card.archivedFrom);
+
+    let to = range.to || toLocalDate(now);
+    const oldest = Math.min(
+        ...entries.map((entry) => entry.created).filter((t) => t !== null)
+    );
+    let from =
+        range.from || (isFinite(oldest) ? toLocalDate(new Date(oldest)) : to);
+    if (from > to) [from, to] = [to, from];
+    const rangeStart = new Date(from + 'T00:00:00').getTime();
+    const rangeEnd = new Date(addDays(to, 1) + 'T00:00:00').getTime();
+    const days = Math.round((rangeEnd - rangeStart) / DAY_MS);
+
+    const toDays = (ms) => ms / DAY_MS;
+    const toIso = (time) =>
+        time === null ? null : new Date(time).toISOString();
+    const completed = entries
+        .filter(
+            (entry) =>
+                entry.completed !== null &&
+                entry.completed >= rangeStart &&
+                entry.completed < rangeEnd
+        )
+        .sort((a, b) => a.completed - b.completed)
+        .map((entry) => {
+            const col = data.columns.find((c) => c.id === entry.column);
+            const lead =
+                entry.created !== null && entry.created <= entry.completed
+                    ? toDays(entry.completed - entry.created)
+                    : null;
+            const cycle =
+                entry.started !== null && entry.started <= entry.completed
+                    ? toDays(entry.completed - entry.started)
+                    : null;
+            return {
+                id: entry.card.id,
+                title: entry.card.title,
+                column: col ? col.title : '',
+                created: toIso(entry.created),
+                started: toIso(entry.started),
+                completed: toIso(entry.completed),
+                leadDays: lead,
+                cycleDays: cycle,
+            };
+        });
+
+    // The column a card was in at `time`, or null before it existed and
+    // while it was archived.
+    const columnAt = (entry, time) => {
+        let column = null;
+        for (const { time: since, to } of entry.history) {
+            if (since > time) break;
+            column = to;
+        }
+        return column;
+    };
+    const step = Math.ceil(days / INSIGHTS_MAX_POINTS);
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, step)) {
+        dates.push(date);
+    }
+    if (dates[dates.length - 1] !== to) dates.push(to);
+    const series = data.columns.map((col) => ({
+        id: col.id,
+        title: col.title,
+        counts: dates.map(() => 0),
+    }));
+    dates.forEach((date, i) => {
+        const time = new Date(addDays(date, 1) + 'T00:00:00').getTime() - 1;
+        for (const entry of entries) {
+            const column = columnAt(entry, time);
+            const line = series.find((s) => s.id === column);
+            if (line) line.counts[i]++;
+        }
+    });
+
+    const bucketDays = days <= 31 ? 1 : days <= 26 * 7 ? 7 : 28;
+    const buckets = [];
+    for (let date = from; date <= to; date = addDays(date, bucketDays)) {
+        const start = new Date(date + 'T00:00:00').getTime();
+        const end = new Date(addDays(date, bucketDays) + 'T00:00:00').getTime();
+        buckets.push({
+            date,
+            count: completed.filter((card) => {
+                const time = Date.parse(card.completed);
+                return time >= start && time < end;
+            }).length,
         });
+    }
+
+    return {
+        from,
+        to,
+        columns: data.columns.map((col) => ({
+            id: col.id,
+            title: col.title,
+            count: col.cards.length,
+            wipLimit: col.wipLimit,
+            done: col.policy === 'done',
+        })),
+        archived: (data.archive || []).length,
+        untracked: entries.filter((entry) => !entry.tracked).length,
+        completed,
+        leadDays: averageOf(
+            completed.map((c) => c.leadDays).filter((d) => d !== null)
+        ),
+        cycleDays: averageOf(
+            completed.map((c) => c.cycleDays).filter((d) => d !== null)
+        ),
+        flow: { dates, series },
+        throughput: { days: bucketDays, buckets },
+    };
+}
+
+const INSIGHTS_CSV = {
+    cards: {
+        label: 'Completed cards with lead and cycle times',
+        suffix: 'cycle-times',
+        rows: (insights) => {
+            const days = (value) => (value === null ? '' : value.toFixed(2));
+            return [
+                [
+                    'Title',
+                    'Column',
+                    'Created',
+                    'Started',
+                    'Completed',
+                    'Lead time (days)',
+                    'Cycle time (days)',
+                    'ID',
+                ],
+            ].concat(
+                insights.completed.map((card) => [
+                    card.title,
+                    card.column,
+                    card.created || '',
+                    card.started || '',
+                    card.completed,
+                    days(card.leadDays),
+                    days(card.cycleDays),
+                    card.id,
+                ])
+            );
+        },
+    },
+    flow: {
+        label: 'Cumulative flow (cards per column per day)',
+        suffix: 'cumulative-flow',
+        rows: (insights) =>
+            [['Date'].concat(insights.flow.series.map((s) => s.title))].concat(
+                insights.flow.dates.map((date, i) =>
+                    [date].concat(
+                        insights.flow.series.map((s) => String(s.counts[i]))
+                    )
+                )
+            ),
+    },
+    throughput: {
+        label: 'Throughput (completed cards per period)',
+        suffix: 'throughput',
+        rows: (insights) =>
+            [['Period start', 'Completed']].concat(
+                insights.throughput.buckets.map((bucket) => [
+                    bucket.date,
+                    String(bucket.count),
+                ])
+            ),
+    },
+};
 
-        panel.webview.onDidReceiveMessage(async (msg) => {
-            const currentText = document.getText();
-            let data = {};
-            try {
-                data = JSON.parse(currentText);
-            } catch {
-                return;
-            }
+function insightsToCsv(insights, report) {
+    return formatCsv(INSIGHTS_CSV[report].rows(insights));
+}
 
-            let dirty = false;
+async function exportInsights(uri, insights) {
+    const picked = await vscode.window.showQuickPick(
+        Object.entries(INSIGHTS_CSV).map(([report, { label }]) => ({
+            label,
+            report,
+        })),
+        { placeHolder: 'Select the report to export' }
+    );
+    if (!picked) return;
 
-            if (msg.type === 'update') {
-                data = msg.data;
-                dirty = true;
-            } else if (msg.type === 'delete-column') {
-                const index = data.columns.findIndex(
-                    (c) => c.id === msg.columnId
-                );
-                if (index !== -1) {
-                    data.columns.splice(index, 1);
-                    dirty = true;
-                }
-            } else if (msg.type === 'rename-column') {
-                const col = data.columns.find((c) => c.id === msg.columnId);
-                if (col) {
-                    col.title = msg.newTitle;
-                    dirty = true;
-                }
-            } else if (msg.type === 'add-column') {
-                const title = await vscode.window.showInputBox({
-                    prompt: 'New Column Title',
-                });
-                if (title) {
-                    const id =
-                        title.toLowerCase().replace(/[^a-z0-9]/g, '-') +
-                        '-' +
-                        Date.now();
-                    data.columns.push({ id, title, cards: [] });
-                    dirty = true;
-                    sendData();
-                }
-            } else if (msg.type === 'add-card') {
-                const title = await vscode.window.showInputBox({
-                    prompt: 'New Card Title',
-                });
-                if (title) {
-                    const col = data.columns.find((c) => c.id === msg.columnId);
-                    if (col) {
-                        const cardId = 'card-' + Date.now();
-                        col.cards.push({ id: cardId, title });
-                        dirty = true;
-                        sendData();
-                    }
-                }
-            } else if (msg.type === 'delete-card') {
-                const col = data.columns.find((c) => c.id === msg.columnId);
-                if (col) {
-                    const idx = col.cards.findIndex((c) => c.id === msg.cardId);
-                    if (idx !== -1) {
-                        col.cards.splice(idx, 1);
-                        dirty = true;
-                    }
-                }
-            } else if (msg.type === 'move-column') {
-                const fromIndex = data.columns.findIndex(
-                    (c) => c.id === msg.fromId
-                );
-                const toIndex = data.columns.findIndex(
-                    (c) => c.id === msg.toId
-                );
-                if (
-                    fromIndex !== -1 &&
-                    toIndex !== -1 &&
-                    fromIndex !== toIndex
-                ) {
-                    const [col] = data.columns.splice(fromIndex, 1);
-                    data.columns.splice(toIndex, 0, col);
-                    dirty = true;
-                }
-            }
+    const name = getBoardName(uri);
+    const destination = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(
+            uri,
+            '..',
+            name + '-' + INSIGHTS_CSV[picked.report].suffix + '.csv'
+        ),
+        filters: { CSV: ['csv'] },
+    });
+    if (!destination) return;
 
-            if (dirty) {
-                const edit = new vscode.WorkspaceEdit();
-                edit.replace(
-                    document.uri,
-                    new vscode.Range(
-                        document.positionAt(0),
-                        document.positionAt(currentText.length)
-                    ),
-                    JSON.stringify(data, null, 2)
-                );
-                await vscode.workspace.applyEdit(edit);
-                await document.save();
-            }
-        });
+    await vscode.workspace.fs.writeFile(
+        destination,
+        Buffer.from(insightsToCsv(insights, picked.report))
+    );
+    const choice = await vscode.window.showInformationMessage(
+        'Exported ' +
+            name +
+            ' insights to ' +
+            vscode.workspace.asRelativePath(destination) +
+            '.',
+        'Open'
+    );
+    if (choice === 'Open') await vscode.window.showTextDocument(destination);
+}
 
-        panel.onDidDispose(() => docSub.dispose());
+const insightsPanels = new Map();
+
+async function showBoardInsights(target, editor, index) {
+    const uri = await resolveBoardUri(target, editor, index);
+    if (!uri) return;
+    const key = uri.toString();
+    if (insightsPanels.has(key)) {
+        insightsPanels.get(key).reveal();
+        return;
     }
+    const panel = vscode.window.createWebviewPanel(
+        'todoBoard.insights',
+        'Insights: ' + getBoardName(uri),
+        vscode.ViewColumn.Active,
+        { enableScripts: true }
+    );
+    insightsPanels.set(key, panel);
+    panel.webview.html = getInsightsHtml();
 
-    getHtml() {
-        return `
+    // The webview asks for its date range once it has loaded.
+    let range = null;
+    let insights = null;
+    const sendData = async () => {
+        if (!range) return;
+        const { data, error } = await readBoardFile(uri);
+        insights = data
+            ? computeBoardInsights(
+                  data,
+                  await getBoardActivity(uri, data),
+                  range
+              )
+            : null;
+        panel.webview.postMessage({
+            type: 'data',
+            name: getBoardName(uri),
+            insights,
+            error: error && error.message,
+        });
+    };
+
+    const handleMessage = async (msg) => {
+        if (msg.type === 'range') {
+            range = { from: msg.from || undefined, to: msg.to || undefined };
+            await sendData();
+        } else if (msg.type === 'export-csv' && insights) {
+            await exportInsights(uri, insights);
+        } else if (msg.type === 'open-board') {
+            await openPreview(uri);
+        }
+    };
+
+    // Sidecar activity is written after the board itself.
+    const sidecar = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(
+            vscode.Uri.joinPath(uri, '..').fsPath,
+            getActivityLogName(uri)
+        )
+    );
+    const subscriptions = [
+        sidecar,
+        sidecar.onDidCreate(() => sendData()),
+        sidecar.onDidChange(() => sendData()),
+        index.onDidChange((changed) => {
+            if (!changed || changed.toString() === key) sendData();
+        }),
+        panel.webview.onDidReceiveMessage((msg) =>
+            handleMessage(msg).catch((err) =>
+                vscode.window.showErrorMessage(err.message)
+            )
+        ),
+    ];
+    panel.onDidDispose(() => {
+        insightsPanels.delete(key);
+        subscriptions.forEach((subscription) => subscription.dispose());
+    });
+}
+
+function getInsightsHtml() {
+    return `
 <!DOCTYPE html>
 <html>
 <head>
@@ -276,413 +8806,1214 @@ class TodoBoardEditor {
     background: var(--vscode-editor-background);
     color: var(--vscode-editor-foreground);
     padding: 16px;
+    max-width: 960px;
   }
-  .board {
+  .toolbar {
     display: flex;
-    gap: 12px;
-    align-items: flex-start;
-    overflow-x: auto;
-    padding-bottom: 24px;
-    cursor: grab;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 16px;
+    flex-wrap: wrap;
   }
-  .board.active {
-    cursor: grabbing;
+  .toolbar input,
+  .toolbar select {
+    background: var(--vscode-input-background);
+    color: var(--vscode-input-foreground);
+    border: 1px solid var(--vscode-input-border, transparent);
+    border-radius: 3px;
+    padding: 4px 6px;
+    font-family: inherit;
+    font-size: inherit;
   }
-  .column {
-    min-width: 250px;
-    max-width: 250px;
+  .toolbar button {
+    background: var(--vscode-button-secondaryBackground);
+    color: var(--vscode-button-secondaryForeground);
+    border: none;
+    border-radius: 3px;
+    padding: 4px 10px;
+    font: inherit;
+    cursor: pointer;
+  }
+  .toolbar h2 {
+    margin: 0 auto 0 0;
+    font-size: 1.2em;
+  }
+  .toolbar h2 a {
+    color: inherit;
+    text-decoration: none;
+  }
+  .toolbar h2 a:hover {
+    text-decoration: underline;
+  }
+  .custom-range[hidden] {
+    display: none;
+  }
+  .stats {
+    display: flex;
+    gap: 12px;
+    flex-wrap: wrap;
+    margin-bottom: 16px;
+  }
+  .stat {
     background: var(--vscode-sideBar-background);
-    padding: 12px;
     border-radius: 6px;
-    display: flex;
-    flex-direction: column;
-    max-height: 90vh;
-    user-select: none;
+    padding: 10px 14px;
+    min-width: 120px;
   }
-
-  .column-header {
-    display: flex;
-    flex-direction: row;
-    justify-content: space-between;
-    align-items: center; 
-    margin-bottom: 12px;
-    cursor: default;
-    width: 100%;
+  .stat-value {
+    font-size: 1.6em;
+    font-weight: 600;
+  }
+  .stat-label,
+  .note,
+  .axis {
+    opacity: 0.7;
+    font-size: 0.9em;
+  }
+  section {
+    margin-bottom: 24px;
+  }
+  h3 {
+    font-size: 1em;
+    margin: 0 0 8px;
+  }
+  .column-row {
+    display: grid;
+    grid-template-columns: 160px 1fr 60px;
+    gap: 8px;
+    align-items: center;
+    margin-bottom: 4px;
   }
   .column-title {
-    font-weight: bold;
-    font-size: 1.1em;
-    flex: 1 1 auto;
-    margin-right: 8px;
-    border: 1px solid transparent;
-    padding: 2px 4px;
-    border-radius: 3px;
-    min-width: 0;
     overflow: hidden;
     text-overflow: ellipsis;
     white-space: nowrap;
   }
-  .column-title:focus {
-    border-color: var(--vscode-focusBorder);
-    outline: none;
-    background: var(--vscode-input-background);
-    color: var(--vscode-input-foreground);
-  }
-  .icon-btn {
-    flex-shrink: 0;
-    background: none;
-    border: none;
-    color: var(--vscode-icon-foreground);
-    cursor: pointer;
-    padding: 4px;
+  .column-bar {
+    height: 12px;
     border-radius: 3px;
-    opacity: 0;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    font-size: 1.2em;
-    transition: opacity 0.2s;
+    background: var(--vscode-charts-blue);
   }
-  .column:hover .icon-btn {
-    opacity: 0.6;
+  .column-row.over .column-bar {
+    background: var(--vscode-charts-red);
   }
-  .column:hover .icon-btn:hover {
-    background: var(--vscode-toolbar-hoverBackground);
-    opacity: 1;
+  .column-count {
+    text-align: right;
   }
-  .cards-container {
-    flex-grow: 1;
-    overflow-y: auto;
-    min-height: 50px;
+  svg.chart {
+    width: 100%;
+    height: 220px;
+    display: block;
+    background: var(--vscode-sideBar-background);
+    border-radius: 6px;
   }
-  .card {
-    background: var(--vscode-editorWidget-background);
-    margin-bottom: 8px;
-    padding: 8px 10px;
-    border-radius: 4px;
-    cursor: grab;
-    box-shadow: 0 1px 2px rgba(0,0,0,0.1);
+  svg.chart .bar {
+    fill: var(--vscode-charts-green);
+  }
+  .axis {
     display: flex;
     justify-content: space-between;
-    align-items: center;
-    group: card;
+    margin-top: 4px;
   }
-  .card:hover {
-    background: var(--vscode-list-hoverBackground);
+  .legend {
+    display: flex;
+    gap: 12px;
+    flex-wrap: wrap;
+    margin-top: 6px;
+    font-size: 0.9em;
   }
-  .card .delete-btn {
-      opacity: 0;
-      background: none;
-      border: none;
-      color: var(--vscode-icon-foreground);
-      cursor: pointer;
-      font-size: 1.1em;
-      padding: 0 4px;
+  .swatch {
+    display: inline-block;
+    width: 10px;
+    height: 10px;
+    border-radius: 2px;
+    margin-right: 4px;
   }
-  .card:hover .delete-btn {
-      opacity: 0.7;
+  .error {
+    color: var(--vscode-errorForeground);
   }
-  .card .delete-btn:hover {
-      opacity: 1;
-      color: var(--vscode-errorForeground);
+</style>
+</head>
+<body>
+  <div class="toolbar">
+    <h2><a id="boardName" href="#" title="Open board"></a></h2>
+    <select id="rangeSelect" aria-label="Date range">
+      <option value="14">Last 14 days</option>
+      <option value="30">Last 30 days</option>
+      <option value="90">Last 90 days</option>
+      <option value="365">Last year</option>
+      <option value="all">All time</option>
+      <option value="custom">Custom…</option>
+    </select>
+    <span id="customRange" class="custom-range" hidden>
+      <input id="fromInput" type="date" aria-label="From" />
+      –
+      <input id="toInput" type="date" aria-label="To" />
+    </span>
+    <button id="exportButton">Export CSV…</button>
+  </div>
+  <div id="content" aria-live="polite"></div>
+<script>
+  const vscode = acquireVsCodeApi();
+  const viewState = vscode.getState() || { range: "30", from: "", to: "" };
+  const COLORS = [
+    "var(--vscode-charts-blue)",
+    "var(--vscode-charts-yellow)",
+    "var(--vscode-charts-orange)",
+    "var(--vscode-charts-purple)",
+    "var(--vscode-charts-red)",
+    "var(--vscode-charts-green)"
+  ];
+  const SVG = "http://www.w3.org/2000/svg";
+  let state = null;
+
+  function localDate(date) {
+    const pad = n => String(n).padStart(2, "0");
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
   }
-  .card.dragging {
-    opacity: 0.5;
-    background: var(--vscode-editor-selectionBackground);
+
+  // Presets count back from today, so they are worked out on every request.
+  function requestData() {
+    let from = viewState.from;
+    let to = viewState.to;
+    if (viewState.range === "all") {
+      from = "";
+      to = "";
+    } else if (viewState.range !== "custom") {
+      const start = new Date();
+      start.setDate(start.getDate() - Number(viewState.range) + 1);
+      from = localDate(start);
+      to = "";
+    }
+    vscode.postMessage({ type: "range", from, to });
   }
-  .column.dragover {
-    outline: 2px dashed var(--vscode-focusBorder);
+
+  function updateRange() {
+    viewState.range = rangeSelect.value;
+    viewState.from = fromInput.value;
+    viewState.to = toInput.value;
+    vscode.setState(viewState);
+    customRange.hidden = viewState.range !== "custom";
+    requestData();
   }
-  .column.card-dragover {
-      background: var(--vscode-editor-inactiveSelectionBackground);
+
+  rangeSelect.value = viewState.range;
+  fromInput.value = viewState.from;
+  toInput.value = viewState.to;
+  customRange.hidden = viewState.range !== "custom";
+  rangeSelect.onchange = () => {
+    if (rangeSelect.value === "custom" && state && state.insights) {
+      fromInput.value = fromInput.value || state.insights.from;
+      toInput.value = toInput.value || state.insights.to;
+    }
+    updateRange();
+  };
+  fromInput.onchange = updateRange;
+  toInput.onchange = updateRange;
+  exportButton.onclick = () => vscode.postMessage({ type: "export-csv" });
+  boardName.onclick = e => {
+    e.preventDefault();
+    vscode.postMessage({ type: "open-board" });
+  };
+
+  window.addEventListener("message", e => {
+    if (e.data.type === "data") {
+      state = e.data;
+      render();
+    }
+  });
+  requestData();
+
+  function formatDays(days) {
+    if (days === null) return "–";
+    if (days < 1) return Math.round(days * 24) + " h";
+    return (Math.round(days * 10) / 10) + " d";
   }
-  .add-card-btn {
-    width: 100%;
-    padding: 8px 10px;
-    background: transparent;
-    color: var(--vscode-textLink-foreground);
-    border: 1px dashed var(--vscode-input-border);
-    border-radius: 4px;
-    cursor: pointer;
-    text-align: left;
-    transition: background 0.2s;
+
+  function svgElement(tag, attributes) {
+    const el = document.createElementNS(SVG, tag);
+    Object.keys(attributes).forEach(key => el.setAttribute(key, attributes[key]));
+    return el;
   }
-  .add-card-btn:hover {
-    background: var(--vscode-list-hoverBackground);
-    text-decoration: none;
+
+  function render() {
+    boardName.textContent = state.name;
+    content.innerHTML = "";
+    exportButton.disabled = !state.insights;
+    if (!state.insights) {
+      const error = document.createElement("p");
+      error.className = "error";
+      error.textContent = "Cannot read the board: " + state.error;
+      content.appendChild(error);
+      return;
+    }
+    const insights = state.insights;
+    content.appendChild(renderStats(insights));
+    content.appendChild(renderColumns(insights));
+    content.appendChild(renderFlow(insights));
+    content.appendChild(renderThroughput(insights));
+    if (insights.untracked) {
+      const note = document.createElement("p");
+      note.className = "note";
+      note.textContent =
+        insights.untracked +
+        (insights.untracked === 1 ? " card has" : " cards have") +
+        " no logged activity, so charts show them in their current column since they were created.";
+      content.appendChild(note);
+    }
   }
-  .add-column-btn {
-    min-width: 250px;
-    height: 48px;
-    background: rgba(128, 128, 128, 0.1);
-    color: var(--vscode-foreground);
-    border: 1px dashed var(--vscode-input-border);
-    border-radius: 6px;
-    cursor: pointer;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    font-size: 1em;
-    transition: background 0.2s;
+
+  function renderStats(insights) {
+    const stats = document.createElement("div");
+    stats.className = "stats";
+    const total = insights.columns.reduce((sum, col) => sum + col.count, 0);
+    [
+      [String(total), "Cards on the board"],
+      [String(insights.completed.length), "Completed in range"],
+      [formatDays(insights.leadDays), "Average lead time"],
+      [formatDays(insights.cycleDays), "Average cycle time"]
+    ].forEach(([value, label]) => {
+      const stat = document.createElement("div");
+      stat.className = "stat";
+      const valueEl = document.createElement("div");
+      valueEl.className = "stat-value";
+      valueEl.textContent = value;
+      const labelEl = document.createElement("div");
+      labelEl.className = "stat-label";
+      labelEl.textContent = label;
+      stat.append(valueEl, labelEl);
+      stats.appendChild(stat);
+    });
+    return stats;
   }
-  .add-column-btn:hover {
-    background: rgba(128, 128, 128, 0.2);
+
+  function renderColumns(insights) {
+    const section = document.createElement("section");
+    const heading = document.createElement("h3");
+    heading.textContent = "Cards per column";
+    section.appendChild(heading);
+    const max = Math.max(1, ...insights.columns.map(col => col.wipLimit || col.count));
+    insights.columns.forEach(col => {
+      const row = document.createElement("div");
+      row.className = "column-row";
+      if (col.wipLimit && col.count > col.wipLimit) row.classList.add("over");
+      const title = document.createElement("span");
+      title.className = "column-title";
+      title.textContent = col.title;
+      title.title = col.title;
+      const bar = document.createElement("div");
+      const fill = document.createElement("div");
+      fill.className = "column-bar";
+      fill.style.width = (col.count / max) * 100 + "%";
+      bar.appendChild(fill);
+      const count = document.createElement("span");
+      count.className = "column-count";
+      count.textContent = col.wipLimit ? col.count + " / " + col.wipLimit : String(col.count);
+      row.append(title, bar, count);
+      section.appendChild(row);
+    });
+    if (insights.archived) {
+      const note = document.createElement("div");
+      note.className = "note";
+      note.textContent = insights.archived + " archived";
+      section.appendChild(note);
+    }
+    return section;
+  }
+
+  function renderAxis(first, last) {
+    const axis = document.createElement("div");
+    axis.className = "axis";
+    const start = document.createElement("span");
+    start.textContent = first;
+    const end = document.createElement("span");
+    end.textContent = last;
+    axis.append(start, end);
+    return axis;
+  }
+
+  // Stacked areas with the last column at the bottom, as in most
+  // cumulative flow diagrams.
+  function renderFlow(insights) {
+    const section = document.createElement("section");
+    const heading = document.createElement("h3");
+    heading.textContent = "Cumulative flow";
+    section.appendChild(heading);
+    const dates = insights.flow.dates;
+    const series = insights.flow.series.slice().reverse();
+    const width = 600;
+    const height = 200;
+    const totals = dates.map((_, i) => series.reduce((sum, s) => sum + s.counts[i], 0));
+    const max = Math.max(1, ...totals);
+    const x = i => (dates.length > 1 ? (i / (dates.length - 1)) * width : width / 2);
+    const y = value => height - (value / max) * (height - 10);
+    const svg = svgElement("svg", {
+      class: "chart",
+      viewBox: "0 0 " + width + " " + height,
+      preserveAspectRatio: "none",
+      role: "img",
+      "aria-label": "Cumulative flow diagram"
+    });
+    const below = dates.map(() => 0);
+    series.forEach(s => {
+      const index = insights.flow.series.indexOf(s);
+      const above = below.map((value, i) => value + s.counts[i]);
+      const points = above
+        .map((value, i) => x(i) + "," + y(value))
+        .concat(below.map((value, i) => x(i) + "," + y(value)).reverse());
+      const area = svgElement("polygon", {
+        points: points.join(" "),
+        fill: COLORS[index % COLORS.length],
+        "fill-opacity": "0.85"
+      });
+      const tooltip = svgElement("title", {});
+      tooltip.textContent = s.title + ": " + s.counts[s.counts.length - 1] + " on " + dates[dates.length - 1];
+      area.appendChild(tooltip);
+      svg.appendChild(area);
+      above.forEach((value, i) => (below[i] = value));
+    });
+    section.appendChild(svg);
+    section.appendChild(renderAxis(dates[0], dates[dates.length - 1]));
+    const legend = document.createElement("div");
+    legend.className = "legend";
+    insights.flow.series.forEach((s, index) => {
+      const item = document.createElement("span");
+      const swatch = document.createElement("span");
+      swatch.className = "swatch";
+      swatch.style.background = COLORS[index % COLORS.length];
+      item.append(swatch, s.title);
+      legend.appendChild(item);
+    });
+    section.appendChild(legend);
+    return section;
+  }
+
+  function renderThroughput(insights) {
+    const section = document.createElement("section");
+    const heading = document.createElement("h3");
+    const period = { 1: "day", 7: "week", 28: "4 weeks" }[insights.throughput.days];
+    heading.textContent = "Throughput (cards completed per " + period + ")";
+    section.appendChild(heading);
+    const buckets = insights.throughput.buckets;
+    const width = 600;
+    const height = 200;
+    const max = Math.max(1, ...buckets.map(b => b.count));
+    const slot = width / buckets.length;
+    const svg = svgElement("svg", {
+      class: "chart",
+      viewBox: "0 0 " + width + " " + height,
+      preserveAspectRatio: "none",
+      role: "img",
+      "aria-label": "Throughput chart"
+    });
+    buckets.forEach((bucket, i) => {
+      const barHeight = (bucket.count / max) * (height - 10);
+      const bar = svgElement("rect", {
+        class: "bar",
+        x: i * slot + slot * 0.1,
+        y: height - barHeight,
+        width: slot * 0.8,
+        height: barHeight
+      });
+      const tooltip = svgElement("title", {});
+      tooltip.textContent = bucket.date + ": " + bucket.count + " completed";
+      bar.appendChild(tooltip);
+      svg.appendChild(bar);
+    });
+    section.appendChild(svg);
+    section.appendChild(renderAxis(buckets[0].date, buckets[buckets.length - 1].date));
+    return section;
+  }
+</script>
+</body>
+</html>`;
+}
+
+// Export and import
+//
+// Boards can be written out as Markdown task lists, CSV (one row per card)
+// or a standalone HTML page, and Markdown task lists can be turned into new
+// boards, with headings becoming columns and list items becoming cards.
+
+const EXPORT_FORMATS = {
+    markdown: {
+        label: 'Markdown',
+        extension: 'md',
+        render: boardToMarkdown,
+    },
+    csv: { label: 'CSV', extension: 'csv', render: boardToCsv },
+    html: { label: 'HTML', extension: 'html', render: boardToHtml },
+};
+
+function isCardDone(col, card) {
+    return col.policy === 'done' || !!card.completedAt;
+}
+
+function getCardLabels(card) {
+    return Array.isArray(card.labels) ? card.labels.map((l) => l.name) : [];
+}
+
+function boardToMarkdown(data, title) {
+    const lines = ['# ' + title];
+    for (const col of data.columns) {
+        lines.push('', '## ' + col.title, '');
+        if (!col.cards.length) lines.push('_No cards_');
+        for (const card of col.cards) {
+            const details = [];
+            if (card.due) details.push('due ' + card.due);
+            details.push(...getCardLabels(card).map((l) => '`' + l + '`'));
+            lines.push(
+                '- [' +
+                    (isCardDone(col, card) ? 'x' : ' ') +
+                    '] ' +
+                    card.title +
+                    (details.length ? ' — ' + details.join(' ') : '')
+            );
+            if (card.description) {
+                lines.push(
+                    '',
+                    ...card.description
+                        .split(/\r?\n/)
+                        .map((line) => (line ? '  ' + line : '')),
+                    ''
+                );
+            }
+            for (const item of card.checklist || []) {
+                lines.push(
+                    '  - [' + (item.done ? 'x' : ' ') + '] ' + item.text
+                );
+            }
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function boardToCsv(data) {
+    const rows = [
+        ['Column', 'Title', 'Labels', 'Due', 'Completed', 'Description', 'ID'],
+    ];
+    for (const col of data.columns) {
+        for (const card of col.cards) {
+            rows.push([
+                col.title,
+                card.title,
+                getCardLabels(card).join('; '),
+                card.due || '',
+                card.completedAt || (col.policy === 'done' ? 'yes' : ''),
+                card.description || '',
+                card.id,
+            ]);
+        }
+    }
+    return formatCsv(rows);
+}
+
+function formatCsv(rows) {
+    const quote = (value) =>
+        /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    return rows.map((row) => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// A self-contained page that follows the viewer's light or dark preference.
+function boardToHtml(data, title) {
+    const columns = data.columns
+        .map((col) => {
+            const cards = col.cards
+                .map((card) => {
+                    const meta = [];
+                    if (card.due) {
+                        meta.push(
+                            '<span class="due">Due ' +
+                                escapeHtml(card.due) +
+                                '</span>'
+                        );
+                    }
+                    for (const label of getCardLabels(card)) {
+                        meta.push(
+                            '<span class="label">' +
+                                escapeHtml(label) +
+                                '</span>'
+                        );
+                    }
+                    const checklist = (card.checklist || [])
+                        .map(
+                            (item) =>
+                                '<li class="' +
+                                (item.done ? 'done' : '') +
+                                '">' +
+                                escapeHtml(item.text) +
+                                '</li>'
+                        )
+                        .join('');
+                    return (
+                        '<article class="card' +
+                        (isCardDone(col, card) ? ' done' : '') +
+                        '"><h3>' +
+                        escapeHtml(card.title) +
+                        '</h3>' +
+                        (card.description
+                            ? '<p>' + escapeHtml(card.description) + '</p>'
+                            : '') +
+                        (checklist ? '<ul>' + checklist + '</ul>' : '') +
+                        (meta.length
+                            ? '<div class="meta">' + meta.join('') + '</div>'
+                            : '') +
+                        '</article>'
+                    );
+                })
+                .join('\n');
+            return (
+                '<section class="column"><h2>' +
+                escapeHtml(col.title) +
+                ' <span class="count">' +
+                col.cards.length +
+                '</span></h2>\n' +
+                cards +
+                '\n</section>'
+            );
+        })
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  :root { color-scheme: light dark; --bg: #f3f3f3; --fg: #1f1f1f; --column: #e8e8e8; --card: #ffffff; --muted: #6b6b6b; --accent: #0066b8; }
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: #1e1e1e; --fg: #cccccc; --column: #252526; --card: #2d2d30; --muted: #9d9d9d; --accent: #3794ff; }
   }
+  body { margin: 0; padding: 24px; background: var(--bg); color: var(--fg); font: 14px/1.4 -apple-system, "Segoe UI", sans-serif; }
+  h1 { margin: 0 0 4px; font-size: 20px; }
+  .exported { margin: 0 0 20px; color: var(--muted); font-size: 12px; }
+  .board { display: flex; gap: 12px; align-items: flex-start; overflow-x: auto; }
+  .column { flex: 0 0 260px; background: var(--column); border-radius: 6px; padding: 8px; }
+  .column h2 { margin: 4px 4px 8px; font-size: 14px; }
+  .count { color: var(--muted); font-weight: normal; }
+  .card { background: var(--card); border-radius: 4px; padding: 8px 10px; margin-bottom: 8px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.2); }
+  .card h3 { margin: 0; font-size: 14px; font-weight: normal; }
+  .card.done h3 { text-decoration: line-through; color: var(--muted); }
+  .card p { margin: 6px 0 0; white-space: pre-wrap; color: var(--muted); font-size: 12px; }
+  .card ul { margin: 6px 0 0; padding-left: 18px; font-size: 12px; }
+  .card li.done { text-decoration: line-through; color: var(--muted); }
+  .meta { margin-top: 6px; display: flex; flex-wrap: wrap; gap: 4px; font-size: 11px; }
+  .label, .due { border-radius: 8px; padding: 0 6px; }
+  .label { background: var(--accent); color: #ffffff; }
+  .due { border: 1px solid var(--muted); }
 </style>
 </head>
 <body>
-  <div id="board" class="board"></div>
+<h1>${escapeHtml(title)}</h1>
+<p class="exported">Exported ${escapeHtml(new Date().toLocaleString())}</p>
+<main class="board">
+${columns}
+</main>
+</body>
+</html>
+`;
+}
 
-<script>
-  const vscode = acquireVsCodeApi();
-  let state = null;
-  let draggedType = null;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const MARKDOWN_LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
 
-  window.addEventListener("message", e => {
-    if (e.data.type === "data") {
-      state = e.data.data;
-      render();
+// Builds board data from a Markdown document. Columns come from the most
+// used heading level (higher levels are treated as document titles), and
+// top-level list items become cards. Nested list items become the card's
+// checklist, and other indented lines its description. Columns whose items
+// are all checked become done columns; without headings, cards go to "To Do"
+// or "Done" by their checkbox. Returns null when the document has no list
+// items.
+function parseMarkdownBoard(text) {
+    const lines = text.split(/\r?\n/);
+    const levels = lines
+        .map((line) => MARKDOWN_HEADING.exec(line))
+        .filter(Boolean)
+        .map((match) => match[1].length);
+    // The level with the most headings, the deeper one on a tie.
+    let columnLevel = 0;
+    for (let level = 6; level >= 1; level--) {
+        const uses = levels.filter((l) => l === level).length;
+        const best = levels.filter((l) => l === columnLevel).length;
+        if (uses > best) columnLevel = level;
     }
-  });
 
-  function render() {
-    board.innerHTML = "";
-    
-    state.columns.forEach((col, index) => {
-      const column = document.createElement("div");
-      column.className = "column";
-      column.draggable = true;
-      
-      column.ondragstart = (e) => {
-          if (e.target.closest('.card')) {
-              return;
-          }
-          dragged = col;
-          draggedType = 'column';
-          e.dataTransfer.effectAllowed = 'move';
-          setTimeout(() => column.style.opacity = '0.5', 0);
-      };
-      
-      column.ondragend = () => {
-          column.style.opacity = '1';
-          dragged = null;
-          draggedType = null;
-          document.querySelectorAll('.column').forEach(c => c.classList.remove('dragover'));
-      };
+    const columns = [];
+    const byCheckbox = !columnLevel;
+    const getColumn = (title) => {
+        let col = columns.find((c) => c.title === title);
+        if (!col) {
+            col = { id: '', title, cards: [] };
+            columns.push(col);
+        }
+        return col;
+    };
+    if (byCheckbox) {
+        getColumn('To Do');
+        getColumn('Done').policy = 'done';
+    }
+    let current = null;
+    let card = null;
+    let cardIndent = 0;
+    let count = 0;
+    const checked = new Set();
 
-      const header = document.createElement("div");
-      header.className = "column-header";
-      
-      const title = document.createElement("div");
-      title.className = "column-title";
-      title.textContent = col.title;
-      title.contentEditable = true;
-      
-      const saveRename = () => {
-         const newTitle = title.textContent.trim();
-         if (newTitle && newTitle !== col.title) {
-             vscode.postMessage({ type: "rename-column", columnId: col.id, newTitle });
-         } else {
-             title.textContent = col.title;
-         }
-      };
-      
-      title.onblur = saveRename;
-      title.onkeydown = (e) => {
-          if (e.key === 'Enter') {
-              e.preventDefault();
-              title.blur();
-          }
-      };
+    for (const line of lines) {
+        const heading = MARKDOWN_HEADING.exec(line);
+        if (heading) {
+            card = null;
+            if (heading[1].length === columnLevel) {
+                current = getColumn(heading[2]);
+            }
+            continue;
+        }
 
-      const deleteBtn = document.createElement("button");
-      deleteBtn.className = "icon-btn";
-      deleteBtn.innerHTML = "×";
-      deleteBtn.title = "Delete Column";
-      deleteBtn.onclick = () => {
-          vscode.postMessage({ type: "delete-column", columnId: col.id });
-      };
+        const item = MARKDOWN_LIST_ITEM.exec(line);
+        const indent = line.length - line.trimStart().length;
+        if (item && (!card || indent <= cardIndent)) {
+            const done = !!item[2] && item[2] !== ' ';
+            const col = byCheckbox
+                ? getColumn(done ? 'Done' : 'To Do')
+                : current || getColumn('Tasks');
+            card = { id: 'card-' + ++count, title: item[3].trim() };
+            cardIndent = indent;
+            if (done) checked.add(card);
+            col.cards.push(card);
+        } else if (item && card) {
+            card.checklist = card.checklist || [];
+            card.checklist.push({
+                text: item[3].trim(),
+                done: !!item[2] && item[2] !== ' ',
+            });
+        } else if (card && indent > cardIndent && line.trim()) {
+            card.description = card.description
+                ? card.description + '\n' + line.trim()
+                : line.trim();
+        } else if (line.trim()) {
+            card = null;
+        }
+    }
 
-      header.appendChild(title);
-      header.appendChild(deleteBtn);
-      column.appendChild(header);
-      const cardsContainer = document.createElement("div");
-      cardsContainer.className = "cards-container";
-      column.ondragover = e => {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
-        if (draggedType === 'column' && dragged.id !== col.id) {
-             column.classList.add("dragover");
-        } else if (draggedType === 'card' && fromColumn !== col.id) {
-             column.classList.add("card-dragover"); 
+    if (!count) return null;
+    columns.forEach((col, index) => {
+        col.id =
+            col.title.toLowerCase().replace(/[^a-z0-9]+/g, '-') +
+            '-' +
+            (index + 1);
+        if (col.cards.length && col.cards.every((c) => checked.has(c))) {
+            col.policy = 'done';
         }
-      };
+    });
+    return createBoardData(columns);
+}
 
-      column.ondragleave = () => {
-        column.classList.remove("dragover");
-        column.classList.remove("card-dragover");
-      };
+// Resolves the board a command should act on: a file URI (explorer menus),
+// a tree item, the focused board editor, or else one picked from the index.
+async function resolveBoardUri(target, editor, index) {
+    if (target instanceof vscode.Uri) return target;
+    if (target && target.boardUri) return target.boardUri;
 
-      column.ondrop = (e) => {
-        e.preventDefault();
-        column.classList.remove("dragover");
-        column.classList.remove("card-dragover");
-        if (!dragged) return;
-
-        if (draggedType === 'column') {
-             if (dragged.id !== col.id) {
-                 vscode.postMessage({ type: "move-column", fromId: dragged.id, toId: col.id });
-             }
-        } else if (draggedType === 'card') {
-            const afterElement = getDragAfterElement(cardsContainer, e.clientY);
-            const index = afterElement ? 
-                state.columns.find(c => c.id === col.id).cards.findIndex(c => c.id === afterElement.dataset.id) : 
-                state.columns.find(c => c.id === col.id).cards.length;
-
-            moveCard(fromColumn, col.id, dragged.id, index);
-            render();
-            vscode.postMessage({ type: "update", data: state });
-        }
-        
-        dragged = null;
-        fromColumn = null;
-        draggedType = null;
-      };
+    const active = editor.getActiveEditor();
+    if (active) return active.document.uri;
 
-      col.cards.forEach(card => {
-        const el = document.createElement("div");
-        el.className = "card";
-        el.dataset.id = card.id;
-        
-        const span = document.createElement("span");
-        span.textContent = card.title;
-        el.appendChild(span);
-
-        const delBtn = document.createElement("button");
-        delBtn.className = "delete-btn";
-        delBtn.innerHTML = "×";
-        delBtn.title = "Delete Card";
-        delBtn.onclick = (e) => {
-            e.stopPropagation();
-            vscode.postMessage({ type: "delete-card", columnId: col.id, cardId: card.id });
-        };
-        el.appendChild(delBtn);
+    const boards = await index.getBoards();
+    if (boards.length === 1) return boards[0].uri;
+    const picked = await vscode.window.showQuickPick(
+        boards.map((board) => ({
+            label: vscode.workspace.asRelativePath(board.uri),
+            uri: board.uri,
+        })),
+        { placeHolder: 'Select a board' }
+    );
+    return picked && picked.uri;
+}
 
-        el.draggable = true;
+async function exportBoard(format, target, editor, index) {
+    const uri = await resolveBoardUri(target, editor, index);
+    if (!uri) return;
 
-        el.ondragstart = (e) => {
-          dragged = card;
-          draggedType = 'card';
-          fromColumn = col.id;
-          el.classList.add('dragging');
-          e.stopPropagation();
-        };
-        
-        el.ondragend = () => {
-             el.classList.remove('dragging');
-        };
+    const { data, error } = await readBoardFile(uri);
+    if (error) {
+        vscode.window.showErrorMessage(
+            'Cannot export ' +
+                vscode.workspace.asRelativePath(uri) +
+                ': ' +
+                error.message
+        );
+        return;
+    }
 
-        cardsContainer.appendChild(el);
-      });
-      
-      column.appendChild(cardsContainer);
-
-      if (index === 0) {
-        const addCardBtn = document.createElement("button");
-        addCardBtn.className = "add-card-btn";
-        addCardBtn.textContent = "+ Add Todo";
-        addCardBtn.onclick = () => {
-            vscode.postMessage({ type: "add-card", columnId: col.id });
-        };
-        cardsContainer.appendChild(addCardBtn);
-      }
-      
-      column.appendChild(cardsContainer);
+    const { label, extension, render } = EXPORT_FORMATS[format];
+    const name = getBoardName(uri);
+    const destination = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(uri, '..', name + '.' + extension),
+        filters: { [label]: [extension] },
+    });
+    if (!destination) return;
+
+    await vscode.workspace.fs.writeFile(
+        destination,
+        Buffer.from(render(data, name))
+    );
+
+    const choice = await vscode.window.showInformationMessage(
+        'Exported ' +
+            name +
+            ' to ' +
+            vscode.workspace.asRelativePath(destination) +
+            '.',
+        'Open'
+    );
+    if (choice === 'Open') {
+        if (format === 'html') {
+            await vscode.env.openExternal(destination);
+        } else {
+            await vscode.window.showTextDocument(destination);
+        }
+    }
+}
+
+async function importMarkdown(target) {
+    let source = target instanceof vscode.Uri ? target : undefined;
+    if (!source) {
+        const picked = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            filters: { Markdown: ['md', 'markdown'] },
+            openLabel: 'Import',
+        });
+        if (!picked) return;
+        source = picked[0];
+    }
+
+    const text = Buffer.from(
+        await vscode.workspace.fs.readFile(source)
+    ).toString('utf8');
+    const data = parseMarkdownBoard(text);
+    if (!data) {
+        vscode.window.showErrorMessage(
+            'No task list items found in ' +
+                vscode.workspace.asRelativePath(source) +
+                '.'
+        );
+        return;
+    }
 
-      board.appendChild(column);
+    const file = source.path.slice(source.path.lastIndexOf('/') + 1);
+    const name = await vscode.window.showInputBox({
+        prompt: 'Enter name for new board (will be saved as .board.json)',
+        value: file.replace(/\.(md|markdown)$/i, ''),
     });
+    if (!name) return;
+
+    const safeName = name.replace(/[^a-z0-9\- ]/gi, '').trim() || 'untitled';
+    const uri = getSiblingBoardUri(source, safeName);
+    if (await fileExists(uri)) {
+        vscode.window.showErrorMessage(
+            'File already exists: ' + safeName + BOARD_EXTENSION
+        );
+        return;
+    }
+
+    await writeNewBoard(uri, data);
+    await openPreview(uri);
+}
+
+function registerExportCommands(context, editor, index) {
+    for (const format of Object.keys(EXPORT_FORMATS)) {
+        const name = format[0].toUpperCase() + format.slice(1);
+        context.subscriptions.push(
+            vscode.commands.registerCommand(
+                'todoBoard.export' + name,
+                (target) => exportBoard(format, target, editor, index)
+            )
+        );
+    }
+    context.subscriptions.push(
+        vscode.commands.registerCommand(
+            'todoBoard.importMarkdown',
+            importMarkdown
+        ),
+        vscode.commands.registerCommand(
+            'todoBoard.importBoardExport',
+            importBoardExport
+        )
+    );
+}
+
+// Trello and GitHub Projects import
+//
+// Converts a Trello board JSON export or a GitHub Projects (v2) item export
+// (`gh project item-list --format json`) into board data. Archived cards go
+// to the board's archive. Anything the board model has no place for is
+// listed in a report instead of being dropped silently.
+
+const TRELLO_LABEL_COLORS = {
+    green: 'green',
+    yellow: 'yellow',
+    orange: 'orange',
+    red: 'red',
+    purple: 'purple',
+    blue: 'blue',
+    sky: 'sky',
+    lime: 'green',
+    pink: 'pink',
+    black: 'gray',
+};
+
+// Returns `{ data, source, name, report }`, where `report` lists what could
+// not be mapped. Throws for files in neither format.
+function convertBoardExport(json) {
+    if (isPlainObject(json) && Array.isArray(json.lists)) {
+        return convertTrelloBoard(json);
+    }
+    const items = Array.isArray(json)
+        ? json
+        : isPlainObject(json) && Array.isArray(json.items)
+          ? json.items
+          : null;
+    if (items && items.every(isPlainObject)) {
+        return convertGitHubProject(items);
+    }
+    throw new Error('Not a Trello board or GitHub Projects export.');
+}
 
-    const addColBtn = document.createElement("button");
-    addColBtn.className = "add-column-btn";
-    addColBtn.textContent = "+ Add New Column";
-    addColBtn.onclick = () => {
-        vscode.postMessage({ type: "add-column" });
+// Counts how often each kind of unmapped data occurs and turns the counts
+// into report lines.
+function createImportReport() {
+    const counts = new Map();
+    return {
+        add(what, n = 1) {
+            if (n > 0) counts.set(what, (counts.get(what) || 0) + n);
+        },
+        lines() {
+            return [...counts].map(([what, n]) => n + ' × ' + what);
+        },
     };
-    board.appendChild(addColBtn);
-  }
+}
 
-  let isDown = false;
-  let startX;
-  let scrollLeft;
+function toColumnId(title, index) {
+    return (
+        (title.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'column') +
+        '-' +
+        (index + 1)
+    );
+}
 
-  board.addEventListener('mousedown', (e) => {
-    if (e.target.closest('.card') || e.target.tagName === 'BUTTON' || e.target.isContentEditable || e.target.closest('.column-header')) {
-        return;
+// An ISO timestamp for `value`, or for now when it is not a valid date.
+function toTimestamp(value) {
+    const time = Date.parse(value);
+    return new Date(Number.isNaN(time) ? Date.now() : time).toISOString();
+}
+
+function toDueDate(value) {
+    const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value || ''));
+    return match ? match[0] : undefined;
+}
+
+function convertTrelloBoard(json) {
+    const report = createImportReport();
+    const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+    const cards = Array.isArray(json.cards) ? json.cards : [];
+    const checklists = Array.isArray(json.checklists) ? json.checklists : [];
+
+    const lists = json.lists.slice().sort(byPos);
+    const closedLists = new Set(
+        lists.filter((list) => list.closed).map((list) => list.id)
+    );
+    report.add('archived list (its cards were archived)', closedLists.size);
+    const archive = [];
+
+    const columns = lists
+        .filter((list) => !list.closed)
+        .map((list, index) => ({
+            id: toColumnId(String(list.name || ''), index),
+            title: String(list.name || 'Untitled'),
+            cards: [],
+            listId: list.id,
+        }));
+
+    for (const source of cards.slice().sort(byPos)) {
+        const col = columns.find((c) => c.listId === source.idList);
+        if (!col && !closedLists.has(source.idList)) {
+            report.add('card without a list (not imported)');
+            continue;
+        }
+
+        const card = {
+            id: 'trello-' + source.id,
+            title: String(source.name || 'Untitled'),
+        };
+        if (source.desc) card.description = String(source.desc);
+
+        const labels = (source.labels || [])
+            .filter((label) => label.name || label.color)
+            .map((label) => {
+                // Newer exports use shades such as "red_dark".
+                const base = String(label.color || '').replace(
+                    /_(light|dark)$/,
+                    ''
+                );
+                const color = TRELLO_LABEL_COLORS[base];
+                const name = String(label.name || base);
+                return color ? { name, color } : { name };
+            });
+        if (labels.length) card.labels = labels;
+
+        const due = toDueDate(source.due);
+        if (due) card.due = due;
+        if (source.dueComplete) report.add('"due date complete" mark');
+
+        const cardChecklists = checklists
+            .filter((list) => list.idCard === source.id)
+            .sort(byPos);
+        const items = [];
+        for (const list of cardChecklists) {
+            for (const item of (list.checkItems || []).slice().sort(byPos)) {
+                items.push({
+                    text:
+                        (cardChecklists.length > 1 ? list.name + ': ' : '') +
+                        item.name,
+                    done: item.state === 'complete',
+                });
+            }
+        }
+        if (items.length) card.checklist = items;
+        if (cardChecklists.length > 1) {
+            report.add('card with several checklists (merged into one)');
+        }
+
+        report.add('member assignment', (source.idMembers || []).length);
+        report.add(
+            'attachment',
+            (source.attachments || []).length ||
+                (source.badges && source.badges.attachments) ||
+                0
+        );
+        report.add('comment', (source.badges && source.badges.comments) || 0);
+        report.add(
+            'custom field value',
+            (source.customFieldItems || []).length
+        );
+
+        if (col && !source.closed) {
+            col.cards.push(card);
+        } else {
+            archive.push({
+                ...card,
+                ...(col ? { archivedFrom: col.id } : {}),
+                archivedAt: toTimestamp(source.dateLastActivity),
+            });
+        }
     }
-    e.preventDefault();
-    isDown = true;
-    board.classList.add('active');
-    startX = e.pageX - board.offsetLeft;
-    scrollLeft = board.scrollLeft;
-  });
 
-  board.addEventListener('mouseleave', () => {
-    isDown = false;
-    board.classList.remove('active');
-  });
+    columns.forEach((col) => delete col.listId);
+    const data = createBoardData(columns);
+    if (archive.length) data.archive = archive;
+    return {
+        data,
+        source: 'Trello',
+        name: json.name ? String(json.name) : undefined,
+        report: report.lines(),
+    };
+}
 
-  board.addEventListener('mouseup', () => {
-    isDown = false;
-    board.classList.remove('active');
-  });
+// Item fields `gh project item-list` always writes; other keys are the
+// project's custom fields, named after the field in lower case.
+const GITHUB_ITEM_FIELDS = new Set([
+    'id',
+    'title',
+    'content',
+    'status',
+    'labels',
+    'assignees',
+    'repository',
+    'milestone',
+]);
 
-  board.addEventListener('mousemove', (e) => {
-    if (!isDown) return;
-    e.preventDefault();
-    const x = e.pageX - board.offsetLeft;
-    const walk = (x - startX) * 2;
-    board.scrollLeft = scrollLeft - walk;
-  });
+function convertGitHubProject(items) {
+    const report = createImportReport();
+    const columns = [];
+    const archived = [];
 
+    for (const item of items) {
+        const content = isPlainObject(item.content) ? item.content : {};
+        const status = String(item.status || 'No Status');
+        const card = {
+            id: item.id ? 'github-' + item.id : createCardId({ columns }),
+            title: String(item.title || content.title || 'Untitled'),
+        };
 
-  function getDragAfterElement(container, y) {
-    const draggableElements = [...container.querySelectorAll('.card:not(.dragging)')];
+        const description = [];
+        if (content.body) description.push(String(content.body));
+        if (content.url) {
+            const repo = content.repository || item.repository;
+            const ref =
+                repo && content.number
+                    ? repo + '#' + content.number
+                    : content.url;
+            description.push('[' + ref + '](' + content.url + ')');
+        }
+        if (description.length) card.description = description.join('\n\n');
 
-    return draggableElements.reduce((closest, child) => {
-      const box = child.getBoundingClientRect();
-      const offset = y - box.top - box.height / 2;
-      if (offset < 0 && offset > closest.offset) {
-        return { offset: offset, element: child };
-      } else {
-        return closest;
-      }
-    }, { offset: Number.NEGATIVE_INFINITY }).element;
-  }
+        const labels = (Array.isArray(item.labels) ? item.labels : [])
+            .map((label) => (isPlainObject(label) ? label.name : label))
+            .filter(Boolean)
+            .map((name) => ({ name: String(name) }));
+        if (labels.length) card.labels = labels;
 
-  function moveCard(fromId, toId, cardId, toIndex) {
-    const fromCol = state.columns.find(c => c.id === fromId);
-    const toCol = state.columns.find(c => c.id === toId);
+        for (const [key, value] of Object.entries(item)) {
+            if (GITHUB_ITEM_FIELDS.has(key) || key === 'isArchived') continue;
+            const due = /\b(due|target|end)\b/i.test(key) && toDueDate(value);
+            if (due && !card.due) {
+                card.due = due;
+            } else if (value !== null && value !== '') {
+                report.add('"' + key + '" field value');
+            }
+        }
+        report.add('assignee', (item.assignees || []).length);
+        if (item.milestone) report.add('milestone');
 
-    const fromIdx = fromCol.cards.findIndex(c => c.id === cardId);
-    if (fromIdx === -1) return;
-    
-    const [card] = fromCol.cards.splice(fromIdx, 1);
-    
-    let finalIndex = toIndex;
-    if (fromId === toId && fromIdx < toIndex) {
-        if (toIndex !== undefined && toIndex > fromIdx) {
-             finalIndex = toIndex - 1;
+        if (item.isArchived) {
+            archived.push({ card, status });
+            continue;
+        }
+        let col = columns.find((c) => c.title === status);
+        if (!col) {
+            col = {
+                id: toColumnId(status, columns.length),
+                title: status,
+                cards: [],
+            };
+            if (/^(done|closed|complete[d]?)$/i.test(status)) {
+                col.policy = 'done';
+            }
+            columns.push(col);
         }
+        col.cards.push(card);
     }
-    
-    if (finalIndex === undefined) finalIndex = toCol.cards.length;
 
-    toCol.cards.splice(finalIndex, 0, card);
-  }
-</script>
-</body>
-</html>
-`;
+    const data = createBoardData(columns);
+    if (archived.length) {
+        const archivedAt = toTimestamp();
+        data.archive = archived.map(({ card, status }) => {
+            const col = columns.find((c) => c.title === status);
+            return col
+                ? { ...card, archivedFrom: col.id, archivedAt }
+                : { ...card, archivedAt };
+        });
+    }
+    return {
+        data,
+        source: 'GitHub Projects',
+        name: undefined,
+        report: report.lines(),
+    };
+}
+
+async function importBoardExport() {
+    const folder = await pickWorkspaceFolder(
+        'Create the board in which folder?'
+    );
+    if (!folder) return;
+
+    const picked = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { JSON: ['json'] },
+        openLabel: 'Import',
+    });
+    if (!picked) return;
+    const file = picked[0];
+
+    let result;
+    try {
+        const text = Buffer.from(
+            await vscode.workspace.fs.readFile(file)
+        ).toString('utf8');
+        result = convertBoardExport(JSON.parse(text));
+    } catch (err) {
+        vscode.window.showErrorMessage(
+            'Cannot import ' + file.path.split('/').pop() + ': ' + err.message
+        );
+        return;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Enter name for new board (will be saved as .board.json)',
+        value:
+            result.name ||
+            file.path
+                .split('/')
+                .pop()
+                .replace(/\.json$/i, ''),
+    });
+    if (!name) return;
+
+    const safeName = name.replace(/[^a-z0-9\- ]/gi, '').trim() || 'untitled';
+    const uri = vscode.Uri.joinPath(
+        getBoardsDirectory(folder),
+        safeName + BOARD_EXTENSION
+    );
+    if (await fileExists(uri)) {
+        vscode.window.showErrorMessage(
+            'File already exists: ' + safeName + BOARD_EXTENSION
+        );
+        return;
+    }
+
+    await writeNewBoard(uri, result.data);
+    await openPreview(uri);
+
+    const count = countCards(result.data);
+    const summary =
+        'Imported ' +
+        describeCount(count, 'card') +
+        ' from ' +
+        result.source +
+        ' into ' +
+        safeName +
+        BOARD_EXTENSION +
+        '.';
+    if (!result.report.length) {
+        vscode.window.showInformationMessage(summary);
+        return;
+    }
+
+    const choice = await vscode.window.showInformationMessage(
+        summary + ' Some data could not be mapped.',
+        'Show Report'
+    );
+    if (choice === 'Show Report') {
+        const document = await vscode.workspace.openTextDocument({
+            language: 'markdown',
+            content: [
+                '# Import report: ' + safeName + BOARD_EXTENSION,
+                '',
+                'Imported ' +
+                    describeCount(count, 'card') +
+                    ' in ' +
+                    describeCount(result.data.columns.length, 'column') +
+                    ' from ' +
+                    result.source +
+                    ' (' +
+                    file.path.split('/').pop() +
+                    ').',
+                '',
+                'Not mapped:',
+                '',
+                ...result.report.map((line) => '- ' + line),
+                '',
+            ].join('\n'),
+        });
+        await vscode.window.showTextDocument(document);
     }
 }
 
@@ -691,4 +10022,43 @@ function deactivate() {}
 module.exports = {
     activate,
     deactivate,
+    BOARD_SCHEMA_VERSION,
+    migrateBoard,
+    serializeBoard,
+    validateBoard,
+    parseBoardText,
+    createTodoPattern,
+    findCodeTodos,
+    mergeCodeTodos,
+    getCardRefs,
+    resolveRefLine,
+    BoardProvider,
+    applyBoardOperation,
+    getCardLaneKey,
+    setCardLane,
+    CARD_DETAIL_FIELDS,
+    applyCardChanges,
+    BoardHistory,
+    getNextFocus,
+    applyColumnSettings,
+    boardToMarkdown,
+    boardToCsv,
+    parseMarkdownBoard,
+    convertBoardExport,
+    createBoardFromTemplate,
+    createTemplateFromBoard,
+    findAssignedCards,
+    groupAssignedCards,
+    addTransferredCard,
+    collectTransferActivity,
+    groupBoardsByColumn,
+    diffActivity,
+    getActivityLogUri,
+    createCardFilter,
+    linkCommits,
+    closesCard,
+    getCardBranchName,
+    findDueCards,
+    computeBoardInsights,
+    insightsToCsv,
 };
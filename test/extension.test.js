@@ -3,7 +3,7 @@ const assert = require('assert');
 // You can import and use all API from the 'vscode' module
 // as well as import your extension to test it
 const vscode = require('vscode');
-// const myExtension = require('../extension');
+const myExtension = require('../extension');
 
 suite('Extension Test Suite', () => {
 	vscode.window.showInformationMessage('Start all tests.');
@@ -13,3 +13,1040 @@ suite('Extension Test Suite', () => {
 		assert.strictEqual(-1, [1, 2, 3].indexOf(0));
 	});
 });
+
+suite('Card details', () => {
+	test('applies detail fields, dropping empty values and ignoring other keys', () => {
+		const card = { id: 'a', title: 'A', due: '2024-05-01', labels: [{ name: 'bug' }] };
+		const checklist = [{ text: 'reproduce', done: false }];
+
+		myExtension.applyCardChanges(card, { id: 'b', title: 42, description: 'Steps', due: '', labels: [], checklist, completedAt: 'now' });
+		assert.deepStrictEqual(card, { id: 'a', title: '42', description: 'Steps', checklist });
+
+		// An empty title is refused; other empty fields are removed.
+		myExtension.applyCardChanges(card, { title: '', description: null });
+		assert.deepStrictEqual(card, { id: 'a', title: '42', checklist });
+
+		assert.ok(myExtension.CARD_DETAIL_FIELDS.includes('due'));
+		assert.ok(!myExtension.CARD_DETAIL_FIELDS.includes('id'));
+
+		// Values of the wrong type are left to validateBoard to refuse.
+		myExtension.applyCardChanges(card, { labels: 'bug' });
+		const board = { version: 1, columns: [{ id: 'todo', title: 'To Do', cards: [card] }] };
+		assert.deepStrictEqual(
+			myExtension.validateBoard(board).map((p) => p.message),
+			['Expected array at columns[0].cards[0].labels.']
+		);
+	});
+});
+
+suite('Undo history', () => {
+	test('follows native undo and redo of its own edits and clears on outside edits', () => {
+		const history = new myExtension.BoardHistory(2);
+		history.record('Add card', 'A', 'B');
+		history.record('Move card', 'B', 'C');
+		history.record('Rename card', 'C', 'D\n');
+		assert.deepStrictEqual(
+			history.undoStack.map((e) => e.label),
+			['Move card', 'Rename card']
+		);
+
+		// Our own write, then VS Code undoing and redoing it.
+		history.sync('D\n');
+		assert.strictEqual(history.undoStack.length, 2);
+		history.sync('C');
+		assert.deepStrictEqual(history.redoStack.map((e) => e.label), ['Rename card']);
+		history.sync('D\n');
+		assert.deepStrictEqual(history.redoStack, []);
+
+		assert.strictEqual(history.undo().before, 'C');
+		history.sync('C');
+		assert.strictEqual(history.redo().after, 'D\n');
+		history.sync('D\n');
+
+		// Line endings alone do not count as an outside edit.
+		history.sync('D\r\n');
+		assert.strictEqual(history.undoStack.length, 2);
+
+		history.sync('typed in the text editor');
+		assert.deepStrictEqual([history.undoStack, history.redoStack], [[], []]);
+		assert.strictEqual(history.undo(), undefined);
+	});
+});
+
+suite('Keyboard navigation', () => {
+	// Two lanes of three columns; the middle column of the second lane is empty.
+	const lanes = [
+		[2, 3, 1],
+		[1, 0, 2],
+	];
+	const next = (lane, column, card, key) => myExtension.getNextFocus(lanes, { lane, column, card }, key);
+
+	test('moves up and down through a column and on into the next lane', () => {
+		assert.deepStrictEqual(next(0, 1, 0, 'ArrowDown'), { lane: 0, column: 1, card: 1 });
+		assert.deepStrictEqual(next(0, 1, -1, 'ArrowDown'), { lane: 0, column: 1, card: 0 });
+		assert.deepStrictEqual(next(0, 0, 1, 'ArrowDown'), { lane: 1, column: 0, card: 0 });
+		assert.deepStrictEqual(next(0, 1, 2, 'ArrowDown'), { lane: 1, column: 1, card: -1 });
+		assert.deepStrictEqual(next(1, 2, 0, 'ArrowUp'), { lane: 0, column: 2, card: 0 });
+		assert.deepStrictEqual(next(1, 0, 0, 'ArrowUp'), { lane: 0, column: 0, card: 1 });
+		assert.strictEqual(next(0, 0, 0, 'ArrowUp'), null);
+		assert.strictEqual(next(1, 2, 1, 'ArrowDown'), null);
+	});
+
+	test('moves left and right to the card at the same position or the nearest one', () => {
+		assert.deepStrictEqual(next(0, 1, 2, 'ArrowLeft'), { lane: 0, column: 0, card: 1 });
+		assert.deepStrictEqual(next(0, 0, 1, 'ArrowRight'), { lane: 0, column: 1, card: 1 });
+		assert.deepStrictEqual(next(0, 0, -1, 'ArrowRight'), { lane: 0, column: 1, card: 0 });
+		assert.deepStrictEqual(next(1, 0, 0, 'ArrowRight'), { lane: 1, column: 1, card: -1 });
+		assert.strictEqual(next(0, 0, 0, 'ArrowLeft'), null);
+		assert.strictEqual(next(0, 2, 0, 'ArrowRight'), null);
+		assert.strictEqual(next(0, 0, 0, 'Home'), null);
+	});
+});
+
+suite('Board schema', () => {
+	test('migrates both unversioned starter layouts', () => {
+		const starters = [
+			['Ideas', 'In-Progress', 'Done'],
+			['todo', 'doing', 'done'],
+		];
+		for (const ids of starters) {
+			const text = JSON.stringify({
+				columns: ids.map((id) => ({ id, title: id, cards: [] })),
+			});
+			const { data, error } = myExtension.parseBoardText(text);
+			assert.strictEqual(error, undefined);
+			assert.strictEqual(data.version, myExtension.BOARD_SCHEMA_VERSION);
+			assert.deepStrictEqual(
+				data.columns.map((c) => c.id),
+				ids
+			);
+		}
+	});
+
+	test('fills in missing ids and card arrays on unversioned boards', () => {
+		const data = myExtension.migrateBoard({
+			columns: [{ title: 'To Do' }, { title: 'To Do', cards: [{ title: 'a' }] }],
+		});
+		assert.deepStrictEqual(data.columns[0].cards, []);
+		assert.notStrictEqual(data.columns[0].id, data.columns[1].id);
+		assert.ok(data.columns[1].cards[0].id);
+		assert.deepStrictEqual(myExtension.validateBoard(data), []);
+	});
+
+	test('reports the location of invalid JSON', () => {
+		const { error } = myExtension.parseBoardText('{\n  "columns": [,]\n}');
+		assert.ok(error.message.startsWith('Invalid JSON'));
+		assert.strictEqual(error.line, 2);
+	});
+
+	test('reports merge conflict markers', () => {
+		const text = '{\n<<<<<<< HEAD\n  "columns": []\n=======\n>>>>>>> main\n}';
+		const { error } = myExtension.parseBoardText(text);
+		assert.match(error.message, /merge conflict/);
+		assert.strictEqual(error.line, 2);
+	});
+
+	test('points validation errors at the offending value', () => {
+		const text = [
+			'{',
+			'  "version": 1,',
+			'  "columns": [',
+			'    { "id": "a", "title": "A", "cards": [',
+			'      { "id": "c1", "title": 42 }',
+			'    ] }',
+			'  ]',
+			'}',
+		].join('\n');
+		const { error } = myExtension.parseBoardText(text);
+		assert.strictEqual(error.message, 'Expected string at columns[0].cards[0].title.');
+		assert.strictEqual(error.line, 5);
+	});
+
+	test('refuses boards from a newer schema version', () => {
+		const { error } = myExtension.parseBoardText(
+			JSON.stringify({ version: myExtension.BOARD_SCHEMA_VERSION + 1, columns: [] })
+		);
+		assert.match(error.message, /newer/);
+	});
+
+	test('writes boards with the configured indentation and key order', () => {
+		const board = { columns: [{ cards: [{ title: 'A', zeta: 1, id: 'a', alpha: 2 }], title: 'To Do', id: 'todo' }], version: 1 };
+
+		const canonical = {
+			version: 1,
+			columns: [{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A', alpha: 2, zeta: 1 }] }],
+		};
+		assert.strictEqual(
+			myExtension.serializeBoard(board, { indentation: 'tab', keyOrder: 'canonical' }),
+			JSON.stringify(canonical, null, '\t')
+		);
+		assert.strictEqual(myExtension.serializeBoard(board), JSON.stringify(board, null, 2));
+	});
+});
+
+suite('Code TODOs', () => {
+	const pattern = myExtension.createTodoPattern(['TODO', 'FIXME', 'HACK']);
+
+	test('finds tagged comments in common comment styles', () => {
+		const text = [
+			'const a = 1; // TODO: handle retries',
+			'# FIXME(ana) broken on windows',
+			'/* HACK: skip cache */',
+			'const TODO = "not a comment";',
+			'<!-- TODO docs -->',
+		].join('\n');
+		assert.deepStrictEqual(myExtension.findCodeTodos(text, pattern), [
+			{ tag: 'TODO', text: 'handle retries', line: 1 },
+			{ tag: 'FIXME', text: 'broken on windows', line: 2 },
+			{ tag: 'HACK', text: 'skip cache', line: 3 },
+			{ tag: 'TODO', text: 'docs', line: 5 },
+		]);
+	});
+
+	test('keeps cards in sync as comments move, change and disappear', () => {
+		const board = { version: 1, columns: [{ id: 'todo', title: 'To Do', cards: [] }] };
+		const scan = (todos) =>
+			myExtension.mergeCodeTodos(board, new Map([['a.js', todos]]), true, 'Code TODOs');
+
+		scan([
+			{ tag: 'TODO', text: 'first', line: 1 },
+			{ tag: 'TODO', text: 'second', line: 5 },
+		]);
+		const column = board.columns[1];
+		assert.strictEqual(column.title, 'Code TODOs');
+		assert.deepStrictEqual(column.cards.map((c) => c.title), ['first', 'second']);
+		const [first, second] = column.cards.map((c) => c.id);
+
+		// "first" moved down, "second" was reworded in place.
+		scan([
+			{ tag: 'TODO', text: 'first', line: 3 },
+			{ tag: 'TODO', text: 'second, reworded', line: 5 },
+		]);
+		assert.deepStrictEqual(
+			column.cards.map((c) => [c.id, c.title, c.source.line]),
+			[
+				[first, 'first', 3],
+				[second, 'second, reworded', 5],
+			]
+		);
+
+		board.columns[0].cards.push(column.cards.pop());
+		scan([{ tag: 'TODO', text: 'first', line: 3 }]);
+		assert.deepStrictEqual(column.cards.map((c) => c.id), [first]);
+		assert.deepStrictEqual(board.columns[0].cards, []);
+		assert.deepStrictEqual(board.archive.map((c) => [c.id, c.archivedFrom]), [[second, 'todo']]);
+	});
+
+	test('finds its column after a rename and derives a valid id for any title', () => {
+		const board = { version: 1, columns: [{ id: 'code-todos', title: 'Comments', cards: [] }] };
+		myExtension.mergeCodeTodos(board, new Map([['a.js', [{ tag: 'TODO', text: 'a', line: 1 }]]]), true, 'Code TODOs');
+		assert.strictEqual(board.columns.length, 1);
+		assert.deepStrictEqual(board.columns[0].cards.map((c) => c.title), ['a']);
+
+		const other = { version: 1, columns: [{ id: 'todo', title: 'To Do', cards: [] }] };
+		myExtension.mergeCodeTodos(other, new Map([['a.js', [{ tag: 'TODO', text: 'a', line: 1 }]]]), true, 'Задачи');
+		assert.strictEqual(other.columns[1].id, 'code-todos');
+		assert.deepStrictEqual(myExtension.validateBoard(other), []);
+	});
+});
+
+suite('Code references', () => {
+	const createDocument = (lines) => ({
+		lineCount: lines.length,
+		lineAt: (i) => ({ text: lines[i] }),
+	});
+
+	test('keeps only references with a path', () => {
+		const ref = { path: 'src/a.js', line: 3, text: 'retry();' };
+		assert.deepStrictEqual(myExtension.getCardRefs({ refs: [ref, { line: 1 }, 'src/b.js', null] }), [ref]);
+		assert.deepStrictEqual(myExtension.getCardRefs({ refs: 'src/a.js' }), []);
+		assert.deepStrictEqual(myExtension.getCardRefs({}), []);
+	});
+
+	test('follows the referenced line when lines move', async () => {
+		const ref = { path: 'a.js', line: 2, text: 'retry();' };
+		const resolve = (lines, r = ref) => myExtension.resolveRefLine(createDocument(lines), r);
+
+		assert.strictEqual(await resolve(['a', 'retry();', 'b']), 2);
+		assert.strictEqual(await resolve(['new', 'new', 'a', 'retry();']), 4);
+		assert.strictEqual(await resolve(['retry();', 'b', 'c']), 1);
+		// The nearest match wins over one further away.
+		assert.strictEqual(await resolve(['retry();', 'a', 'b', 'retry();']), 1);
+		// Without the text, the recorded line is kept within the document.
+		assert.strictEqual(await resolve(['a', 'b', 'c']), 2);
+		assert.strictEqual(await resolve(['a'], { path: 'a.js', line: 9 }), 1);
+	});
+});
+
+suite('Board operations', () => {
+	const createBoard = () => ({
+		version: 1,
+		columns: [
+			{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }] },
+			{ id: 'done', title: 'Done', cards: [] },
+		],
+	});
+
+	test('places a stale move next to the card it was dropped before', () => {
+		const board = createBoard();
+		// Elsewhere, "c" was moved to the top after the webview rendered.
+		board.columns[0].cards.unshift(board.columns[0].cards.pop());
+
+		const result = myExtension.applyBoardOperation(
+			board,
+			{ type: 'move-card', cardId: 'a', fromColumnId: 'todo', toColumnId: 'todo', toIndex: 1, beforeCardId: 'c' },
+			true
+		);
+		assert.deepStrictEqual(result, { changed: true });
+		assert.deepStrictEqual(board.columns[0].cards.map((c) => c.id), ['a', 'c', 'b']);
+	});
+
+	test('reports stale edits of changed fields as conflicts', () => {
+		const board = createBoard();
+		board.columns[0].cards[1].title = 'B, renamed elsewhere';
+		const rename = { type: 'rename-card', cardId: 'b', newTitle: 'Mine', base: 'B' };
+
+		assert.ok(myExtension.applyBoardOperation(board, rename, true).conflict);
+		assert.strictEqual(board.columns[0].cards[1].title, 'B, renamed elsewhere');
+
+		// Edits to other fields still apply.
+		const describe = { type: 'update-card', cardId: 'b', changes: { description: 'x' }, base: { description: null } };
+		assert.deepStrictEqual(myExtension.applyBoardOperation(board, describe, true), { changed: true });
+
+		assert.deepStrictEqual(myExtension.applyBoardOperation(board, { ...rename, force: true }, true), { changed: true });
+		assert.strictEqual(board.columns[0].cards[1].title, 'Mine');
+	});
+
+	test('rejects operations on cards that no longer exist', () => {
+		const board = createBoard();
+		const result = myExtension.applyBoardOperation(
+			board,
+			{ type: 'move-card', cardId: 'gone', fromColumnId: 'todo', toColumnId: 'done', toIndex: 0 },
+			true
+		);
+		assert.ok(result.rejected);
+		assert.deepStrictEqual(myExtension.applyBoardOperation(board, { type: 'delete-card', cardId: 'gone' }, true), {
+			changed: false,
+		});
+	});
+
+	test('moves cards between columns and swimlanes in one operation', () => {
+		const board = createBoard();
+		const apply = (op) => myExtension.applyBoardOperation(board, op, false);
+
+		apply({ type: 'add-lane', title: 'Frontend' });
+		apply({ type: 'add-lane', title: 'Frontend' });
+		assert.deepStrictEqual(board.swimlanes, {
+			groupBy: 'lane',
+			lanes: [
+				{ id: 'frontend', title: 'Frontend' },
+				{ id: 'frontend-2', title: 'Frontend' },
+			],
+		});
+
+		apply({ type: 'move-card', cardId: 'a', toColumnId: 'done', toIndex: 0, lane: 'frontend' });
+		assert.deepStrictEqual(board.columns[1].cards, [{ id: 'a', title: 'A', lane: 'frontend' }]);
+		assert.strictEqual(myExtension.validateBoard(board).length, 0);
+
+		apply({ type: 'delete-lane', laneId: 'frontend' });
+		assert.deepStrictEqual(board.columns[1].cards, [{ id: 'a', title: 'A' }]);
+
+		apply({ type: 'configure-swimlanes', groupBy: 'assignee' });
+		board.columns[0].cards[0].assignees = ['sam', 'kim'];
+		// The new lane's assignee replaces the one whose lane the card left.
+		apply({ type: 'move-card', cardId: 'b', toColumnId: 'todo', toIndex: 0, lane: 'lee' });
+		assert.deepStrictEqual(board.columns[0].cards[0].assignees, ['lee', 'kim']);
+		apply({ type: 'move-card', cardId: 'b', toColumnId: 'todo', toIndex: 0, lane: null });
+		assert.strictEqual(board.columns[0].cards[0].assignees, undefined);
+	});
+
+	test('reads and sets the lane of a card by label', () => {
+		const board = {
+			version: 1,
+			swimlanes: { groupBy: 'label' },
+			labels: [{ name: 'bug', color: 'red' }],
+			columns: [{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A', labels: [{ name: 'ui', color: 'blue' }, { name: 'bug', color: 'red' }] }] }],
+		};
+		const card = board.columns[0].cards[0];
+		assert.strictEqual(myExtension.getCardLaneKey(board, card), 'ui');
+
+		myExtension.setCardLane(board, card, 'bug');
+		assert.deepStrictEqual(card.labels, [{ name: 'bug', color: 'red' }]);
+		assert.strictEqual(myExtension.getCardLaneKey(board, card), 'bug');
+
+		myExtension.setCardLane(board, card, 'docs');
+		assert.deepStrictEqual(card.labels, [{ name: 'docs', color: 'gray' }]);
+		myExtension.setCardLane(board, card, null);
+		assert.strictEqual(myExtension.getCardLaneKey(board, card), '');
+	});
+});
+
+suite('Card composer and rename', () => {
+	const createBoard = () => ({
+		version: 1,
+		columns: [{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A' }] }],
+	});
+
+	test('adds the trimmed title and ignores an empty one', () => {
+		const board = createBoard();
+		const add = (titles, position) =>
+			myExtension.applyBoardOperation(board, { type: 'add-card', columnId: 'todo', titles, position, lane: undefined }, true);
+
+		const result = add(['  Write docs \t'], 'top');
+		assert.strictEqual(result.changed, true);
+		assert.deepStrictEqual(board.columns[0].cards.map((c) => c.title), ['Write docs', 'A']);
+		assert.deepStrictEqual(result.cardIds, [board.columns[0].cards[0].id]);
+
+		assert.deepStrictEqual(add(['   '], 'bottom'), { changed: false });
+		assert.strictEqual(board.columns[0].cards.length, 2);
+	});
+
+	test('adds a card per line of a multi-line paste', () => {
+		const board = createBoard();
+		// The composer prepends what was typed to the first pasted line.
+		const lines = 'Fix login\r\n\r\n  Update deps\n'.split(/\r?\n/);
+		lines[0] = 'Now: ' + lines[0];
+
+		const result = myExtension.applyBoardOperation(
+			board,
+			{ type: 'add-card', columnId: 'todo', titles: lines, position: 'bottom', lane: undefined },
+			true
+		);
+		assert.strictEqual(result.cardIds.length, 2);
+		assert.deepStrictEqual(board.columns[0].cards.map((c) => c.title), ['A', 'Now: Fix login', 'Update deps']);
+		assert.strictEqual(new Set(board.columns[0].cards.map((c) => c.id)).size, 3);
+	});
+
+	test('renames to the trimmed title and cancels on an empty one', () => {
+		const board = createBoard();
+		const rename = (newTitle) =>
+			myExtension.applyBoardOperation(board, { type: 'rename-card', columnId: 'todo', cardId: 'a', newTitle, base: 'A' }, true);
+
+		assert.deepStrictEqual(rename(''), { changed: false });
+		assert.deepStrictEqual(rename('  \n'), { changed: false });
+		assert.strictEqual(board.columns[0].cards[0].title, 'A');
+
+		assert.deepStrictEqual(rename('  Renamed  '), { changed: true });
+		assert.strictEqual(board.columns[0].cards[0].title, 'Renamed');
+	});
+});
+
+suite('Column settings', () => {
+	test('normalises WIP limits and policies', () => {
+		const col = { id: 'done', title: 'Done', cards: [] };
+
+		myExtension.applyColumnSettings(col, { wipLimit: 3, wipBlock: true, policy: 'done', autoArchiveDays: 7 });
+		assert.deepStrictEqual(col, { id: 'done', title: 'Done', cards: [], wipLimit: 3, wipBlock: true, policy: 'done', autoArchiveDays: 7 });
+
+		// Invalid limits remove the limit and its blocking; auto-archiving
+		// only applies to done columns.
+		myExtension.applyColumnSettings(col, { wipLimit: 0, policy: null });
+		assert.deepStrictEqual(col, { id: 'done', title: 'Done', cards: [] });
+		myExtension.applyColumnSettings(col, { wipLimit: 2.5, wipBlock: true, autoArchiveDays: 7 });
+		assert.deepStrictEqual(col, { id: 'done', title: 'Done', cards: [] });
+	});
+
+	test('blocks moves into a full column and stamps done cards', () => {
+		const board = {
+			version: 1,
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }] },
+				{ id: 'doing', title: 'Doing', wipLimit: 1, wipBlock: true, cards: [] },
+				{ id: 'done', title: 'Done', policy: 'done', cards: [] },
+			],
+		};
+		const move = (cardId, toColumnId) => myExtension.applyBoardOperation(board, { type: 'move-card', cardId, toColumnId }, false);
+
+		assert.deepStrictEqual(move('a', 'doing'), { changed: true });
+		assert.deepStrictEqual(move('b', 'doing'), { rejected: 'Doing is at its WIP limit of 1.' });
+		assert.deepStrictEqual(board.columns[0].cards.map((c) => c.id), ['b']);
+		// Reordering within a full column is still allowed.
+		assert.deepStrictEqual(move('a', 'doing'), { changed: true });
+
+		move('a', 'done');
+		assert.ok(board.columns[2].cards[0].completedAt);
+		move('a', 'todo');
+		assert.strictEqual(board.columns[0].cards[1].completedAt, undefined);
+	});
+});
+
+suite('My Boards tree', () => {
+	const uri = vscode.Uri.file('/work/team.board.json');
+	const data = {
+		version: 1,
+		columns: [
+			{ id: 'todo', title: 'To Do', wipLimit: 3, cards: [{ id: 'a', title: 'A', labels: [{ name: 'bug' }], assignees: ['kim'] }] },
+			{ id: 'done', title: 'Done', policy: 'done', cards: [{ id: 'b', title: 'B', completedAt: '2024-01-01T00:00:00.000Z' }] },
+		],
+	};
+
+	test('lists boards, then columns with counts, then cards', async () => {
+		const broken = vscode.Uri.file('/work/app.board.json');
+		const index = {
+			getBoards: async () => [{ uri, data }, { uri: broken, error: { message: 'Invalid JSON' } }],
+			onDidChange: () => ({ dispose() {} }),
+		};
+		const provider = new myExtension.BoardProvider(index);
+		const path = (u) => vscode.workspace.asRelativePath(u);
+
+		const boards = await provider.getChildren();
+		assert.deepStrictEqual(
+			boards.map((b) => [b.label, b.description, b.contextValue]),
+			[
+				[path(broken), "can't be read", 'board'],
+				[path(uri), '2 cards', 'board'],
+			]
+		);
+		const columns = await provider.getChildren(boards[1]);
+		assert.deepStrictEqual(
+			columns.map((c) => [c.label, c.description, c.columnId, c.iconPath.id]),
+			[
+				['To Do', '1/3', 'todo', 'list-unordered'],
+				['Done', '1', 'done', 'pass'],
+			]
+		);
+		const cards = await provider.getChildren(columns[0]);
+		assert.deepStrictEqual(
+			cards.map((c) => [c.label, c.description, c.cardId, c.contextValue]),
+			[['A', 'bug', 'a', 'card']]
+		);
+		assert.deepStrictEqual(cards[0].command.arguments, [uri, 'a']);
+		assert.strictEqual((await provider.getChildren(columns[1]))[0].iconPath.id, 'pass-filled');
+		provider.dispose();
+	});
+
+	test('groups My Cards by board, leaving out boards without any', () => {
+		const other = { uri: vscode.Uri.file('/work/other.board.json'), data: { version: 1, columns: [] } };
+		const groups = myExtension.groupAssignedCards([other, { uri, data }], { name: 'Kim', email: '' });
+
+		assert.deepStrictEqual(
+			groups.map((g) => [g.board.uri, g.cards.map(({ col, card }) => [col.id, card.id])]),
+			[[uri, [['todo', 'a']]]]
+		);
+	});
+});
+
+suite('Export and import', () => {
+	test('exports cards as Markdown task lists and CSV rows', () => {
+		const board = {
+			version: 1,
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'Write docs', due: '2024-05-01', labels: [{ name: 'docs' }] }] },
+				{ id: 'done', title: 'Done', policy: 'done', cards: [{ id: 'b', title: 'Say "hi", twice' }] },
+			],
+		};
+
+		assert.strictEqual(
+			myExtension.boardToMarkdown(board, 'plan'),
+			['# plan', '', '## To Do', '', '- [ ] Write docs — due 2024-05-01 `docs`', '', '## Done', '', '- [x] Say "hi", twice', ''].join('\n')
+		);
+		assert.deepStrictEqual(myExtension.boardToCsv(board).split('\r\n'), [
+			'Column,Title,Labels,Due,Completed,Description,ID',
+			'To Do,Write docs,docs,2024-05-01,,,a',
+			'Done,"Say ""hi"", twice",,,yes,,b',
+			'',
+		]);
+	});
+
+	test('turns headings into columns and list items into cards', () => {
+		const markdown = [
+			'# Release plan',
+			'',
+			'## Next',
+			'- [ ] Write docs',
+			'  Cover the new settings.',
+			'  - [x] outline',
+			'- [ ] Fix bug',
+			'',
+			'## Shipped',
+			'* [x] Export',
+		].join('\n');
+		const board = myExtension.parseMarkdownBoard(markdown);
+
+		assert.deepStrictEqual(
+			board.columns.map((col) => [col.title, col.policy, col.cards.map((c) => c.title)]),
+			[
+				['Next', undefined, ['Write docs', 'Fix bug']],
+				['Shipped', 'done', ['Export']],
+			]
+		);
+		assert.strictEqual(board.columns[0].cards[0].description, 'Cover the new settings.');
+		assert.deepStrictEqual(board.columns[0].cards[0].checklist, [{ text: 'outline', done: true }]);
+		assert.strictEqual(myExtension.parseMarkdownBoard('# Notes\n\nNothing to do.'), null);
+	});
+});
+
+suite('Trello and GitHub Projects import', () => {
+	test('maps Trello lists, cards, checklists and archived cards and reports the rest', () => {
+		const { data, source, report } = myExtension.convertBoardExport({
+			name: 'Roadmap',
+			lists: [
+				{ id: 'l2', name: 'Doing', pos: 2 },
+				{ id: 'l1', name: 'To Do', pos: 1 },
+				{ id: 'l3', name: 'Old', pos: 3, closed: true },
+			],
+			cards: [
+				{ id: 'c1', idList: 'l1', name: 'Login', desc: 'OAuth', due: '2024-05-01T12:00:00.000Z', labels: [{ name: '', color: 'red_dark' }], idMembers: ['m1'] },
+				{ id: 'c2', idList: 'l1', name: 'Gone', closed: true },
+				{ id: 'c3', idList: 'l3', name: 'Older' },
+			],
+			checklists: [{ id: 'k1', idCard: 'c1', name: 'Steps', checkItems: [{ name: 'Design', state: 'complete' }] }],
+		});
+
+		assert.strictEqual(source, 'Trello');
+		assert.deepStrictEqual(data.columns.map((c) => c.title), ['To Do', 'Doing']);
+		assert.deepStrictEqual(data.columns[0].cards, [
+			{
+				id: 'trello-c1',
+				title: 'Login',
+				description: 'OAuth',
+				labels: [{ name: 'red', color: 'red' }],
+				due: '2024-05-01',
+				checklist: [{ text: 'Design', done: true }],
+			},
+		]);
+		assert.deepStrictEqual(
+			data.archive.map((card) => [card.id, card.archivedFrom]),
+			[
+				['trello-c2', 'to-do-1'],
+				['trello-c3', undefined],
+			]
+		);
+		assert.deepStrictEqual(report, ['1 × archived list (its cards were archived)', '1 × member assignment']);
+	});
+
+	test('groups GitHub Projects items by status', () => {
+		const { data, report } = myExtension.convertBoardExport({
+			items: [
+				{ id: 'PVTI_1', title: 'Fix crash', status: 'Done', labels: ['bug'], content: { type: 'Issue', number: 4, repository: 'acme/app', url: 'https://github.com/acme/app/issues/4' }, 'target date': '2024-06-01', assignees: ['octocat'] },
+				{ id: 'PVTI_2', title: 'Draft', content: { type: 'DraftIssue', body: 'Idea' } },
+			],
+		});
+
+		assert.deepStrictEqual(data.columns.map((c) => [c.title, c.policy, c.cards.map((card) => card.id)]), [
+			['Done', 'done', ['github-PVTI_1']],
+			['No Status', undefined, ['github-PVTI_2']],
+		]);
+		const [card] = data.columns[0].cards;
+		assert.strictEqual(card.description, '[acme/app#4](https://github.com/acme/app/issues/4)');
+		assert.strictEqual(card.due, '2024-06-01');
+		assert.deepStrictEqual(report, ['1 × assignee']);
+	});
+});
+
+suite('Templates', () => {
+	test('creates boards from templates and templates from boards', () => {
+		const template = {
+			name: 'Team',
+			labels: [{ name: 'bug', color: 'red' }],
+			columns: [
+				{ title: 'To Do', cards: [{ title: 'Read the handbook', labels: [{ name: 'onboarding' }] }] },
+				{ title: 'Done', policy: 'done', wipLimit: 5 },
+			],
+		};
+		const board = myExtension.createBoardFromTemplate(template);
+
+		assert.strictEqual(myExtension.validateBoard(board).length, 0);
+		assert.deepStrictEqual(board.labels, [{ name: 'bug', color: 'red' }]);
+		assert.deepStrictEqual(
+			board.columns.map((col) => [col.title, col.policy, col.wipLimit, col.cards.map((c) => c.title)]),
+			[
+				['To Do', undefined, undefined, ['Read the handbook']],
+				['Done', 'done', 5, []],
+			]
+		);
+		assert.ok(board.columns[0].cards[0].id);
+
+		assert.deepStrictEqual(myExtension.createTemplateFromBoard(board, 'Team', true), {
+			name: 'Team',
+			labels: [{ name: 'bug', color: 'red' }, { name: 'onboarding' }],
+			columns: [
+				{ title: 'To Do', cards: [{ title: 'Read the handbook', labels: [{ name: 'onboarding' }] }] },
+				{ title: 'Done', wipLimit: 5, policy: 'done' },
+			],
+		});
+	});
+});
+
+suite('Archive', () => {
+	test('archives, restores and auto-archives cards', () => {
+		const board = {
+			version: 1,
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A' }] },
+				{
+					id: 'done',
+					title: 'Done',
+					policy: 'done',
+					autoArchiveDays: 7,
+					cards: [
+						{ id: 'old', title: 'Old', completedAt: '2024-01-01T00:00:00.000Z' },
+						{ id: 'new', title: 'New', completedAt: new Date().toISOString() },
+					],
+				},
+			],
+		};
+
+		assert.deepStrictEqual(myExtension.applyBoardOperation(board, { type: 'auto-archive' }, false), { changed: true, count: 1 });
+		assert.deepStrictEqual(board.columns[1].cards.map((c) => c.id), ['new']);
+
+		myExtension.applyBoardOperation(board, { type: 'archive-card', cardId: 'a' }, false);
+		assert.deepStrictEqual(board.archive.map((c) => [c.id, c.archivedFrom]), [
+			['old', 'done'],
+			['a', 'todo'],
+		]);
+		assert.strictEqual(myExtension.validateBoard(board).length, 0);
+
+		myExtension.applyBoardOperation(board, { type: 'restore-card', cardId: 'a' }, false);
+		assert.deepStrictEqual(board.columns[0].cards, [{ id: 'a', title: 'A' }]);
+		myExtension.applyBoardOperation(board, { type: 'delete-archived', cardId: 'old' }, false);
+		assert.strictEqual(board.archive, undefined);
+	});
+});
+
+suite('Assignees', () => {
+	test('finds cards assigned to the git user by name or email', () => {
+		const board = {
+			version: 1,
+			columns: [
+				{
+					id: 'todo',
+					title: 'To Do',
+					cards: [
+						{ id: 'a', title: 'A', assignees: ['Ada Lovelace'] },
+						{ id: 'b', title: 'B', assignees: ['kim', 'ADA@example.com'] },
+						{ id: 'c', title: 'C' },
+					],
+				},
+			],
+		};
+		const user = { name: 'ada lovelace', email: 'ada@example.com' };
+
+		assert.deepStrictEqual(
+			myExtension.findAssignedCards(board, user).map(({ col, card }) => col.id + '/' + card.id),
+			['todo/a', 'todo/b']
+		);
+		assert.deepStrictEqual(myExtension.findAssignedCards(board, { name: 'Sam', email: '' }), []);
+	});
+});
+
+suite('Cross-board moves', () => {
+	test('adds a moved card with a fresh id when the target board uses its id', () => {
+		const from = { id: 'done', title: 'Done', policy: 'done', cards: [] };
+		const target = {
+			version: 1,
+			swimlanes: { groupBy: 'lane', lanes: [{ id: 'web', title: 'Web' }] },
+			columns: [{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'Other' }] }],
+		};
+		const card = { id: 'a', title: 'A', description: 'Kept', lane: 'api', completedAt: '2024-01-01T00:00:00.000Z' };
+
+		const result = myExtension.addTransferredCard(target, card, 'todo', from);
+		assert.notStrictEqual(result.card.id, 'a');
+		assert.deepStrictEqual(target.columns[0].cards[1], { id: result.card.id, title: 'A', description: 'Kept' });
+		assert.ok(myExtension.addTransferredCard(target, card, 'gone', from).rejected);
+	});
+
+	test('logs a moved card after the history it brings along', () => {
+		const uri = vscode.Uri.file('/work/team.board.json');
+		const created = { at: '2024-05-01T00:00:00.000Z', type: 'created', to: 'todo' };
+		const moved = { at: '2024-05-02T00:00:00.000Z', type: 'moved', from: 'todo', to: 'next', board: 'app.board.json' };
+		const card = { id: 'b', title: 'A', activity: [created] };
+
+		assert.deepStrictEqual(myExtension.collectTransferActivity(uri, card, [], moved), []);
+		assert.deepStrictEqual(card.activity, [created, moved]);
+	});
+
+	test('merges columns of the same title across boards', () => {
+		const board = (...titles) => ({
+			data: { columns: titles.map((title) => ({ id: title, title, cards: [{ id: title, title }] })) },
+		});
+		const groups = myExtension.groupBoardsByColumn([board('To Do', 'Doing', 'Done'), board('Backlog', 'to do', 'Review', 'Done')]);
+
+		assert.deepStrictEqual(
+			groups.map((g) => [g.title, g.cards.length]),
+			[
+				['Backlog', 1],
+				['To Do', 2],
+				['Review', 1],
+				['Doing', 1],
+				['Done', 2],
+			]
+		);
+	});
+});
+
+suite('Activity log', () => {
+	test('records moves, renames, edits and new cards', () => {
+		const before = {
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'a', title: 'A' }] },
+				{ id: 'done', title: 'Done', cards: [] },
+			],
+		};
+		const after = {
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'b', title: 'B' }] },
+				{ id: 'done', title: 'Done', cards: [{ id: 'a', title: 'A2', labels: [{ name: 'bug' }] }] },
+			],
+		};
+		const at = '2024-05-01T10:00:00.000Z';
+		const events = myExtension.diffActivity(before, after, 'kim', new Date(at));
+
+		assert.deepStrictEqual(events, [
+			{ cardId: 'b', entry: { at, by: 'kim', type: 'created', to: 'todo' } },
+			{ cardId: 'a', entry: { at, by: 'kim', type: 'moved', from: 'todo', to: 'done' } },
+			{ cardId: 'a', entry: { at, by: 'kim', type: 'renamed', from: 'A', to: 'A2' } },
+			{ cardId: 'a', entry: { at, by: 'kim', type: 'edited', fields: ['labels'] } },
+		]);
+	});
+
+	test('keeps separate sidecar logs for JSON and Markdown boards', () => {
+		const log = (path) => myExtension.getActivityLogUri(vscode.Uri.file(path)).path;
+		assert.strictEqual(log('/work/team.board.json'), '/work/team.board.history.json');
+		assert.strictEqual(log('/work/team.board.md'), '/work/team.board.md.history.json');
+	});
+
+	test('matches activity only through its field in the card filter', () => {
+		const col = { id: 'todo', title: 'To Do' };
+		const card = {
+			id: 'a',
+			title: 'Fix login',
+			activity: [{ at: '2024-05-01T00:00:00.000Z', by: 'kim', type: 'moved', from: 'doing', to: 'todo' }],
+		};
+		const matches = (query) => myExtension.createCardFilter(query)(col, card);
+
+		assert.ok(matches('login'));
+		assert.ok(!matches('kim'));
+		assert.ok(!matches('doing'));
+		assert.ok(matches('activity:kim'));
+	});
+});
+
+suite('Markdown boards', () => {
+	const markdown = { markdown: true };
+
+	test('round-trips boards, keeping awkward cards in comments', () => {
+		const data = {
+			version: myExtension.BOARD_SCHEMA_VERSION,
+			labels: [{ name: 'bug', color: 'red' }],
+			columns: [
+				{
+					id: 'todo',
+					title: 'To Do',
+					wipLimit: 3,
+					cards: [
+						{
+							id: 'a',
+							title: 'Write docs',
+							description: 'First line\n\n  indented',
+							labels: [{ name: 'bug' }],
+							checklist: [
+								{ text: 'outline', done: true },
+								{ text: 'draft', done: false },
+							],
+						},
+						{ id: 'b', title: 'Two\nlines <!-- odd -->', description: 'ends with --> and\n' },
+					],
+				},
+				{ id: 'done', title: 'Done', policy: 'done', cards: [] },
+			],
+			archive: [{ id: 'c', title: 'Old', archivedFrom: 'todo', archivedAt: '2024-05-01T10:00:00.000Z' }],
+		};
+		const text = myExtension.serializeBoard(data, markdown);
+
+		assert.ok(text.includes('\n## To Do <!-- {"id":"todo","wipLimit":3} -->\n'));
+		assert.ok(text.includes('\n- Write docs <!-- {"id":"a","labels":[{"name":"bug"}]} -->\n  First line\n\n    indented\n  - [x] outline\n'));
+		const { data: parsed, error } = myExtension.parseBoardText(text, markdown);
+		assert.strictEqual(error, undefined);
+		assert.strictEqual(JSON.stringify(myExtension.serializeBoard(parsed, markdown)), JSON.stringify(text));
+		assert.deepStrictEqual(parsed.columns[0].cards[1], data.columns[0].cards[1]);
+		assert.deepStrictEqual(parsed.archive, data.archive);
+	});
+
+	test('reads hand-written columns and cards', () => {
+		const text = '# Plan\n\n## Doing\n\n- Fix login\n  Broken on Safari\n  - [ ] reproduce\n- Fix login\n\n## Done <!-- {"policy":"done"} -->\n';
+		const { data, error } = myExtension.parseBoardText(text, markdown);
+
+		assert.strictEqual(error, undefined);
+		assert.deepStrictEqual(
+			data.columns.map((c) => [c.id, c.title, c.cards.map((card) => card.id)]),
+			[
+				['doing', 'Doing', ['card-fix-login', 'card-fix-login-2']],
+				['done', 'Done', []],
+			]
+		);
+		assert.deepStrictEqual(data.columns[0].cards[0].checklist, [{ text: 'reproduce', done: false }]);
+		assert.strictEqual(data.columns[0].cards[0].description, 'Broken on Safari');
+		assert.deepStrictEqual(myExtension.parseBoardText('## A\n\nNotes\n', markdown).error, {
+			message: 'Expected a "## " column heading or a "- " card.',
+			line: 3,
+			column: 1,
+		});
+	});
+});
+
+suite('Public API', () => {
+	test('adds cards with details and filters cards like the board filter', () => {
+		const board = {
+			version: 1,
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [] },
+				{ id: 'done', title: 'Done', cards: [{ id: 'x', title: 'Shipped login', labels: [{ name: 'bug' }] }] },
+			],
+		};
+		const result = myExtension.applyBoardOperation(
+			board,
+			{ type: 'add-card', columnId: 'todo', titles: ['Fix login'], changes: { labels: [{ name: 'bug' }], description: '' } },
+			false
+		);
+		const id = result.cardIds[0];
+		assert.deepStrictEqual(board.columns[0].cards, [{ id, title: 'Fix login', labels: [{ name: 'bug' }] }]);
+
+		const matching = (query) =>
+			board.columns.flatMap((col) => col.cards.filter((card) => myExtension.createCardFilter(query)(col, card)).map((card) => card.id));
+		assert.deepStrictEqual(matching('login label:bug'), [id, 'x']);
+		assert.deepStrictEqual(matching('login -column:done'), [id]);
+		assert.deepStrictEqual(matching('"shipped login"'), ['x']);
+	});
+});
+
+suite('Git work', () => {
+	test('links commits to the cards they mention and finds closing commits', () => {
+		const board = {
+			columns: [{ id: 'todo', title: 'To Do', cards: [{ id: 'card-1', title: 'Fix login on Safari!' }, { id: 'card-12', title: 'B' }] }],
+		};
+		const commits = [
+			{ hash: 'bbbbbbb', message: 'Fix login (card-1)\n\nCloses card-12', authorName: 'kim' },
+			{ hash: 'aaaaaaa', message: 'Start card-12', authorName: 'sam' },
+		];
+		const links = myExtension.linkCommits(commits, board);
+
+		assert.deepStrictEqual(Object.keys(links), ['card-1', 'card-12']);
+		assert.deepStrictEqual(links['card-1'], [{ hash: 'bbbbbbb', subject: 'Fix login (card-1)', author: 'kim', date: undefined }]);
+		assert.deepStrictEqual(
+			links['card-12'].map((c) => c.hash),
+			['bbbbbbb', 'aaaaaaa']
+		);
+		assert.ok(myExtension.closesCard(commits[0].message, 'card-12'));
+		assert.ok(!myExtension.closesCard(commits[0].message, 'card-1'));
+		assert.ok(myExtension.closesCard('fixes: card-1', 'card-1'));
+		assert.strictEqual(myExtension.getCardBranchName(board.columns[0].cards[0]), 'card-1-fix-login-on-safari');
+	});
+});
+
+suite('Due dates', () => {
+	test('finds overdue and coming due cards, skipping done ones', () => {
+		const uri = 'file:///todo.board.json';
+		const data = {
+			columns: [
+				{
+					id: 'todo',
+					title: 'To Do',
+					cards: [
+						{ id: 'a', title: 'Later', due: '2024-05-20' },
+						{ id: 'b', title: 'Soon', due: '2024-05-12' },
+						{ id: 'c', title: 'Today', due: '2024-05-10' },
+						{ id: 'd', title: 'Late', start: '2024-05-01', due: '2024-05-09' },
+						{ id: 'e', title: 'No date' },
+					],
+				},
+				{ id: 'done', title: 'Done', policy: 'done', cards: [{ id: 'f', title: 'Shipped', due: '2024-05-01' }] },
+			],
+		};
+		const due = myExtension.findDueCards([{ uri, data }], '2024-05-10', () => 2);
+
+		assert.deepStrictEqual(
+			due.map((d) => [d.card.id, d.status]),
+			[
+				['d', 'overdue'],
+				['c', 'today'],
+				['b', 'soon'],
+			]
+		);
+	});
+});
+
+suite('Board insights', () => {
+	test('computes flow, lead and cycle times from the activity log', () => {
+		const at = (day) => new Date(2024, 4, day, 12).toISOString();
+		const data = {
+			columns: [
+				{ id: 'todo', title: 'To Do', cards: [{ id: 'b', title: 'Next' }] },
+				{ id: 'doing', title: 'Doing', cards: [] },
+				{
+					id: 'done',
+					title: 'Done',
+					policy: 'done',
+					cards: [
+						{
+							id: 'a',
+							title: 'Ship, then rest',
+							completedAt: at(4),
+						},
+					],
+				},
+			],
+		};
+		const activity = new Map([
+			['b', [{ at: at(3), type: 'created', to: 'todo' }]],
+			[
+				'a',
+				[
+					{ at: at(1), type: 'created', to: 'todo' },
+					{ at: at(2), type: 'moved', from: 'todo', to: 'doing' },
+					{ at: at(4), type: 'renamed', from: 'Ship', to: 'Ship, then rest' },
+					{ at: at(4), type: 'moved', from: 'doing', to: 'done' },
+				],
+			],
+		]);
+		const insights = myExtension.computeBoardInsights(data, activity, { from: '2024-05-01', to: '2024-05-05' });
+
+		assert.deepStrictEqual(
+			insights.columns.map((c) => c.count),
+			[1, 0, 1]
+		);
+		assert.strictEqual(insights.leadDays, 3);
+		assert.strictEqual(insights.cycleDays, 2);
+		assert.deepStrictEqual(insights.flow.dates, ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04', '2024-05-05']);
+		assert.deepStrictEqual(
+			insights.flow.series.map((s) => s.counts),
+			[
+				[1, 0, 1, 1, 1],
+				[0, 1, 1, 0, 0],
+				[0, 0, 0, 1, 1],
+			]
+		);
+		assert.deepStrictEqual(
+			insights.throughput.buckets.map((b) => b.count),
+			[0, 0, 0, 1, 0]
+		);
+		assert.strictEqual(
+			myExtension.insightsToCsv(insights, 'cards').split('\r\n')[1],
+			['"Ship, then rest"', 'Done', at(1), at(2), at(4), '3.00', '2.00', 'a'].join(',')
+		);
+	});
+
+	test('takes archived cards out of the cumulative flow', () => {
+		const at = (day) => new Date(2024, 4, day, 12).toISOString();
+		const data = {
+			columns: [{ id: 'done', title: 'Done', policy: 'done', cards: [] }],
+			archive: [
+				{ id: 'a', title: 'Logged', completedAt: at(1), archivedFrom: 'done', archivedAt: at(3) },
+				{ id: 'card-' + Date.parse(at(1)), title: 'Unlogged', archivedFrom: 'done', archivedAt: at(2) },
+			],
+		};
+		const activity = new Map([
+			[
+				'a',
+				[
+					{ at: at(1), type: 'created', to: 'done' },
+					{ at: at(3), type: 'archived' },
+				],
+			],
+		]);
+		const insights = myExtension.computeBoardInsights(data, activity, { from: '2024-05-01', to: '2024-05-04' });
+
+		assert.deepStrictEqual(insights.flow.series[0].counts, [2, 1, 0, 0]);
+		assert.strictEqual(insights.untracked, 1);
+	});
+});